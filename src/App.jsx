@@ -2,52 +2,82 @@ import { useEffect, useRef, useState } from "react";
 import "./App.css";
 import * as THREE from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
-import { World, Vec3, Body, Plane, Box } from "cannon-es";
+import { Box } from "cannon-es";
 import ButtonAddItem from "./ui/ButtonAddItem";
 import Trash from "./ui/Trashh";
-import { AnimationManager } from "./ui/AnimationInteraction";
+import { AnimationManager, InteractionPolicy } from "./ui/AnimationInteraction";
+import { Ragdoll } from "./ui/Ragdoll";
+import { resolveBoneMap } from "./ui/BoneMapping";
+import CharacterPicker from "./ui/CharacterPicker";
+import RoomPicker from "./ui/RoomPicker";
+import ImportDialog from "./ui/ImportDialog";
+import { ImportKind, isModelFile, restoreImports } from "./ui/ModelImport";
+import {
+  applyCharacterTheme,
+  getDefaultCharacter,
+} from "./ui/CharacterCatalog";
 import { HealthManager, HealthBar } from "./ui/Healthbar";
+import GameOverOverlay, { GameSession } from "./ui/GameOver";
+import { StatusEffectManager } from "./ui/StatusEffects";
+import StatusEffectBar from "./ui/StatusEffectBar";
+import { NeedsManager } from "./ui/Needs";
+import NeedsBars from "./ui/NeedsBars";
+import { EventBus, GameEvent } from "./ui/EventBus";
+import {
+  Simulation,
+  BoneState,
+  DeathCollapse,
+  PlayMode,
+  GROUND_Y,
+  HEAD_OFFSET_Y,
+  CHARACTER_HALF_EXTENTS,
+} from "./ui/Simulation";
+import SimulationControls from "./ui/SimulationControls";
+import { InputManager, InputPriority } from "./ui/InputManager";
+import { CameraRig } from "./ui/CameraRig";
+import CameraControls from "./ui/CameraControls";
+import { Environment } from "./ui/Environment";
+import { getDefaultRoom, getRoomById } from "./ui/RoomCatalog";
+import { ImpactTier } from "./ui/ImpactModel";
+import { ControlsManager } from "./ui/Controls";
+import ControlsPanel from "./ui/ControlsPanel";
+import SaveControls from "./ui/SaveControls";
+import Inventory, { INVENTORY_DRAG_TYPE } from "./ui/Inventory";
+import { getCatalogItemById } from "./ui/ItemCatalog";
+import { createSpawnedItem } from "./ui/SpawnedItem";
+import {
+  addColliderShapes,
+  buildColliderShapes,
+  hideColliderMeshes,
+} from "./ui/Colliders";
+import {
+  createSnapshot,
+  restoreSnapshot,
+  loadFromLocalStorage,
+  startAutoSave,
+  exportSnapshotToFile,
+} from "./ui/SaveManager";
 
-// Chemin d'accès au modèle 3D
-const MODEL_PATH = new URL("./assets/3D/test.glb", import.meta.url).href;
-// Position Y du sol
-const GROUND_Y = -1;
 // Décalage vertical du modèle par rapport au corps physique
 const MODEL_Y_OFFSET = -0.5;
-// Décalage vertical de la tête par rapport au centre du corps
-const HEAD_OFFSET_Y = 0.6;
-
-// Énumération des états possibles du corps/os
-const BoneState = {
-  PHYSICS: "physics",
-  DRAG: "drag",
-  RECOVER: "recover",
-};
-
-function recoverUpright(body) {
-  const uprightQuat = new THREE.Quaternion().setFromEuler(
-    new THREE.Euler(0, 0, 0),
-  );
-
-  const currentQuat = new THREE.Quaternion(
-    body.quaternion.x,
-    body.quaternion.y,
-    body.quaternion.z,
-    body.quaternion.w,
-  );
-
-  currentQuat.slerp(uprightQuat, 0.1);
-
-  body.quaternion.set(
-    currentQuat.x,
-    currentQuat.y,
-    currentQuat.z,
-    currentQuat.w,
-  );
-
-  body.velocity.scale(0.96, body.velocity);
-  body.angularVelocity.scale(0.92, body.angularVelocity);
-}
+// Collider du personnage : "box" (défaut historique), "convex", "compound"
+// ou "auto" (meshes COL_* du GLB s'il y en a, sinon la box par défaut)
+const CHARACTER_COLLIDER = "auto";
+// Hit reçu pendant une réaction : "queue" (à la suite), "interrupt"
+// (remplace la réaction en crossfade) ou "additive" (ajoutée par-dessus)
+const INTERACTION_POLICY = InteractionPolicy.QUEUE;
+// Mort : "ragdoll" (effondrement physique, clip de mort sans squelette)
+// ou "clip" (clip de mort seul, le personnage reste debout)
+const DEATH_COLLAPSE = DeathCollapse.RAGDOLL;
+// Aire de jeu : "plane" (2.5D, Z verrouillé) ou "room" (pièce 3D à murs,
+// orbite de la caméra activée), modifiable ensuite dans SimulationControls
+// Une pièce de data/rooms.json peut imposer la sienne (voir RoomCatalog)
+const PLAY_MODE = PlayMode.PLANE;
+// Drop depuis l'inventaire dans la pièce 3D : hauteur au-dessus du sol (m)
+const ROOM_DROP_HEIGHT = 1;
+const GROUND_UP = new THREE.Vector3(0, 1, 0);
+// Tremblement de la caméra sur un impact violent (trauma de 0 à 1)
+const HEAVY_IMPACT_SHAKE = 0.6;
 
 function createCamera(aspect) {
   const camera = new THREE.PerspectiveCamera(55, aspect);
@@ -86,6 +116,7 @@ function createLights(scene) {
   return { ambient, dirLight };
 }
 
+// Sol nu si le catalogue de pièces est vide (voir RoomCatalog)
 function createGround(scene) {
   const geometry = new THREE.PlaneGeometry(10, 10);
   const material = new THREE.MeshStandardMaterial({ color: 0xffffff });
@@ -97,6 +128,18 @@ function createGround(scene) {
   return plane;
 }
 
+// Arêtes de la pièce du mode 3D (murs invisibles sinon)
+function createRoomOutline(scene, { halfWidth, halfDepth, height }) {
+  const geometry = new THREE.EdgesGeometry(
+    new THREE.BoxGeometry(halfWidth * 2, height, halfDepth * 2),
+  );
+  const material = new THREE.LineBasicMaterial({ color: 0xbbbbbb });
+  const outline = new THREE.LineSegments(geometry, material);
+  outline.position.y = GROUND_Y + height / 2;
+  scene.add(outline);
+  return outline;
+}
+
 function createPlaceholderCube(scene) {
   const geometry = new THREE.BoxGeometry(1, 1, 1);
   const material = new THREE.MeshPhongMaterial({ color: 0x0000ff });
@@ -106,13 +149,13 @@ function createPlaceholderCube(scene) {
   return cube;
 }
 
-function loadModel(scene, placeholderCube) {
+// Charge le GLB d'un personnage (l'ajout à la scène est fait par l'appelant)
+function loadModel(url) {
   return new Promise((resolve, reject) => {
     const loader = new GLTFLoader();
     loader.load(
-      MODEL_PATH,
+      url,
       (gltf) => {
-        scene.remove(placeholderCube);
         const model = gltf.scene;
         model.castShadow = true;
 
@@ -120,17 +163,10 @@ function loadModel(scene, placeholderCube) {
           if (node.isMesh) {
             node.castShadow = true;
             node.receiveShadow = false;
-            if (node.material) {
-              node.material = node.material.clone();
-              node.material.color.set(0xc0f5c7);
-              node.material.shadowSide = THREE.FrontSide;
-            }
           }
         });
 
-        model.scale.set(1, 1, 0.8);
-        scene.add(model);
-        resolve(model);
+        resolve(gltf);
       },
       undefined,
       (error) => {
@@ -141,71 +177,82 @@ function loadModel(scene, placeholderCube) {
   });
 }
 
-function createPhysicsWorld() {
-  const world = new World({
-    gravity: new Vec3(0, -9.82, 0),
+// Libère les géométries / matériaux d'un personnage retiré de la scène
+function disposeModel(model) {
+  model.traverse((node) => {
+    if (!node.isMesh) return;
+    if (node.geometry) node.geometry.dispose();
+    if (node.material) node.material.dispose();
   });
-  world.solver.iterations = 10;
-  return world;
-}
-
-function createGroundBody() {
-  const shape = new Plane();
-  const body = new Body({ mass: 0 });
-  body.addShape(shape);
-  body.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
-  body.position.set(0, GROUND_Y, 0);
-  return body;
 }
 
-function createCharacterBody(startY) {
-  const halfExtents = new Vec3(0.4, 0.5, 0.3);
-  const shape = new Box(halfExtents);
-  const body = new Body({
-    mass: 1,
-    linearDamping: 0.15,
-    angularDamping: 0.4,
-    restitution: 0,
-  });
-  body.addShape(shape);
-  body.position.set(0, startY, 0);
-  return body;
-}
-
-function getMouseOnPlane(clientX, clientY, camera, renderer, planePoint) {
-  const rect = renderer.domElement.getBoundingClientRect();
-  const ndcX = ((clientX - rect.left) / rect.width) * 2 - 1;
-  const ndcY = -((clientY - rect.top) / rect.height) * 2 + 1;
-
-  const ray = new THREE.Raycaster();
-  ray.setFromCamera(new THREE.Vector2(ndcX, ndcY), camera);
-
-  const normal = new THREE.Vector3();
-  camera.getWorldDirection(normal);
-  const plane = new THREE.Plane();
-  plane.setFromNormalAndCoplanarPoint(normal, planePoint);
-
-  const target = new THREE.Vector3();
-  ray.ray.intersectPlane(plane, target);
-
-  return target;
+// Remplace les formes du personnage par un collider généré depuis le GLB
+// (ou la box par défaut), appelé à chaque changement de personnage
+function applyCharacterCollider(body, model) {
+  // L'origine du body est décalée de MODEL_Y_OFFSET par rapport au modèle
+  const origin = model.position.clone();
+  origin.y -= MODEL_Y_OFFSET;
+
+  const shapes =
+    CHARACTER_COLLIDER === "box"
+      ? null
+      : buildColliderShapes(model, CHARACTER_COLLIDER, { origin });
+
+  [...body.shapes].forEach((shape) => body.removeShape(shape));
+  if (shapes) {
+    addColliderShapes(body, shapes);
+  } else {
+    body.addShape(new Box(CHARACTER_HALF_EXTENTS));
+  }
+  body.updateMassProperties();
+  console.log(`🧱 Collider personnage: ${shapes ? shapes.length : 1} forme(s)`);
 }
 
 const App = () => {
   const canvasRef = useRef(null);
-  const spawnedItemsRef = useRef([]);
   const sceneRef = useRef(null);
-  const worldRef = useRef(null);
-  const cameraRef = useRef(null);
-  const rendererRef = useRef(null);
+  const cameraRigRef = useRef(null);
+  const inputRef = useRef(null);
+  const controlsRef = useRef(null);
   const modelSizeRef = useRef(new THREE.Vector3(1, 1, 1));
-  const meshRef = useRef(null);
-  const characterBodyRef = useRef(null);
   const animationManagerRef = useRef(null);
+  const characterLoaderRef = useRef(null);
+  const reviveRef = useRef(null);
+  const environmentRef = useRef(null);
   const [isReady, setIsReady] = useState(false);
+  const [importRequest, setImportRequest] = useState(null);
+  const [roomId, setRoomId] = useState(() => {
+    const room = getDefaultRoom();
+    return room ? room.id : null;
+  });
+  const [characterId, setCharacterId] = useState(
+    () => getDefaultCharacter().id,
+  );
 
   // ✅ CRÉER LE HEALTH MANAGER DÈS LE DÉPART
   const [healthManager] = useState(() => new HealthManager(100));
+  // Stats de la vie en cours et game over à 0 PV
+  const [gameSession] = useState(() => new GameSession(healthManager));
+  // Poison, régénération, bouclier, étourdissement (effets des items)
+  const [statusEffects] = useState(
+    () => new StatusEffectManager(healthManager),
+  );
+  // Satiété, énergie, bonheur (baisse continue, modifiés par les items)
+  const [needsManager] = useState(() => new NeedsManager(healthManager));
+  // Événements entre la boucle principale et les composants (items, poubelle...)
+  const [eventBus] = useState(() => new EventBus());
+  // Physique, personnage et items à pas fixe (indépendant du rendu)
+  const [simulation] = useState(
+    () =>
+      new Simulation({
+        healthManager,
+        statusEffects,
+        systems: [statusEffects, needsManager],
+        eventBus,
+        deathCollapse: DEATH_COLLAPSE,
+        playMode: PLAY_MODE,
+      }),
+  );
 
   useEffect(() => {
     if (!canvasRef.current) return;
@@ -213,31 +260,63 @@ const App = () => {
     const canvas = canvasRef.current;
     const width = window.innerWidth;
     const height = window.innerHeight;
+    const { world, characterBody, spawnedItems } = simulation;
 
     // === Initialisation Three.js ===
     const scene = new THREE.Scene();
     const camera = createCamera(width / height);
     const renderer = createRenderer(canvas, width, height);
     const { dirLight } = createLights(scene);
-    createGround(scene);
-
-    sceneRef.current = scene;
-    cameraRef.current = camera;
-    rendererRef.current = renderer;
-
-    // === Initialisation physique ===
-    const world = createPhysicsWorld();
-    worldRef.current = world;
 
-    const groundBody = createGroundBody();
-    world.addBody(groundBody);
+    // Entrées souris / tactile du canvas, partagées avec les composants
+    const input = new InputManager(renderer.domElement, camera);
+
+    // Orbite / zoom, suivi du personnage, tremblement (limites de la vue)
+    const cameraRig = new CameraRig(camera, input);
+    cameraRig.setFollowTarget(characterBody.position);
+
+    // Pièce 3D : arêtes visibles (recréées si la pièce change de taille),
+    // caméra libre autour de la pièce
+    let roomOutline = createRoomOutline(scene, simulation.room);
+    let outlineRoom = simulation.room;
+    const onPlayModeChange = ({ playMode, room }) => {
+      if (room !== outlineRoom) {
+        scene.remove(roomOutline);
+        roomOutline.geometry.dispose();
+        roomOutline.material.dispose();
+        roomOutline = createRoomOutline(scene, room);
+        outlineRoom = room;
+      }
+      const isRoom = playMode === PlayMode.ROOM;
+      roomOutline.visible = isRoom;
+      cameraRig.setOrbitEnabled(isRoom);
+    };
+    onPlayModeChange({ playMode: simulation.playMode, room: simulation.room });
+    simulation.onPlayModeChange(onPlayModeChange);
+
+    // Pièce de départ : sol, meubles, points de spawn (voir RoomCatalog)
+    const startRoom = getDefaultRoom();
+    if (startRoom) {
+      environmentRef.current = new Environment(startRoom, {
+        scene,
+        simulation,
+        defaultPlayMode: PLAY_MODE,
+      });
+    } else {
+      createGround(scene);
+    }
 
-    const characterBody = createCharacterBody(GROUND_Y + 2);
-    world.addBody(characterBody);
-    characterBodyRef.current = characterBody;
+    // Clavier / manette (accessibilité, bornes sans pointeur)
+    const controls = new ControlsManager({
+      simulation,
+      eventBus,
+      gameSession,
+    });
 
-    let boneState = BoneState.PHYSICS;
-    const desiredHeadPos = new THREE.Vector3(0, 1, 0);
+    sceneRef.current = scene;
+    cameraRigRef.current = cameraRig;
+    inputRef.current = input;
+    controlsRef.current = controls;
 
     const placeholder = createPlaceholderCube(scene);
     let mesh = placeholder;
@@ -249,13 +328,6 @@ const App = () => {
     let leftArmBone = null;
     let rightArmBoneTop = null;
     let rightArmBone = null;
-    const leftArmRest = new THREE.Euler();
-    const leftArmRestTop = new THREE.Euler();
-    const rightArmRest = new THREE.Euler();
-    const rightArmRestTop = new THREE.Euler();
-
-    const armSpringBottom = { angleZ: 0, velZ: 0, angleX: 0, velX: 0 };
-    const armSpringTop = { angleZ: 0, velZ: 0, angleX: 0, velX: 0 };
 
     mesh.position.set(
       characterBody.position.x,
@@ -263,89 +335,170 @@ const App = () => {
       characterBody.position.z,
     );
 
+    // Le capteur de tête de la simulation suit l'os de la tête s'il existe
+    simulation.getHeadPosition = (target) => {
+      if (!headBone) return false;
+      headBone.getWorldPosition(target);
+      return true;
+    };
+
     // === ✅ Initialisation AnimationManager AVEC LE HEALTH MANAGER ===
     const animationManager = new AnimationManager(
       scene,
       mesh,
       skeleton,
       healthManager,
+      INTERACTION_POLICY,
     );
     animationManagerRef.current = animationManager;
 
-    loadModel(scene, placeholder)
-      .then((model) => {
-        mesh = model;
-        meshRef.current = mesh;
-        const box = new THREE.Box3().setFromObject(mesh);
-        box.getSize(modelSize);
-        modelSizeRef.current.copy(modelSize);
-
-        mesh.traverse((o) => {
-          if (o.isSkinnedMesh && o.skeleton) {
-            skeleton = o.skeleton;
-          }
+    // L'idle suit l'humeur donnée par les besoins
+    const onNeedsChange = () =>
+      animationManager.setIdleMood(needsManager.getMood());
+    needsManager.onNeedsChange(onNeedsChange);
+    onNeedsChange();
+
+    // === Sauvegarde automatique ===
+    // Restaure la dernière session puis sauvegarde périodiquement
+    let disposed = false;
+    let stopAutoSave = null;
+
+    const restoreSavedSession = () => {
+      const saved = loadFromLocalStorage();
+      const restore = saved
+        ? restoreSnapshot(saved, {
+            scene,
+            world,
+            characterBody,
+            spawnedItems,
+            healthManager,
+            needsManager,
+            eventBus,
+          })
+        : Promise.resolve();
+
+      restore
+        .catch((err) => console.warn("Restauration impossible:", err))
+        .finally(() => {
+          if (disposed) return;
+          stopAutoSave = startAutoSave(() =>
+            createSnapshot({
+              characterBody,
+              spawnedItems: spawnedItems.current,
+              healthManager,
+              needsManager,
+            }),
+          );
         });
+    };
 
-        if (skeleton) {
-          testBone =
-            skeleton.getBoneByName("Spine") ||
-            skeleton.getBoneByName("spine") ||
-            skeleton.getBoneByName("Chest") ||
-            skeleton.bones[0];
-          console.log(skeleton.bones.map((bone) => bone.name));
-
-          headBone =
-            skeleton.getBoneByName("head") ||
-            skeleton.getBoneByName("Head") ||
-            skeleton.getBoneByName("mixamorigHead");
-
-          rightArmBoneTop = skeleton.getBoneByName("body001");
-          rightArmBone = skeleton.getBoneByName("body002");
-          leftArmBoneTop = skeleton.getBoneByName("top-armr_1");
-          leftArmBone = skeleton.getBoneByName("bottom-armr");
-
-          if (leftArmBone) leftArmRest.copy(leftArmBone.rotation);
-          if (leftArmBoneTop) leftArmRestTop.copy(leftArmBoneTop.rotation);
-          if (rightArmBone) rightArmRest.copy(rightArmBone.rotation);
-          if (rightArmBoneTop) rightArmRestTop.copy(rightArmBoneTop.rotation);
+    // === Personnage : chargement et changement à chaud ===
+    // Installe un GLB chargé comme personnage courant (skeleton, os, ragdoll,
+    // animations, collider) en remplaçant le précédent
+    const bindCharacter = (gltf, character) => {
+      simulation.setRagdoll(null);
+
+      scene.remove(mesh);
+      if (mesh !== placeholder) disposeModel(mesh);
+
+      const model = gltf.scene;
+      applyCharacterTheme(model, character.theme);
+      model.scale.set(...character.scale);
+      scene.add(model);
+
+      mesh = model;
+      const box = new THREE.Box3().setFromObject(mesh);
+      box.getSize(modelSize);
+      modelSizeRef.current.copy(modelSize);
+      simulation.setCharacterSize(modelSize);
+
+      skeleton = null;
+      testBone = null;
+      headBone = null;
+      leftArmBoneTop = null;
+      leftArmBone = null;
+      rightArmBoneTop = null;
+      rightArmBone = null;
+
+      mesh.traverse((o) => {
+        if (o.isSkinnedMesh && o.skeleton) {
+          skeleton = o.skeleton;
         }
+      });
 
-        mesh.position.set(
-          characterBody.position.x,
-          characterBody.position.y + MODEL_Y_OFFSET,
-          characterBody.position.z,
+      if (skeleton) {
+        // Os retrouvés par rôle (profil du personnage ou détection auto)
+        const boneMap = resolveBoneMap(skeleton, {
+          profileId: character.boneProfile,
+          gltf,
+        });
+        console.log(
+          `🦴 Profil d'os: ${boneMap.profile ? boneMap.profile.id : "aucun"}`,
         );
+        if (boneMap.missing.length > 0) {
+          console.warn("⚠️ Rôles d'os non trouvés:", boneMap.missing);
+        }
 
-        // Charger l'animation après le modèle
-        // animationManager.loadAnimation().catch((err) => {
-        //   console.warn("Impossible de charger l'animation:", err);
-        // });
+        testBone = boneMap.bones.spine;
+        headBone = boneMap.bones.head;
+        rightArmBoneTop = boneMap.bones.rightUpperArm;
+        rightArmBone = boneMap.bones.rightLowerArm;
+        leftArmBoneTop = boneMap.bones.leftUpperArm;
+        leftArmBone = boneMap.bones.leftLowerArm;
 
-        console.log("✅ Modèle principal chargé");
-        setIsReady(true);
-      })
+        simulation.setRagdoll(new Ragdoll(world, skeleton));
+      }
+
+      animationManager.setCharacter(mesh, skeleton);
+
+      mesh.position.set(
+        characterBody.position.x,
+        characterBody.position.y + MODEL_Y_OFFSET,
+        characterBody.position.z,
+      );
+
+      hideColliderMeshes(mesh);
+      applyCharacterCollider(characterBody, mesh);
+
+      console.log(`✅ Personnage chargé: ${character.name}`);
+    };
+
+    // Seul le dernier chargement demandé est installé
+    let loadToken = 0;
+    const loadCharacter = (character) => {
+      const token = ++loadToken;
+      return loadModel(character.path).then((gltf) => {
+        if (disposed || token !== loadToken) {
+          disposeModel(gltf.scene);
+          return false;
+        }
+        bindCharacter(gltf, character);
+        return true;
+      });
+    };
+    characterLoaderRef.current = loadCharacter;
+
+    loadCharacter(getDefaultCharacter())
+      .then(() => setIsReady(true))
       .catch((err) => {
         console.error("Erreur chargement modèle principal:", err);
         setIsReady(true);
+      })
+      .finally(() => {
+        if (disposed) return;
+        // Les items importés doivent exister avant de restaurer la scène
+        restoreImports()
+          .catch((err) => console.warn("Imports non restaurés:", err))
+          .finally(() => {
+            if (!disposed) restoreSavedSession();
+          });
       });
 
     renderer.render(scene, camera);
 
-    // === Raycasting ===
-    const raycaster = new THREE.Raycaster();
-    const mouse = new THREE.Vector2();
-
-    const screenToNDC = (clientX, clientY) => {
-      const rect = renderer.domElement.getBoundingClientRect();
-      mouse.x = ((clientX - rect.left) / rect.width) * 2 - 1;
-      mouse.y = -((clientY - rect.top) / rect.height) * 2 + 1;
-    };
-
-    const isOverHead = (clientX, clientY) => {
+    const isOverHead = (pointer) => {
       if (!mesh) return false;
-      screenToNDC(clientX, clientY);
-      raycaster.setFromCamera(mouse, camera);
-      const intersects = raycaster.intersectObjects([mesh], true);
+      const intersects = input.intersect(pointer, [mesh]);
       if (intersects.length === 0) return false;
 
       const hitPoint = intersects[0].point;
@@ -362,149 +515,106 @@ const App = () => {
       return hitPoint.y >= headThresholdY;
     };
 
-    const getViewBounds = () => {
-      const distance = camera.position.z - mesh.position.z;
-      const vFov = THREE.MathUtils.degToRad(camera.fov);
-      const viewHeight = 2 * Math.tan(vFov / 2) * distance;
-      const viewWidth = viewHeight * camera.aspect;
-      return { halfW: viewWidth / 2, halfH: viewHeight / 2 };
-    };
-
-    const clampCharacterWithinBounds = () => {
-      if (!mesh) return;
-
-      const { halfW, halfH } = getViewBounds();
-      const halfModelW = modelSize.x / 2;
-      const modelHeight = modelSize.y;
-      const bodyHalfHeight = 0.5;
-
-      const minX = -halfW + halfModelW * 0.5;
-      const maxX = halfW - halfModelW * 0.5;
+    simulation.setViewBounds(cameraRig.viewBounds);
 
-      const minY = GROUND_Y + bodyHalfHeight;
-      const maxY = halfH - modelHeight / 4;
-
-      const clampedX = THREE.MathUtils.clamp(
-        characterBody.position.x,
-        minX,
-        maxX,
-      );
-      const clampedY = THREE.MathUtils.clamp(
-        characterBody.position.y,
-        minY,
-        maxY,
-      );
-
-      if (clampedX !== characterBody.position.x) {
-        characterBody.position.x = clampedX;
-        characterBody.velocity.x = 0;
-      }
-
-      if (clampedY !== characterBody.position.y) {
-        characterBody.position.y = clampedY;
-        characterBody.velocity.y = 0;
-      }
-    };
-
-    let isDragging = false;
     const dragPlanePoint = new THREE.Vector3();
-    const dragOffset = new THREE.Vector3();
-
-    const getClientPos = (e) => {
-      if (e.touches && e.touches.length > 0) {
-        return { clientX: e.touches[0].clientX, clientY: e.touches[0].clientY };
-      }
-      return { clientX: e.clientX, clientY: e.clientY };
-    };
-
-    const onMouseDown = (e) => {
-      const { clientX, clientY } = getClientPos(e);
-      if (!isOverHead(clientX, clientY)) return;
-
-      isDragging = true;
-      boneState = BoneState.DRAG;
-
-      const headWorldY = characterBody.position.y + HEAD_OFFSET_Y;
 
+    // Point monde sous le pointeur, sur le plan de la tête face à la caméra
+    const getPointerOnHeadPlane = (pointer) => {
       dragPlanePoint.set(
         characterBody.position.x,
-        headWorldY,
+        characterBody.position.y + HEAD_OFFSET_Y,
         characterBody.position.z,
       );
+      return input.getPointOnPlane(pointer, dragPlanePoint);
+    };
 
-      const mouseWorld = getMouseOnPlane(
-        clientX,
-        clientY,
-        camera,
-        renderer,
-        dragPlanePoint,
-      );
-
-      dragOffset.set(
-        characterBody.position.x - mouseWorld.x,
-        headWorldY - mouseWorld.y,
-        0,
-      );
-
-      characterBody.velocity.set(0, 0, 0);
-      characterBody.angularVelocity.set(0, 0, 0);
+    // === Drag de la tête (un seul pointeur à la fois) ===
+    const headTarget = {
+      priority: InputPriority.HEAD,
+      // Game over : plus d'interaction jusqu'à la réanimation
+      // Étourdi ou mort : le personnage ne peut pas être attrapé
+      hitTest: (pointer) =>
+        !gameSession.isGameOver &&
+        !simulation.isDragging &&
+        simulation.canGrab() &&
+        isOverHead(pointer),
+      onDragStart: (pointer) =>
+        simulation.startDrag(getPointerOnHeadPlane(pointer)),
+      onDragMove: (pointer) =>
+        simulation.moveDrag(getPointerOnHeadPlane(pointer)),
+      onDragEnd: () => simulation.endDrag(),
     };
+    input.addTarget(headTarget);
 
-    const onMouseMove = (e) => {
-      if (!isDragging) return;
-      const { clientX, clientY } = getClientPos(e);
+    const onDragOver = (e) => e.preventDefault();
 
-      const headWorldY = characterBody.position.y + HEAD_OFFSET_Y;
-      dragPlanePoint.set(
-        characterBody.position.x,
-        headWorldY,
-        characterBody.position.z,
-      );
+    // Drop d'un item depuis l'inventaire : spawn au point de drop sur le plan Z=0
+    // (pièce 3D : au-dessus du point visé au sol)
+    // Drop d'un fichier .glb / .gltf : ouverture du dialogue d'import
+    const onDrop = (e) => {
+      e.preventDefault();
+      const modelFile = [...e.dataTransfer.files].find(isModelFile);
+      if (modelFile) {
+        setImportRequest({ file: modelFile, kind: null });
+        return;
+      }
 
-      const mouseWorld = getMouseOnPlane(
-        clientX,
-        clientY,
-        camera,
-        renderer,
-        dragPlanePoint,
+      const itemId = e.dataTransfer.getData(INVENTORY_DRAG_TYPE);
+      const catalogItem = itemId ? getCatalogItemById(itemId) : null;
+      if (!catalogItem || gameSession.isGameOver) return;
+
+      const bounds = simulation.getPlayBounds();
+      const dropPoint = simulation.isRoom
+        ? input.getPointOnPlane(e, new THREE.Vector3(0, GROUND_Y, 0), GROUND_UP)
+        : input.getPointOnPlane(e, new THREE.Vector3(0, 0, 0));
+      if (simulation.isRoom) dropPoint.y = GROUND_Y + ROOM_DROP_HEIGHT;
+      dropPoint.x = THREE.MathUtils.clamp(
+        dropPoint.x,
+        bounds.minX + 0.2,
+        bounds.maxX - 0.2,
       );
-
-      desiredHeadPos.x = mouseWorld.x + dragOffset.x;
-      desiredHeadPos.y = mouseWorld.y + dragOffset.y;
-      desiredHeadPos.z = characterBody.position.z;
-
-      const { halfW, halfH } = getViewBounds();
-      const halfModelW = modelSize.x / 2;
-      const modelHeight = modelSize.y;
-
-      desiredHeadPos.x = THREE.MathUtils.clamp(
-        desiredHeadPos.x,
-        -halfW + halfModelW * 0.5,
-        halfW - halfModelW * 0.5,
+      dropPoint.y = THREE.MathUtils.clamp(
+        dropPoint.y,
+        GROUND_Y + 0.2,
+        bounds.maxY,
       );
-
-      desiredHeadPos.y = THREE.MathUtils.clamp(
-        desiredHeadPos.y,
-        -halfH + modelHeight / 2,
-        halfH - modelHeight / 4,
+      dropPoint.z = THREE.MathUtils.clamp(
+        dropPoint.z,
+        bounds.minZ,
+        bounds.maxZ,
       );
-    };
 
-    const onMouseUp = () => {
-      if (!isDragging) return;
-      isDragging = false;
-      boneState = BoneState.RECOVER;
+      createSpawnedItem(scene, world, dropPoint, catalogItem)
+        .then((item) => {
+          if (!disposed) simulation.addItem(item);
+        })
+        .catch((err) =>
+          console.error("Erreur spawn depuis l'inventaire:", err),
+        );
     };
 
-    const onDragOver = (e) => e.preventDefault();
-
-    const onDrop = (e) => {
-      e.preventDefault();
-      if (!mesh) return;
-      screenToNDC(e.clientX, e.clientY);
-      raycaster.setFromCamera(mouse, camera);
-      raycaster.intersectObjects([mesh], true);
+    // Hit sur la tête : stats de la session, réaction animée, tremblement
+    // (santé et suppression de l'item faites ensuite par la simulation)
+    const onItemHit = ({ item, hit, impact }) => {
+      gameSession.recordHit(impact.tier);
+      if (impact.tier === ImpactTier.HEAVY) cameraRig.shake(HEAVY_IMPACT_SHAKE);
+      animationManager.playCollisionAnimation(item, { ...hit, ...impact });
+    };
+    eventBus.on(GameEvent.ITEM_HIT_CHARACTER, onItemHit);
+
+    // Relais des changements de santé sur le bus
+    const emitHealthChange = (data) =>
+      eventBus.emit(GameEvent.HEALTH_CHANGED, data);
+    healthManager.onHealthChange(emitHealthChange);
+
+    // Réanimation depuis l'écran de game over : items supprimés, personnage
+    // replacé au point de départ, santé pleine
+    const revive = () => {
+      simulation.reset();
+      healthManager.revive();
     };
+    reviveRef.current = revive;
 
     const updateLightTarget = () => {
       if (!mesh) return;
@@ -512,7 +622,8 @@ const App = () => {
       dirLight.target.updateMatrixWorld();
     };
 
-    // === Boucle d'animation ===
+    // === Boucle de rendu ===
+    // La simulation avance à pas fixe, le rendu interpole entre deux pas
     let animId;
     let lastTime = performance.now();
 
@@ -520,235 +631,67 @@ const App = () => {
       animId = requestAnimationFrame(animate);
 
       const now = performance.now();
-      const dt = Math.min((now - lastTime) / 1000, 0.05);
+      const frameDt = (now - lastTime) / 1000;
       lastTime = now;
 
-      if (boneState === BoneState.DRAG) {
-        const bodyHalfHeight = 0.5;
-        const minY = GROUND_Y + bodyHalfHeight;
-
-        const stiffness = 600;
-        const damping = 50;
-
-        const currentHeadX = characterBody.position.x;
-        const currentHeadY = characterBody.position.y + HEAD_OFFSET_Y;
-
-        const diffX = desiredHeadPos.x - currentHeadX;
-        const diffY = desiredHeadPos.y - currentHeadY;
+      const { ragdoll } = simulation;
+      // Pendant le fondu de sortie, on repart de la pose d'avant ragdoll
+      if (ragdoll) ragdoll.beginFrame();
 
-        if (characterBody.position.y <= minY) {
-          characterBody.position.y = minY;
-          characterBody.velocity.y = 0;
+      // Caméra avant la simulation : limites de la vue de cette frame
+      cameraRig.update(frameDt);
+      simulation.setViewBounds(cameraRig.viewBounds);
+      // Temps simulé de la frame (0 en pause, réduit au ralenti)
+      const dt = simulation.advance(frameDt);
+      const { boneState } = simulation;
 
-          const forceX = diffX * stiffness - characterBody.velocity.x * damping;
-          characterBody.velocity.x += (forceX / characterBody.mass) * dt;
-        } else {
-          const forceX = diffX * stiffness - characterBody.velocity.x * damping;
-          const forceY = diffY * stiffness - characterBody.velocity.y * damping;
-
-          characterBody.velocity.x += (forceX / characterBody.mass) * dt;
-          characterBody.velocity.y += (forceY / characterBody.mass) * dt;
-        }
-      }
-
-      if (boneState === BoneState.RECOVER) {
-        recoverUpright(characterBody);
-
-        if (
-          characterBody.velocity.length() < 0.05 &&
-          characterBody.angularVelocity.length() < 0.05
-        ) {
-          boneState = BoneState.PHYSICS;
-        }
+      if (mesh) {
+        simulation.getInterpolatedPosition(characterBody, mesh.position);
+        mesh.position.y += MODEL_Y_OFFSET;
       }
 
-      world.step(1 / 60, dt, 3);
-
-      characterBody.position.z = 0;
-
-      clampCharacterWithinBounds();
-
-      if (testBone) {
-        const tiltX = THREE.MathUtils.clamp(
-          -characterBody.velocity.y * 0.15,
-          -0.6,
-          0.6,
-        );
+      spawnedItems.current.forEach((item) => {
+        simulation.getInterpolatedPosition(item.body, item.mesh.position);
+        simulation.getInterpolatedQuaternion(item.body, item.mesh.quaternion);
+      });
 
-        const tiltZ = THREE.MathUtils.clamp(
-          characterBody.velocity.x * 0.15,
-          -0.6,
-          0.6,
-        );
+      // Poubelle... (composants abonnés au bus)
+      eventBus.emit(GameEvent.FRAME, { dt: frameDt, alpha: simulation.alpha });
 
-        testBone.rotation.x += (tiltX - testBone.rotation.x) * 0.15;
-        testBone.rotation.z += (tiltZ - testBone.rotation.z) * 0.15;
+      // Mettre à jour l'AnimationManager
+      if (animationManager) {
+        animationManager.setBoneState(boneState);
+        animationManager.update(dt);
       }
 
-      if (leftArmBone || rightArmBone || leftArmBoneTop || rightArmBoneTop) {
-        const MAX_ARM_ANGLE = 1.2;
-
-        const targetZ = THREE.MathUtils.clamp(
-          -characterBody.velocity.x * 0.5,
-          -MAX_ARM_ANGLE,
-          MAX_ARM_ANGLE,
-        );
-        const targetX = THREE.MathUtils.clamp(
-          characterBody.velocity.y * 0.3,
-          -MAX_ARM_ANGLE,
-          MAX_ARM_ANGLE,
-        );
-
-        const BOT_STIFFNESS = 45;
-        const BOT_DAMPING = 6;
-
-        const fBotZ =
-          (targetZ - armSpringBottom.angleZ) * BOT_STIFFNESS -
-          armSpringBottom.velZ * BOT_DAMPING;
-        armSpringBottom.velZ += fBotZ * dt;
-        armSpringBottom.angleZ += armSpringBottom.velZ * dt;
-        armSpringBottom.angleZ = THREE.MathUtils.clamp(
-          armSpringBottom.angleZ,
-          -MAX_ARM_ANGLE,
-          MAX_ARM_ANGLE,
-        );
-
-        const fBotX =
-          (targetX - armSpringBottom.angleX) * BOT_STIFFNESS -
-          armSpringBottom.velX * BOT_DAMPING;
-        armSpringBottom.velX += fBotX * dt;
-        armSpringBottom.angleX += armSpringBottom.velX * dt;
-        armSpringBottom.angleX = THREE.MathUtils.clamp(
-          armSpringBottom.angleX,
-          -MAX_ARM_ANGLE,
-          MAX_ARM_ANGLE,
-        );
-
-        const TOP_STIFFNESS = 30;
-        const TOP_DAMPING = 4;
-
-        const fTopZ =
-          (targetZ - armSpringTop.angleZ) * TOP_STIFFNESS -
-          armSpringTop.velZ * TOP_DAMPING;
-        armSpringTop.velZ += fTopZ * dt;
-        armSpringTop.angleZ += armSpringTop.velZ * dt;
-        armSpringTop.angleZ = THREE.MathUtils.clamp(
-          armSpringTop.angleZ,
-          -MAX_ARM_ANGLE,
-          MAX_ARM_ANGLE,
-        );
-
-        const fTopX =
-          (targetX - armSpringTop.angleX) * TOP_STIFFNESS -
-          armSpringTop.velX * TOP_DAMPING;
-        armSpringTop.velX += fTopX * dt;
-        armSpringTop.angleX += armSpringTop.velX * dt;
-        armSpringTop.angleX = THREE.MathUtils.clamp(
-          armSpringTop.angleX,
-          -MAX_ARM_ANGLE,
-          MAX_ARM_ANGLE,
-        );
-
+      // === Offsets procéduraux (buste, bras) ajoutés à la pose animée ===
+      // Le mixer repart de la pose de repos à chaque frame
+      if (boneState !== BoneState.RAGDOLL) {
+        const { spineTilt, armBottom, armTop } = simulation.pose;
+        if (testBone) {
+          testBone.rotation.x += spineTilt.x;
+          testBone.rotation.z += spineTilt.z;
+        }
         if (leftArmBone) {
-          leftArmBone.rotation.x = leftArmRest.x + armSpringBottom.angleX;
-          leftArmBone.rotation.z = leftArmRest.z + armSpringBottom.angleZ;
+          leftArmBone.rotation.x += armBottom.angleX;
+          leftArmBone.rotation.z += armBottom.angleZ;
         }
         if (rightArmBone) {
-          rightArmBone.rotation.x = rightArmRest.x + armSpringBottom.angleX;
-          rightArmBone.rotation.z = rightArmRest.z - armSpringBottom.angleZ;
+          rightArmBone.rotation.x += armBottom.angleX;
+          rightArmBone.rotation.z -= armBottom.angleZ;
         }
         if (leftArmBoneTop) {
-          leftArmBoneTop.rotation.x = leftArmRestTop.x + armSpringTop.angleX;
-          leftArmBoneTop.rotation.z = leftArmRestTop.z + armSpringTop.angleZ;
+          leftArmBoneTop.rotation.x += armTop.angleX;
+          leftArmBoneTop.rotation.z += armTop.angleZ;
         }
         if (rightArmBoneTop) {
-          rightArmBoneTop.rotation.x = rightArmRestTop.x + armSpringTop.angleX;
-          rightArmBoneTop.rotation.z = rightArmRestTop.z - armSpringTop.angleZ;
-        }
-      }
-
-      if (mesh) {
-        mesh.position.x = characterBody.position.x;
-        mesh.position.y = characterBody.position.y + MODEL_Y_OFFSET;
-        mesh.position.z = characterBody.position.z;
-      }
-
-      // === Mise à jour des objets spawés ===
-      spawnedItemsRef.current.forEach((item) => {
-        if (item.useSpring && !item.isBeingDragged) {
-          const diffX = item.desiredX - item.body.position.x;
-          const diffY = item.desiredY - item.body.position.y;
-
-          const forceX =
-            diffX * item.springStiffness -
-            item.body.velocity.x * item.springDamping;
-          const forceY =
-            diffY * item.springStiffness -
-            item.body.velocity.y * item.springDamping;
-
-          item.body.velocity.x += (forceX / item.body.mass) * dt;
-          item.body.velocity.y += (forceY / item.body.mass) * dt;
-
-          item.desiredX = item.body.position.x;
-          item.desiredY = item.body.position.y;
-        }
-
-        item.body.position.z = 0;
-        item.body.velocity.z = 0;
-        item.body.angularVelocity.z = 0;
-
-        item.mesh.position.copy(item.body.position);
-        item.mesh.quaternion.copy(item.body.quaternion);
-
-        // === DÉTECTION DE COLLISION AVEC LE MODÈLE ===
-        if (animationManager && modelSize) {
-          // Centrer la détection sur la TÊTE réelle
-          let modelCenterPosition;
-
-          if (headBone) {
-            modelCenterPosition = new THREE.Vector3();
-            headBone.getWorldPosition(modelCenterPosition);
-          } else {
-            modelCenterPosition = new THREE.Vector3(
-              characterBody.position.x,
-              characterBody.position.y + HEAD_OFFSET_Y,
-              characterBody.position.z,
-            );
-          }
-
-          // Taille de collision réduite uniquement pour la tête
-          const headCollisionSize = new THREE.Vector3(0.81, 1, 0.82);
-
-          const collision = animationManager.checkCollision(
-            item.body.position,
-            item.size,
-            modelCenterPosition,
-            headCollisionSize,
-          );
-
-          if (collision) {
-            animationManager.playCollisionAnimation(item);
-            // Supprime l'item de la liste des items spawnés
-            const index = spawnedItemsRef.current.indexOf(item);
-            if (index > -1) {
-              spawnedItemsRef.current.splice(index, 1);
-            }
-          }
+          rightArmBoneTop.rotation.x += armTop.angleX;
+          rightArmBoneTop.rotation.z -= armTop.angleZ;
         }
-      });
-
-      if (window.clampSpawnedItemsWithinBounds) {
-        window.clampSpawnedItemsWithinBounds();
       }
 
-      if (window.checkTrashCollisions) {
-        window.checkTrashCollisions();
-      }
-
-      // Mettre à jour l'AnimationManager
-      if (animationManager) {
-        animationManager.update(dt);
-      }
+      // Pose des os issue du ragdoll (ou du fondu), après le mixer
+      if (ragdoll) ragdoll.update(dt);
 
       updateLightTarget();
       renderer.render(scene, camera);
@@ -761,30 +704,81 @@ const App = () => {
       renderer.setSize(window.innerWidth, window.innerHeight);
     };
 
-    window.addEventListener("mousedown", onMouseDown);
-    window.addEventListener("mousemove", onMouseMove);
-    window.addEventListener("mouseup", onMouseUp);
-    window.addEventListener("touchstart", onMouseDown, { passive: false });
-    window.addEventListener("touchmove", onMouseMove, { passive: false });
-    window.addEventListener("touchend", onMouseUp);
     window.addEventListener("resize", onResize);
     renderer.domElement.addEventListener("dragover", onDragOver);
     renderer.domElement.addEventListener("drop", onDrop);
 
     return () => {
+      disposed = true;
+      if (stopAutoSave) stopAutoSave();
+      animationManager.dispose();
+      eventBus.off(GameEvent.ITEM_HIT_CHARACTER, onItemHit);
+      healthManager.offHealthChange(emitHealthChange);
+      needsManager.offNeedsChange(onNeedsChange);
+      simulation.setRagdoll(null);
+      simulation.getHeadPosition = null;
+      characterLoaderRef.current = null;
+      reviveRef.current = null;
       cancelAnimationFrame(animId);
-      window.removeEventListener("mousedown", onMouseDown);
-      window.removeEventListener("mousemove", onMouseMove);
-      window.removeEventListener("mouseup", onMouseUp);
-      window.removeEventListener("touchstart", onMouseDown);
-      window.removeEventListener("touchmove", onMouseMove);
-      window.removeEventListener("touchend", onMouseUp);
       window.removeEventListener("resize", onResize);
       renderer.domElement.removeEventListener("dragover", onDragOver);
       renderer.domElement.removeEventListener("drop", onDrop);
+      input.dispose();
+      inputRef.current = null;
+      controls.dispose();
+      controlsRef.current = null;
+      cameraRig.dispose();
+      cameraRigRef.current = null;
+      simulation.offPlayModeChange(onPlayModeChange);
+      if (environmentRef.current) environmentRef.current.dispose();
+      environmentRef.current = null;
       renderer.dispose();
     };
-  }, [healthManager]);
+  }, [healthManager, gameSession, needsManager, eventBus, simulation]);
+
+  // Export / import manuel de la scène (partage entre testeurs)
+  const handleExport = () => {
+    exportSnapshotToFile(
+      createSnapshot({
+        characterBody: simulation.characterBody,
+        spawnedItems: simulation.spawnedItems.current,
+        healthManager,
+        needsManager,
+      }),
+    );
+  };
+
+  const handleImport = (snapshot) =>
+    restoreSnapshot(snapshot, {
+      scene: sceneRef.current,
+      world: simulation.world,
+      characterBody: simulation.characterBody,
+      spawnedItems: simulation.spawnedItems,
+      healthManager,
+      needsManager,
+      eventBus,
+    });
+
+  // Changement de pièce : l'ancienne est retirée de la scène et du monde
+  const handleSelectRoom = (room) => {
+    if (!sceneRef.current) return;
+    if (environmentRef.current) environmentRef.current.dispose();
+    environmentRef.current = new Environment(room, {
+      scene: sceneRef.current,
+      simulation,
+      defaultPlayMode: PLAY_MODE,
+    });
+    setRoomId(room.id);
+  };
+
+  const currentRoom = getRoomById(roomId);
+
+  // Changement de personnage depuis le sélecteur
+  const handleSelectCharacter = async (character) => {
+    if (!characterLoaderRef.current) return;
+    const loaded = await characterLoaderRef.current(character);
+    if (loaded) setCharacterId(character.id);
+  };
 
   return (
     <main className="relative w-full h-screen">
@@ -792,36 +786,73 @@ const App = () => {
       <HealthBar
         healthManager={healthManager}
         className="absolute bottom-80 left-5"
-      />
+      >
+        <NeedsBars needsManager={needsManager} />
+      </HealthBar>
+      <StatusEffectBar statusEffects={statusEffects} />
       <h1 className="absolute p-5">Human.exe POC</h1>
+      <SimulationControls simulation={simulation} />
+      {cameraRigRef.current && (
+        <CameraControls cameraRig={cameraRigRef.current} />
+      )}
       <ButtonAddItem
         scene={sceneRef.current}
-        world={worldRef.current}
-        camera={cameraRef.current}
-        renderer={rendererRef.current}
-        spawnedItems={spawnedItemsRef}
+        world={simulation.world}
+        input={inputRef.current}
+        controls={controlsRef.current}
+        spawnedItems={simulation.spawnedItems}
+        eventBus={eventBus}
         modelSize={modelSizeRef.current}
-        characterBody={characterBodyRef.current}
-        getViewBounds={() => {
-          const camera = cameraRef.current;
-          const mesh = meshRef.current;
-          if (!camera || !mesh) return { halfW: 5, halfH: 5 };
-          const distance = camera.position.z - mesh.position.z;
-          const vFov = THREE.MathUtils.degToRad(camera.fov);
-          const viewHeight = 2 * Math.tan(vFov / 2) * distance;
-          const viewWidth = viewHeight * camera.aspect;
-          return { halfW: viewWidth / 2, halfH: viewHeight / 2 };
-        }}
+        characterBody={simulation.characterBody}
+        getPlayBounds={() => simulation.getPlayBounds()}
+        isRoomMode={() => simulation.isRoom}
+        getSpawnPoint={() =>
+          environmentRef.current && environmentRef.current.nextSpawnPoint()
+        }
+        addItem={(item) => simulation.addItem(item)}
       />
-      {sceneRef.current && cameraRef.current && (
+      {sceneRef.current && (
         <Trash
           scene={sceneRef.current}
-          camera={cameraRef.current}
-          spawnedItems={spawnedItemsRef}
-          world={worldRef.current}
-          renderer={rendererRef.current}
+          simulation={simulation}
+          input={inputRef.current}
+          eventBus={eventBus}
+          trashPosition={currentRoom && currentRoom.trashPosition}
         />
       )}
+      {controlsRef.current && <ControlsPanel controls={controlsRef.current} />}
+      <Inventory spawnedItems={simulation.spawnedItems} eventBus={eventBus} />
+      <CharacterPicker
+        currentId={characterId}
+        onSelect={handleSelectCharacter}
+        onImportFile={(file) =>
+          setImportRequest({ file, kind: ImportKind.CHARACTER })
+        }
+        disabled={!isReady}
+      />
+      <RoomPicker
+        currentId={roomId}
+        onSelect={handleSelectRoom}
+        disabled={!isReady}
+      />
+      {importRequest && (
+        <ImportDialog
+          key={`${importRequest.file.name}-${importRequest.file.lastModified}`}
+          file={importRequest.file}
+          initialKind={importRequest.kind}
+          onClose={() => setImportRequest(null)}
+          onCharacterImported={handleSelectCharacter}
+        />
+      )}
+      <SaveControls
+        onExport={handleExport}
+        onImport={handleImport}
+        disabled={!isReady}
+      />
+      <GameOverOverlay
+        session={gameSession}
+        onRevive={() => reviveRef.current && reviveRef.current()}
+      />
       <canvas ref={canvasRef} />
     </main>
   );
@@ -1,31 +1,206 @@
 // ui/animation.jsx
-// Système complet de gestion des animations avec détection de collision
+// Système complet de gestion des animations déclenchées par les hits sur la tête
+// (la détection est faite par HeadSensor via les contacts Cannon-es)
+// Machine à états : idle / santé basse en boucle, réaction, blessure, mort, réanimation
+// L'idle varie aussi avec l'humeur (besoin bas : fatigué, affamé, triste)
+// - Transitions en crossfade via l'AnimationMixer (événement "finished", pas de timer)
+// - Pilotée par les changements de santé (HealthManager) et le BoneState d'App
 // ✅ VERSION STABLE - AVEC GESTION DE SANTÉ
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import * as THREE from "three";
+import { getCatalogItemByModelPath, getCatalogItems } from "./ItemCatalog";
+import { ImpactTier } from "./ImpactModel";
+import { ASSET_URLS } from "./Assets";
+import { BoneState } from "./Simulation";
+
+// Réglages de lecture par palier d'impact
+// light = petit sursaut (rapide, amplitude réduite), heavy = réaction complète
+const REACTION_PROFILES = {
+  [ImpactTier.LIGHT]: { timeScale: 1.6, weight: 0.5 },
+  [ImpactTier.HEAVY]: { timeScale: 1, weight: 1 },
+};
+
+export const AnimState = {
+  IDLE: "idle",
+  LOW_HEALTH: "lowHealth",
+  // Idles d'humeur (NeedsManager.getMood)
+  TIRED: "tired",
+  HUNGRY: "hungry",
+  SAD: "sad",
+  REACTION: "reaction",
+  HURT: "hurt",
+  DEAD: "dead",
+  REVIVE: "revive",
+  // Ragdoll actif : le mixer n'anime plus le squelette
+  SUSPENDED: "suspended",
+};
+
+// Clip et réglages de chaque état (les réactions viennent du catalogue d'items)
+const STATE_CLIPS = {
+  [AnimState.IDLE]: {
+    file: "animation1.glb",
+    loop: true,
+    timeScale: 0.5,
+    weight: 0.35,
+  },
+  [AnimState.LOW_HEALTH]: {
+    file: "animation1.glb",
+    loop: true,
+    timeScale: 0.25,
+    weight: 0.6,
+  },
+  [AnimState.TIRED]: {
+    file: "animation1.glb",
+    loop: true,
+    timeScale: 0.15,
+    weight: 0.7,
+  },
+  [AnimState.HUNGRY]: {
+    file: "animation-b.glb",
+    loop: true,
+    timeScale: 0.5,
+    weight: 0.25,
+  },
+  [AnimState.SAD]: {
+    file: "animation-o.glb",
+    loop: true,
+    timeScale: 0.3,
+    weight: 0.3,
+  },
+  [AnimState.HURT]: { file: "animation-r.glb", timeScale: 1.8, weight: 0.6 },
+  [AnimState.DEAD]: {
+    file: "animation-r.glb",
+    timeScale: 0.6,
+    weight: 1,
+    clamp: true,
+  },
+  [AnimState.REVIVE]: { file: "animation-v.glb", timeScale: 1.2, weight: 1 },
+};
 
-// Mapping des modèles d'items vers leurs animations correspondantes
-// ⚠️ IMPORTANT: Ne mettez QUE les cubes que vous utilisez vraiment!
-const ANIMATION_MAPPING = {
-  "cube-r.glb": new URL("../assets/3D/animation-r.glb", import.meta.url).href,
-  "cube-b.glb": new URL("../assets/3D/animation-b.glb", import.meta.url).href,
-  "cube-v.glb": new URL("../assets/3D/animation-v.glb", import.meta.url).href,
-  "cube-o.glb": new URL("../assets/3D/animation-o.glb", import.meta.url).href,
+// Que faire d'un hit reçu pendant une réaction
+// - queue : la réaction est jouée à la fin de la réaction en cours
+// - interrupt : la nouvelle réaction remplace la courante (crossfade)
+// - additive : la nouvelle réaction est ajoutée par-dessus (couche additive)
+export const InteractionPolicy = {
+  QUEUE: "queue",
+  INTERRUPT: "interrupt",
+  ADDITIVE: "additive",
 };
+const MAX_QUEUED_REACTIONS = 3;
+
+// États joués une seule fois avant de revenir à l'état de base
+const ONE_SHOT_STATES = [AnimState.REACTION, AnimState.HURT, AnimState.REVIVE];
+const CROSSFADE_TIME = 0.25;
+// Sous ce ratio de santé, l'idle est remplacé par l'état "santé basse"
+const LOW_HEALTH_RATIO = 0.25;
+// États de repos en boucle, remplacés entre eux sans attendre la fin du clip
+const BASE_STATES = [
+  AnimState.IDLE,
+  AnimState.LOW_HEALTH,
+  AnimState.TIRED,
+  AnimState.HUNGRY,
+  AnimState.SAD,
+];
+const MOOD_STATES = [AnimState.TIRED, AnimState.HUNGRY, AnimState.SAD];
 
 export class AnimationManager {
-  constructor(scene, mesh, skeleton, healthManager = null) {
+  constructor(
+    scene,
+    mesh,
+    skeleton,
+    healthManager = null,
+    interactionPolicy = InteractionPolicy.QUEUE,
+  ) {
     this.scene = scene;
     this.mesh = mesh;
     this.skeleton = skeleton;
     this.healthManager = healthManager; // ✅ NOUVEAU: Lien vers le gestionnaire de santé
     this.mixer = null;
-    this.actions = {};
+    this.actions = {}; // Action de chaque état (idle, hurt, ...)
+    this.reactionActions = {}; // Action de chaque clip de réaction
+    this.additiveActions = {}; // Idem en mode additif
+    this.interactionPolicy = interactionPolicy;
+    this.reactionQueue = []; // Réactions en attente (politique "queue")
+    this.isLoadingReaction = false;
+    // Items déjà traités : l'effet de santé n'est appliqué qu'une fois
+    this.consumedItems = new WeakSet();
     this.currentAction = null;
-    this.isAnimationPlaying = false;
+    this.state = AnimState.IDLE;
+    this.boneState = null;
+    this.idleMood = null; // Humeur donnée par les besoins (tired, hungry, sad)
     this.collisionCooldown = 0;
     this.COLLISION_COOLDOWN_TIME = 1.5;
     this.animationClips = {}; // Cache pour stocker les animations chargées
+    this.lastImpact = null; // Dernier impact reçu (vitesse, source)
+    this.restPose = new Map(); // Pose de repos des os (base de chaque frame)
+
+    this.onFinished = this.onFinished.bind(this);
+    this.onHealthChange = this.onHealthChange.bind(this);
+    if (this.healthManager) {
+      this.healthManager.onHealthChange(this.onHealthChange);
+    }
+
+    if (skeleton) this.setCharacter(mesh, skeleton);
+  }
+
+  // Une réaction est en cours (ou en chargement)
+  get isAnimationPlaying() {
+    return this.state === AnimState.REACTION || this.isLoadingReaction;
+  }
+
+  setInteractionPolicy(policy) {
+    this.interactionPolicy = policy;
+    if (policy !== InteractionPolicy.QUEUE) this.reactionQueue = [];
+  }
+
+  // Change de personnage : le mixer est recréé sur le nouveau modèle
+  setCharacter(mesh, skeleton) {
+    if (this.mixer) {
+      this.mixer.removeEventListener("finished", this.onFinished);
+      this.mixer.stopAllAction();
+      this.mixer.uncacheRoot(this.mixer.getRoot());
+      this.mixer = null;
+    }
+    this.mesh = mesh;
+    this.skeleton = skeleton;
+    this.actions = {};
+    this.reactionActions = {};
+    this.additiveActions = {};
+    this.reactionQueue = [];
+    this.currentAction = null;
+    this.restPose.clear();
+    if (!skeleton) return;
+    this.state = this.getBaseState();
+
+    skeleton.bones.forEach((bone) => {
+      this.restPose.set(bone, {
+        position: bone.position.clone(),
+        quaternion: bone.quaternion.clone(),
+        scale: bone.scale.clone(),
+      });
+    });
+
+    let skinnedMesh = null;
+    mesh.traverse((obj) => {
+      if (obj.isSkinnedMesh && obj.skeleton === skeleton) skinnedMesh = obj;
+    });
+    const mixer = new THREE.AnimationMixer(skinnedMesh || mesh);
+    mixer.addEventListener("finished", this.onFinished);
+    this.mixer = mixer;
+
+    // Les clips des états sont chargés une fois puis liés au nouveau mixer
+    Object.entries(STATE_CLIPS).forEach(([state, config]) => {
+      this.loadAnimation(ASSET_URLS[config.file])
+        .then((clip) => {
+          if (this.mixer !== mixer) return;
+          // Clip cloné : chaque état a sa propre action, même avec un fichier partagé
+          const stateClip = clip.clone();
+          stateClip.name = `${clip.name}:${state}`;
+          this.actions[state] = mixer.clipAction(stateClip);
+          if (this.state === state && !this.currentAction) this.play(state);
+        })
+        .catch((err) => console.warn(`⚠️ Clip "${state}" indisponible`, err));
+    });
   }
 
   // Charge l'animation depuis le fichier GLB spécifié
@@ -50,7 +225,6 @@ export class AnimationManager {
 
           // Stocke l'animation dans le cache
           this.animationClips[animationPath] = animationClip;
-          console.log("✅ Animation chargée:", animationClip.name);
           resolve(animationClip);
         },
         undefined,
@@ -63,189 +237,307 @@ export class AnimationManager {
   }
 
   // Récupère le chemin d'animation correspondant au modèle de l'item
-  getAnimationPathForItem(itemModelPath) {
+  // tier: palier d'impact, permet une réaction différente light / heavy
+  getAnimationPathForItem(itemModelPath, tier = ImpactTier.HEAVY) {
     if (!itemModelPath) {
       console.warn("⚠️ itemModelPath est null ou undefined");
       return null;
     }
 
-    // Extrait le nom du fichier du chemin complet
-    const modelFileName = itemModelPath.split("/").pop();
-    console.log("📁 Cherche animation pour:", modelFileName);
-
-    // Retourne le chemin d'animation correspondant ou undefined si pas trouvé
-    const animPath = ANIMATION_MAPPING[modelFileName];
+    // L'animation de réaction est définie par l'entrée du catalogue
+    const catalogItem = getCatalogItemByModelPath(itemModelPath);
+    const animPath = catalogItem
+      ? catalogItem.reactionPaths[tier] || catalogItem.animationPath
+      : undefined;
     if (!animPath) {
+      const modelFileName = itemModelPath.split("/").pop();
       console.warn(`⚠️ Pas d'animation trouvée pour ${modelFileName}`);
-      console.warn("Cubes disponibles:", Object.keys(ANIMATION_MAPPING));
+      console.warn(
+        "Items disponibles:",
+        getCatalogItems().map((item) => item.id),
+      );
     }
     return animPath;
   }
 
-  // Initialise le mixer avec le skeleton du modèle
-  initializeMixer(scene) {
-    // Crée un mixer pour animer le skeleton
-    const mesh = scene.getObjectByProperty("type", "SkinnedMesh");
-    if (mesh && mesh.skeleton) {
-      // On utilisera le skeleton existant du modèle pour jouer l'animation
-      this.prepareMixer(mesh);
+  // État de repos selon la santé (santé basse prioritaire) puis l'humeur
+  getBaseState() {
+    const moodState = MOOD_STATES.includes(this.idleMood)
+      ? this.idleMood
+      : AnimState.IDLE;
+    if (!this.healthManager) return moodState;
+    if (this.healthManager.isDead()) return AnimState.DEAD;
+    const { currentHealth, maxHealth } = this.healthManager;
+    return currentHealth / maxHealth <= LOW_HEALTH_RATIO
+      ? AnimState.LOW_HEALTH
+      : moodState;
+  }
+
+  // Rejoue l'état de repos s'il a changé (seulement depuis un autre repos)
+  refreshBaseState() {
+    const baseState = this.getBaseState();
+    if (BASE_STATES.includes(this.state) && this.state !== baseState) {
+      this.play(baseState);
     }
   }
 
-  // Prépare le mixer en cherchant le modèle skinné
-  prepareMixer(skinnedMesh) {
-    // L'animation va être appliquée au skeleton existant
-    this.skinnedMesh = skinnedMesh;
+  // mood : AnimState.TIRED / HUNGRY / SAD, ou null pour l'idle normal
+  setIdleMood(mood) {
+    if (mood === this.idleMood) return;
+    this.idleMood = mood;
+    this.refreshBaseState();
+  }
+
+  // Lance l'action d'un état en crossfade depuis l'action courante
+  // action: action explicite (réaction), sinon celle de l'état
+  play(state, action = this.actions[state], settings = STATE_CLIPS[state]) {
+    const previous = this.currentAction;
+    this.state = state;
+    this.currentAction = action || null;
+
+    if (!action) {
+      if (previous) previous.fadeOut(CROSSFADE_TIME);
+      return;
+    }
+
+    const {
+      loop = false,
+      timeScale = 1,
+      weight = 1,
+      clamp = false,
+    } = settings || {};
+    // La liaison au mixer mémorise l'état d'origine des os : on part du repos
+    this.restoreRestPose();
+    action.reset();
+    action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+    action.clampWhenFinished = clamp;
+    action.setEffectiveTimeScale(timeScale);
+    action.setEffectiveWeight(weight);
+    action.play();
+
+    if (previous && previous !== action) {
+      previous.fadeOut(CROSSFADE_TIME);
+      action.fadeIn(CROSSFADE_TIME);
+    }
+  }
+
+  // Fin d'un clip joué une fois : réaction en file ou retour à l'état de base
+  onFinished(event) {
+    if (event.action !== this.currentAction) return;
+    if (this.state === AnimState.REACTION) {
+      this.playNextReaction();
+    } else if (ONE_SHOT_STATES.includes(this.state)) {
+      this.play(this.getBaseState());
+    }
   }
 
-  // Lance l'animation quand il y a collision
-  async playCollisionAnimation(itemToRemove) {
-    // Ignore new interactions if an animation is already playing
-    if (this.isAnimationPlaying) {
-      console.log("⛔ Animation already playing - interaction ignored");
+  // Transitions pilotées par la santé
+  onHealthChange({ currentHealth, change, itemStats }) {
+    // Les réactions en attente sont abandonnées à la mort
+    if (currentHealth <= 0) this.reactionQueue = [];
+    if (this.state === AnimState.SUSPENDED) return;
+
+    if (currentHealth <= 0) {
+      if (this.state !== AnimState.DEAD) this.play(AnimState.DEAD);
+      return;
+    }
+    if (this.state === AnimState.DEAD) {
+      this.play(AnimState.REVIVE);
+      return;
+    }
+    // Dégâts hors réaction (la réaction montre déjà l'impact)
+    // Les ticks (poison, besoin vide) ne rejouent pas la blessure
+    const isStatusTick = Boolean(
+      itemStats && (itemStats.statusEffect || itemStats.need),
+    );
+    if (change < 0 && !this.isAnimationPlaying && !isStatusTick) {
+      this.play(AnimState.HURT);
       return;
     }
+    // Idle normal ↔ santé basse
+    this.refreshBaseState();
+  }
 
+  // Transitions pilotées par le BoneState d'App (appelé chaque frame)
+  setBoneState(boneState) {
+    if (boneState === this.boneState) return;
+    const wasRagdoll = this.boneState === BoneState.RAGDOLL;
+    this.boneState = boneState;
+
+    if (boneState === BoneState.RAGDOLL) {
+      // Les os suivent la physique : plus d'animation (sauf la mort, figée)
+      if (this.state !== AnimState.DEAD) this.play(AnimState.SUSPENDED, null);
+    } else if (wasRagdoll && this.state === AnimState.SUSPENDED) {
+      this.play(this.getBaseState());
+    }
+  }
+
+  restoreRestPose() {
+    this.restPose.forEach((pose, bone) => {
+      bone.position.copy(pose.position);
+      bone.quaternion.copy(pose.quaternion);
+      bone.scale.copy(pose.scale);
+    });
+  }
+
+  // Interaction d'un item avec la tête : réaction, une seule fois par item
+  // L'effet de santé et la suppression de l'item sont faits par la Simulation ;
+  // la réaction suit la politique d'interaction si une réaction est déjà en cours
+  // impact: hit de HeadSensor enrichi par classifyImpact
+  // ({ impactVelocity, relativeVelocity, source, tier, impulse, multiplier })
+  playCollisionAnimation(itemToRemove, impact = null) {
     // SÉCURITÉ: Vérifier que itemToRemove existe
     if (!itemToRemove) {
       console.warn("⚠️ itemToRemove est null ou undefined");
       return;
     }
+    if (this.consumedItems.has(itemToRemove)) return;
+    this.consumedItems.add(itemToRemove);
 
-    // Récupère le chemin d'animation basé sur le modèle de l'item
+    // Récupère le chemin d'animation basé sur le modèle de l'item et la force de l'impact
+    const tier = impact && impact.tier ? impact.tier : ImpactTier.HEAVY;
+    const reaction = REACTION_PROFILES[tier] || REACTION_PROFILES.heavy;
     let animationPath = null;
     if (itemToRemove.modelPath) {
-      animationPath = this.getAnimationPathForItem(itemToRemove.modelPath);
+      animationPath = this.getAnimationPathForItem(
+        itemToRemove.modelPath,
+        tier,
+      );
     }
 
-    if (!animationPath) {
+    this.collisionCooldown = this.COLLISION_COOLDOWN_TIME;
+    this.lastImpact = impact;
+
+    // Réaction lancée avant l'effet de santé : les dégâts ne déclenchent
+    // pas en plus l'état "hurt"
+    if (animationPath) {
+      this.scheduleReaction({ animationPath, reaction });
+    } else {
       console.warn("❌ Pas d'animation trouvée pour cet item");
+    }
+
+    if (!itemToRemove.stats) {
+      console.warn("⚠️ Aucun stats trouvé sur itemToRemove");
+    }
+  }
+
+  // Réaction déjà en cours : file d'attente, interruption ou couche additive
+  scheduleReaction(request) {
+    if (
+      !this.mixer ||
+      this.state === AnimState.DEAD ||
+      this.state === AnimState.SUSPENDED
+    ) {
+      return;
+    }
+
+    if (!this.isAnimationPlaying) {
+      this.startReaction(request);
       return;
     }
 
-    // Charge l'animation appropriée
+    switch (this.interactionPolicy) {
+      case InteractionPolicy.INTERRUPT:
+        this.startReaction(request);
+        break;
+      case InteractionPolicy.ADDITIVE:
+        this.startAdditiveReaction(request);
+        break;
+      default:
+        this.reactionQueue.push(request);
+        // File pleine : la plus ancienne réaction est abandonnée
+        // (son effet de santé a déjà été appliqué)
+        if (this.reactionQueue.length > MAX_QUEUED_REACTIONS) {
+          this.reactionQueue.shift();
+        }
+    }
+  }
+
+  // Réaction complète : remplace l'état courant en crossfade
+  async startReaction({ animationPath, reaction }) {
+    const mixer = this.mixer;
+    this.isLoadingReaction = true;
     let animationClip;
     try {
       animationClip = await this.loadAnimation(animationPath);
     } catch (error) {
       console.error("❌ Erreur lors du chargement de l'animation:", error);
-      return;
+      animationClip = null;
     }
+    this.isLoadingReaction = false;
 
-    this.isAnimationPlaying = true;
-    this.collisionCooldown = this.COLLISION_COOLDOWN_TIME;
-
-    // Récupère le modèle skinné de la scène
-    let skinnedMesh = null;
-    this.scene.traverse((obj) => {
-      if (obj.isSkinnedMesh && obj.skeleton) {
-        skinnedMesh = obj;
-      }
-    });
-
-    if (!skinnedMesh || !skinnedMesh.skeleton) {
-      console.warn("⚠️ SkinnedMesh ou skeleton non trouvé");
-      this.isAnimationPlaying = false;
+    if (
+      this.mixer !== mixer ||
+      this.state === AnimState.DEAD ||
+      this.state === AnimState.SUSPENDED
+    ) {
+      return;
+    }
+    if (!animationClip) {
+      this.playNextReaction();
       return;
     }
 
-    // Stocke les rotations et positions originales des bones
-    const originalBoneStates = new Map();
-    skinnedMesh.skeleton.bones.forEach((bone) => {
-      originalBoneStates.set(bone, {
-        position: bone.position.clone(),
-        quaternion: bone.quaternion.clone(),
-        scale: bone.scale.clone(),
-      });
-    });
-
-    // Crée ou réutilise le mixer
-    if (!this.mixer) {
-      // On crée un mixer basé sur le skeleton
-      this.mixer = new THREE.AnimationMixer(skinnedMesh);
-    } else {
-      // IMPORTANT: Arrête les actions précédentes
-      this.mixer.stopAllAction();
+    if (!this.reactionActions[animationPath]) {
+      const reactionClip = animationClip.clone();
+      reactionClip.name = `${animationClip.name}:reaction`;
+      this.reactionActions[animationPath] = mixer.clipAction(reactionClip);
     }
+    this.play(
+      AnimState.REACTION,
+      this.reactionActions[animationPath],
+      reaction,
+    );
+  }
 
-    // Joue l'animation
+  // Réaction jouée par-dessus la réaction en cours (mode additif)
+  async startAdditiveReaction({ animationPath, reaction }) {
+    const mixer = this.mixer;
+    let animationClip;
     try {
-      const action = this.mixer.clipAction(animationClip);
-      action.clampWhenFinished = true;
-      action.loop = THREE.LoopOnce;
-      action.reset();
-      action.play();
-
-      console.log("🎬 Animation lancée pour:", animationPath);
+      animationClip = await this.loadAnimation(animationPath);
     } catch (error) {
-      console.error("❌ Erreur lors de la lecture de l'animation:", error);
-      this.isAnimationPlaying = false;
+      console.error("❌ Erreur lors du chargement de l'animation:", error);
       return;
     }
-
-    // === DEBUG ITEM COMPLET DANS LA CONSOLE ===
-    console.log("🧩 itemToRemove complet :", itemToRemove);
-
-    if (itemToRemove && itemToRemove.stats) {
-      console.log("🎁 Item reçu !");
-      console.log("📊 Stats de l'item :", itemToRemove.stats);
-    } else {
-      console.warn("⚠️ Aucun stats trouvé sur itemToRemove");
+    if (this.mixer !== mixer) return;
+
+    if (!this.additiveActions[animationPath]) {
+      const additiveClip = animationClip.clone();
+      additiveClip.name = `${animationClip.name}:additive`;
+      THREE.AnimationUtils.makeClipAdditive(additiveClip);
+      this.additiveActions[animationPath] = mixer.clipAction(
+        additiveClip,
+        undefined,
+        THREE.AdditiveAnimationBlendMode,
+      );
     }
 
-    // === ✅ APPLIQUE L'EFFET DE SANTÉ ===
-    if (itemToRemove && itemToRemove.stats && this.healthManager) {
-      console.log("❤️ Application de l'effet de santé:", itemToRemove.stats);
-      this.healthManager.applyItemEffect(itemToRemove.stats);
-    } else if (!this.healthManager) {
-      console.warn("⚠️ HealthManager non disponible");
-    }
+    const action = this.additiveActions[animationPath];
+    action.reset();
+    action.setLoop(THREE.LoopOnce, 1);
+    action.clampWhenFinished = false;
+    action.setEffectiveTimeScale(reaction.timeScale);
+    action.setEffectiveWeight(reaction.weight);
+    action.play();
+    action.fadeIn(CROSSFADE_TIME);
+  }
 
-    // === SUPPRIME L'ITEM IMMÉDIATEMENT ===
-    if (itemToRemove) {
-      try {
-        // Supprime le mesh de la scène
-        if (itemToRemove.mesh) {
-          this.scene.remove(itemToRemove.mesh);
-        }
-        // Supprime le body du monde physique
-        if (itemToRemove.body && itemToRemove.body.world) {
-          itemToRemove.body.world.removeBody(itemToRemove.body);
-        }
-        console.log("💨 Item supprimé!");
-      } catch (error) {
-        console.error("⚠️ Erreur lors de la suppression de l'item:", error);
-      }
+  // Réaction suivante de la file, sinon retour à l'état de base
+  playNextReaction() {
+    if (this.reactionQueue.length > 0) {
+      this.startReaction(this.reactionQueue.shift());
+    } else {
+      this.play(this.getBaseState());
     }
-
-    // Nettoie après l'animation et réinitialise les bones
-    const animationDuration = animationClip.duration * 1000;
-    setTimeout(() => {
-      try {
-        this.isAnimationPlaying = false;
-
-        // Réinitialise les bones à leur état original
-        skinnedMesh.skeleton.bones.forEach((bone) => {
-          const originalState = originalBoneStates.get(bone);
-          if (originalState) {
-            bone.position.copy(originalState.position);
-            bone.quaternion.copy(originalState.quaternion);
-            bone.scale.copy(originalState.scale);
-          }
-        });
-
-        console.log("✅ Modèle revenu à sa position d'origine");
-      } catch (error) {
-        console.error("⚠️ Erreur lors de la réinitialisation:", error);
-        this.isAnimationPlaying = false;
-      }
-    }, animationDuration);
   }
 
   // Appelle cette fonction chaque frame
+  // Les os repartent de la pose de repos, puis le mixer applique les clips
   update(dt) {
     if (this.mixer) {
       try {
+        this.restoreRestPose();
         this.mixer.update(dt);
       } catch (error) {
         console.error("⚠️ Erreur mixer.update:", error);
@@ -258,26 +550,10 @@ export class AnimationManager {
     }
   }
 
-  // Détecte si deux sphères (item et modèle) se chevauchent
-  // Sans marge supplémentaire - détection exacte sur le modèle
-  checkCollision(itemPosition, itemSize, characterPosition, characterSize) {
-    // Completely disable collision checks while animation is playing
-    if (this.isAnimationPlaying) {
-      return false;
-    }
-
-    if (!itemPosition || !characterPosition || !itemSize || !characterSize) {
-      return false;
+  dispose() {
+    if (this.healthManager) {
+      this.healthManager.offHealthChange(this.onHealthChange);
     }
-
-    const itemRadius = Math.max(itemSize.x, itemSize.y, itemSize.z) / 2;
-    const characterRadius =
-      Math.max(characterSize.x, characterSize.y, characterSize.z) / 2;
-
-    const distance = itemPosition.distanceTo(characterPosition);
-    // Détection EXACTE sans coefficient de marge
-    const minDistance = itemRadius + characterRadius;
-
-    return distance < minDistance;
+    this.setCharacter(this.mesh, null);
   }
 }
@@ -0,0 +1,12 @@
+// Assets.js
+// Toutes les ressources GLB disponibles, indexées par nom de fichier
+// (ex: "cube-v.glb" → URL finale générée par Vite)
+export const ASSET_URLS = Object.fromEntries(
+  Object.entries(
+    import.meta.glob("../assets/3D/*.glb", {
+      eager: true,
+      query: "?url",
+      import: "default",
+    }),
+  ).map(([path, url]) => [path.split("/").pop(), url]),
+);
@@ -0,0 +1,170 @@
+// BoneMapping.js
+// Correspondance entre rôles sémantiques (spine, head, bras, jambes) et os du squelette
+// Les profils sont définis dans data/boneProfiles.json :
+// - "bones" : rôle → nom d'os (ou liste de noms candidats)
+// - "prefix" : préfixe regex ignoré dans les noms d'os (ex: mixamorig:, mixamorig1:)
+// - "vrm" : utilise en priorité les humanBones de l'extension VRM du GLB
+// Sans profil imposé, le profil qui résout le plus de rôles est choisi
+import { PropertyBinding } from "three";
+import profileData from "../data/boneProfiles.json";
+
+export const BONE_ROLES = profileData.roles;
+
+// Les noms d'os sont nettoyés par GLTFLoader ("mixamorig:Head" → "mixamorigHead")
+function normalizeName(name, prefix = null) {
+  let normalized = PropertyBinding.sanitizeNodeName(name || "");
+  if (prefix) normalized = normalized.replace(prefix, "");
+  return normalized.toLowerCase();
+}
+
+function validateProfile(profile, index, seenIds) {
+  const errors = [];
+  const label = profile && profile.id ? `"${profile.id}"` : `#${index}`;
+
+  if (!profile || typeof profile.id !== "string" || !profile.id) {
+    return [`Profil ${label}: "id" manquant`];
+  }
+  if (seenIds.has(profile.id)) errors.push(`Profil ${label}: "id" en double`);
+  if (!profile.bones || typeof profile.bones !== "object") {
+    errors.push(`Profil ${label}: "bones" manquant`);
+    return errors;
+  }
+
+  Object.entries(profile.bones).forEach(([role, names]) => {
+    if (!BONE_ROLES.includes(role)) {
+      errors.push(`Profil ${label}: rôle inconnu (${role})`);
+    }
+    const list = Array.isArray(names) ? names : [names];
+    if (list.some((name) => typeof name !== "string" || !name)) {
+      errors.push(`Profil ${label}: nom d'os invalide pour "${role}"`);
+    }
+  });
+  return errors;
+}
+
+const profileErrors = [];
+const PROFILES = [];
+const seenIds = new Set();
+(profileData.profiles || []).forEach((profile, index) => {
+  const errors = validateProfile(profile, index, seenIds);
+  if (errors.length > 0) {
+    profileErrors.push(...errors);
+    return;
+  }
+  seenIds.add(profile.id);
+  PROFILES.push({
+    ...profile,
+    prefix: profile.prefix ? new RegExp(`^${profile.prefix}`, "i") : null,
+  });
+});
+
+if (profileErrors.length > 0) {
+  console.warn("⚠️ Profils d'os invalides:", profileErrors);
+}
+
+export function getBoneProfiles() {
+  return PROFILES;
+}
+
+export function getBoneProfileErrors() {
+  return profileErrors;
+}
+
+export function getBoneProfileById(id) {
+  return PROFILES.find((profile) => profile.id === id) || null;
+}
+
+// humanBones de l'extension VRM (0.x ou 1.0) → { rôle: os }
+// gltf : résultat de GLTFLoader (parser.json contient les extensions brutes)
+export function getVrmHumanBones(gltf, skeleton) {
+  const json = gltf && gltf.parser && gltf.parser.json;
+  const extensions = (json && json.extensions) || {};
+  let entries = [];
+  if (extensions.VRMC_vrm && extensions.VRMC_vrm.humanoid) {
+    entries = Object.entries(extensions.VRMC_vrm.humanoid.humanBones || {}).map(
+      ([role, bone]) => [role, bone.node],
+    );
+  } else if (extensions.VRM && extensions.VRM.humanoid) {
+    entries = (extensions.VRM.humanoid.humanBones || []).map((bone) => [
+      bone.bone,
+      bone.node,
+    ]);
+  }
+  if (entries.length === 0) return null;
+
+  // Index de node glTF → os du squelette
+  const boneByNode = new Map();
+  skeleton.bones.forEach((bone) => {
+    const association = gltf.parser.associations.get(bone);
+    if (association && association.nodes !== undefined) {
+      boneByNode.set(association.nodes, bone);
+    }
+  });
+
+  const bones = {};
+  entries.forEach(([role, node]) => {
+    if (BONE_ROLES.includes(role) && boneByNode.has(node)) {
+      bones[role] = boneByNode.get(node);
+    }
+  });
+  return bones;
+}
+
+// Résout les rôles d'un profil sur un squelette : { rôle: os | null }
+function resolveProfile(skeleton, profile) {
+  const boneByName = new Map();
+  skeleton.bones.forEach((bone) => {
+    const key = normalizeName(bone.name, profile.prefix);
+    if (!boneByName.has(key)) boneByName.set(key, bone);
+  });
+
+  const bones = {};
+  BONE_ROLES.forEach((role) => {
+    const names = profile.bones[role];
+    const list = Array.isArray(names) ? names : names ? [names] : [];
+    bones[role] =
+      list
+        .map((name) => boneByName.get(normalizeName(name, profile.prefix)))
+        .find(Boolean) || null;
+  });
+  return bones;
+}
+
+const countResolved = (bones) => Object.values(bones).filter(Boolean).length;
+
+// Construit la table des os du personnage
+// options.profileId : impose un profil ; options.gltf : pour l'extension VRM
+// Retourne { profile, bones: { rôle: os | null }, missing: [rôles non trouvés] }
+export function resolveBoneMap(
+  skeleton,
+  { profileId = null, gltf = null } = {},
+) {
+  const candidates = profileId
+    ? [getBoneProfileById(profileId)].filter(Boolean)
+    : PROFILES;
+  if (profileId && candidates.length === 0) {
+    console.warn(`⚠️ Profil d'os inconnu: ${profileId}, détection auto`);
+  }
+
+  let best = null;
+  (candidates.length > 0 ? candidates : PROFILES).forEach((profile) => {
+    const bones = resolveProfile(skeleton, profile);
+    // Les humanBones VRM priment sur les noms du profil
+    if (profile.vrm && gltf) {
+      Object.assign(bones, getVrmHumanBones(gltf, skeleton) || {});
+    }
+    const score = countResolved(bones);
+    if (!best || score > best.score) best = { profile, bones, score };
+  });
+
+  if (!best || best.score === 0) {
+    return {
+      profile: null,
+      bones: Object.fromEntries(BONE_ROLES.map((role) => [role, null])),
+      missing: [...BONE_ROLES],
+    };
+  }
+
+  const missing = BONE_ROLES.filter((role) => !best.bones[role]);
+  return { profile: best.profile, bones: best.bones, missing };
+}
@@ -1,219 +1,72 @@
 // ButtonAddItem.jsx
 // Composant pour gérer le spawn, le drag & drop et le lancer d'objets
+// Drag via la couche d'entrée commune (InputManager, un drag par pointeur)
 // Utilise Three.js pour l'affichage 3D et Cannon-es pour la physique
 import { useRef, useCallback, useState, useEffect } from "react";
-import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import * as THREE from "three";
-import { Body, Box, Vec3, Material, ContactMaterial } from "cannon-es";
-
-// Matériau physique partagé par tous les items (friction / rebond)
-const ITEM_MATERIAL = new Material("itemMaterial");
-
-// ✅ Liste des modèles d'item avec STATS CORRECTES (health au lieu de power)
-const ITEM_MODELS = [
-  {
-    path: new URL("../assets/3D/cube-v.glb", import.meta.url).href,
-    stats: { name: "Potion Verte", health: 10, weight: 1, speed: 3, rarity: 1 },
-  },
-  {
-    path: new URL("../assets/3D/cube-o.glb", import.meta.url).href,
-    stats: {
-      name: "Élixir Orange",
-      health: -15,
-      weight: 2,
-      speed: 2,
-      rarity: 1,
-    },
-  },
-  {
-    path: new URL("../assets/3D/cube-b.glb", import.meta.url).href,
-    stats: { name: "Poison Bleu", health: 5, weight: 1, speed: 5, rarity: 1 },
-  },
-  {
-    path: new URL("../assets/3D/cube-r.glb", import.meta.url).href,
-    stats: { name: "Bombe Rouge", health: -25, weight: 3, speed: 1, rarity: 1 },
-  },
-];
-const GROUND_Y = -1;
-
-let contactMaterialAdded = false;
-// Assure qu'un ContactMaterial est créé une seule fois pour tous les items
-// Définit friction, restitution et comportement de contact entre items
-function ensureContactMaterial(world) {
-  if (contactMaterialAdded) return;
-  const contact = new ContactMaterial(ITEM_MATERIAL, ITEM_MATERIAL, {
-    friction: 0.6,
-    restitution: 0.25,
-    contactEquationStiffness: 1e7,
-    contactEquationRelaxation: 3,
-  });
-  world.addContactMaterial(contact);
-  contactMaterialAdded = true;
-}
-
-// Charge un modèle 3D, crée le mesh Three.js et le body Cannon associé
-// Tous les modèles utilisent exactement les mêmes paramètres physiques (ceux de cube.glb)
-// Configure collisions, physique et offset par rapport au sol
-// Retourne un objet regroupant mesh, body et infos de taille
-async function createSpawnedItem(scene, world, position, modelConfig) {
-  return new Promise((resolve, reject) => {
-    // Charge le modèle 3D de l'item
-    const loader = new GLTFLoader();
-    loader.load(
-      modelConfig.path,
-      (gltf) => {
-        const model = gltf.scene;
-        model.position.copy(position);
-        model.castShadow = true;
-        model.receiveShadow = true;
-
-        model.traverse((node) => {
-          if (node.isMesh) {
-            node.castShadow = true;
-            node.receiveShadow = true;
-            if (node.material) {
-              node.material = node.material.clone();
-            }
-          }
-        });
-
-        scene.add(model);
-
-        // Calcule la bounding box du mesh pour créer un collider physique cohérent
-        const box = new THREE.Box3().setFromObject(model);
-        const size = box.getSize(new THREE.Vector3());
-        const boxMin = box.min;
-        const boxMax = box.max;
-
-        // Calcule la distance entre le centre et le sol du modèle
-        const centerY = (boxMin.y + boxMax.y) / 2;
-        const itemGroundOffset = centerY - boxMin.y;
-
-        // Tous les modèles utilisent les mêmes paramètres physiques que cube.glb :
-        // - forme: Box basée sur la bounding box
-        // - masse, friction, restitution, damping identiques
-        const halfExtents = new Vec3(
-          Math.max(size.x / 2, 0.05),
-          Math.max(size.y / 2, 0.05),
-          Math.max(size.z / 2, 0.05),
-        );
-        const shape = new Box(halfExtents);
-
-        ensureContactMaterial(world);
-
-        // Création du body physique Cannon associé au mesh Three.js
-        // Tous les paramètres sont identiques pour tous les modèles
-        const body = new Body({
-          mass: 1,
-          material: ITEM_MATERIAL,
-          linearDamping: 0.4,
-          angularDamping: 0.8,
-          restitution: 0.25,
-          collisionResponse: true,
-        });
-        body.addShape(shape);
-        body.collisionFilterGroup = 1;
-        body.collisionFilterMask = 1;
-
-        // Positionne le body pour que le sol soit au GROUND_Y
-        body.position.set(
-          position.x,
-          position.y - itemGroundOffset,
-          position.z,
-        );
-
-        world.addBody(body);
-
-        // Données regroupant le mesh Three + le body Cannon pour la logique d'interaction
-        const itemData = {
-          mesh: model,
-          body,
-          size,
-          groundOffset: itemGroundOffset,
-          springStiffness: 1000,
-          springDamping: 100,
-          isBeingDragged: false,
-          desiredX: body.position.x,
-          desiredY: body.position.y,
-          useSpring: false,
-          items: true,
-          modelPath: modelConfig.path,
-          stats: modelConfig.stats, // ✅ Stats spécifiques à chaque item
-        };
-
-        resolve(itemData);
-      },
-      undefined,
-      (error) => {
-        console.error("[SPAWN] Erreur:", error);
-        reject(new Error(`Impossible de charger le modèle`));
-      },
-    );
-  });
-}
+import { Body, Vec3 } from "cannon-es";
+import {
+  getCatalogItems,
+  getCatalogErrors,
+  getRarityTiers,
+  getSpawnRules,
+  offCatalogChange,
+  onCatalogChange,
+} from "./ItemCatalog";
+import { SpawnTable, getSeedFromUrl } from "./SpawnTable";
+import { createSpawnedItem } from "./SpawnedItem";
+import { GameEvent } from "./EventBus";
+import { GROUND_Y } from "./Simulation";
+import { InputPriority } from "./InputManager";
+import { ControlAction, SPAWN_SLOTS } from "./Controls";
+
+// Pièce 3D : drag sur un plan parallèle au sol, item soulevé de
+// ROOM_DRAG_LIFT (m) et lancé en cloche (vitesse verticale / horizontale)
+const GROUND_NORMAL = new THREE.Vector3(0, 1, 0);
+const ROOM_DRAG_LIFT = 0.3;
+const ROOM_THROW_LOB = 0.6;
 
 export default function ButtonAddItem({
   scene,
   world,
   spawnedItems,
-  camera,
-  renderer,
+  input,
+  controls,
   modelSize,
   characterBody,
-  getViewBounds,
+  getPlayBounds,
+  isRoomMode,
+  getSpawnPoint,
+  addItem,
+  eventBus,
 }) {
   const isLoadingRef = useRef(false);
   const [itemCount, setItemCount] = useState(0);
   const [error, setError] = useState(null);
-  const draggedItemRef = useRef(null);
-  const dragOffsetRef = useRef(new THREE.Vector3());
-  const dragPlanePointRef = useRef(new THREE.Vector3());
-  const raycasterRef = useRef(new THREE.Raycaster());
-  const mouseRef = useRef(new THREE.Vector2());
-  const lastMousePosRef = useRef(new THREE.Vector3());
-  const mouseVelocityRef = useRef(new THREE.Vector3());
-
-  // Convertit les coordonnées écran (pixels) en coordonnées normalisées (-1 à 1)
-  // Utilisé pour le raycasting
-  const screenToNDC = useCallback(
-    (clientX, clientY) => {
-      const rect = renderer.domElement.getBoundingClientRect();
-      mouseRef.current.x = ((clientX - rect.left) / rect.width) * 2 - 1;
-      mouseRef.current.y = -((clientY - rect.top) / rect.height) * 2 + 1;
-    },
-    [renderer],
+  // Table de spawn pondérée par rareté (seed reproductible via ?seed=)
+  const [spawnTable] = useState(
+    () =>
+      new SpawnTable(
+        getCatalogItems(),
+        getRarityTiers(),
+        getSpawnRules(),
+        getSeedFromUrl(),
+      ),
   );
+  const [dropRates, setDropRates] = useState(() => spawnTable.getDropRates());
+  // Drags en cours, un par pointeur (multi-touch : plusieurs items à la fois)
+  const dragsRef = useRef(new Map());
 
-  // Projette la souris sur un plan perpendiculaire à la caméra
-  // Utile pour positionner correctement un objet lors du drag
-  const getMouseOnPlane = useCallback(
-    (clientX, clientY, planePoint) => {
-      screenToNDC(clientX, clientY);
-      raycasterRef.current.setFromCamera(mouseRef.current, camera);
-
-      const normal = new THREE.Vector3();
-      camera.getWorldDirection(normal);
-      const plane = new THREE.Plane();
-      plane.setFromNormalAndCoplanarPoint(normal, planePoint);
-
-      const target = new THREE.Vector3();
-      raycasterRef.current.ray.intersectPlane(plane, target);
-      return target;
-    },
-    [camera, screenToNDC],
-  );
-
-  // Détecte quel item est sous la souris via raycasting
+  // Détecte quel item est sous le pointeur via raycasting
   // Retourne l'objet item correspondant ou null
-  const getItemUnderMouse = useCallback(
-    (clientX, clientY) => {
+  const getItemUnderPointer = useCallback(
+    (pointer) => {
       if (!spawnedItems.current.length) return null;
 
-      screenToNDC(clientX, clientY);
-      raycasterRef.current.setFromCamera(mouseRef.current, camera);
-
-      const meshes = spawnedItems.current.map((item) => item.mesh);
-      const intersects = raycasterRef.current.intersectObjects(meshes, true);
+      const meshes = spawnedItems.current
+        .filter((item) => !item.isBeingDragged)
+        .map((item) => item.mesh);
+      const intersects = input.intersect(pointer, meshes);
 
       if (intersects.length > 0) {
         const hitMesh = intersects[0].object;
@@ -229,130 +82,107 @@ export default function ButtonAddItem({
 
       return null;
     },
-    [spawnedItems, camera, screenToNDC],
-  );
-
-  // Empêche un item de sortir des limites de la vue
-  // Applique un léger rebond et verrouille la position Z
-  const clampItemWithinBounds = useCallback(
-    (item) => {
-      const bounds = getViewBounds();
-      if (!bounds) return;
-
-      const { halfW, halfH } = bounds;
-      const halfItemW = item.size.x / 2;
-      const bodyHalfHeight = item.size.y / 2;
-
-      const minX = -halfW + halfItemW * 0.5;
-      const maxX = halfW - halfItemW * 0.5;
-      const minY = GROUND_Y + bodyHalfHeight;
-      const maxY = halfH - item.size.y / 4;
-
-      // X bounds with rebound
-      if (item.body.position.x < minX) {
-        item.body.position.x = minX;
-        item.body.velocity.x *= -0.4;
-      } else if (item.body.position.x > maxX) {
-        item.body.position.x = maxX;
-        item.body.velocity.x *= -0.4;
-      }
-
-      // Y bounds with rebound
-      if (item.body.position.y < minY) {
-        item.body.position.y = minY;
-        item.body.velocity.y *= -0.4;
-      } else if (item.body.position.y > maxY) {
-        item.body.position.y = maxY;
-        item.body.velocity.y *= -0.4;
-      }
-
-      // Lock Z
-      item.body.position.z = 0;
-      item.body.velocity.z = 0;
-    },
-    [getViewBounds, characterBody, spawnedItems],
+    [spawnedItems, input],
   );
 
   // Début du drag d'un item
-  // Passe le body en mode KINEMATIC pour suivre la souris sans subir la physique
+  // Passe le body en mode KINEMATIC pour suivre le pointeur sans subir la physique
   // Calcule l'offset pour garder le point de saisie constant
-  const onMouseDown = useCallback(
-    (e) => {
-      const { clientX, clientY } = e.touches
-        ? { clientX: e.touches[0].clientX, clientY: e.touches[0].clientY }
-        : { clientX: e.clientX, clientY: e.clientY };
-
-      const item = getItemUnderMouse(clientX, clientY);
-      if (!item) return;
-
-      draggedItemRef.current = item;
+  // Pièce 3D : l'item est soulevé puis glissé sur un plan parallèle au sol
+  const onDragStart = useCallback(
+    (pointer, item) => {
       item.isBeingDragged = true;
-      // Passe en mode KINEMATIC pour suivre la souris sans subir la physique
+      // Passe en mode KINEMATIC pour suivre le pointeur sans subir la physique
       item.body.type = Body.KINEMATIC;
       item.body.updateMassProperties();
-      dragPlanePointRef.current.copy(item.body.position);
 
-      const mouseWorld = getMouseOnPlane(
-        clientX,
-        clientY,
-        dragPlanePointRef.current,
-      );
+      const isRoom = isRoomMode();
+      if (isRoom) {
+        item.body.position.y = Math.max(
+          item.body.position.y,
+          GROUND_Y + item.size.y / 2 + ROOM_DRAG_LIFT,
+        );
+      }
+      const planeNormal = isRoom ? GROUND_NORMAL : null;
 
-      dragOffsetRef.current.set(
-        item.body.position.x - mouseWorld.x,
-        item.body.position.y - mouseWorld.y,
-        0,
+      const pointerWorld = input.getPointOnPlane(
+        pointer,
+        new THREE.Vector3().copy(item.body.position),
+        planeNormal,
       );
 
+      dragsRef.current.set(pointer.id, {
+        item,
+        isRoom,
+        planeNormal,
+        offset: new THREE.Vector3(
+          item.body.position.x - pointerWorld.x,
+          isRoom ? 0 : item.body.position.y - pointerWorld.y,
+          isRoom ? item.body.position.z - pointerWorld.z : 0,
+        ),
+        lastPos: new THREE.Vector3().copy(item.body.position),
+        velocity: new THREE.Vector3(),
+      });
+
       item.body.velocity.set(0, 0, 0);
       item.body.angularVelocity.set(0, 0, 0);
     },
-    [getItemUnderMouse, getMouseOnPlane],
+    [input, isRoomMode],
   );
 
-  // Pendant le drag, met à jour la position de l'item en suivant la souris
+  // Pendant le drag, met à jour la position de l'item en suivant le pointeur
   // Vérifie les limites et collisions avec le personnage
   // Calcule la vélocité pour pouvoir lancer l'objet si relâché rapidement
-  const onMouseMove = useCallback(
-    (e) => {
-      if (!draggedItemRef.current) return;
-
-      const { clientX, clientY } = e.touches
-        ? { clientX: e.touches[0].clientX, clientY: e.touches[0].clientY }
-        : { clientX: e.clientX, clientY: e.clientY };
-
-      const item = draggedItemRef.current;
-      dragPlanePointRef.current.copy(item.body.position);
-      const mouseWorld = getMouseOnPlane(
-        clientX,
-        clientY,
-        dragPlanePointRef.current,
+  const onDragMove = useCallback(
+    (pointer) => {
+      const drag = dragsRef.current.get(pointer.id);
+      if (!drag) return;
+
+      const { item, isRoom } = drag;
+      const pointerWorld = input.getPointOnPlane(
+        pointer,
+        new THREE.Vector3().copy(item.body.position),
+        drag.planeNormal,
       );
 
-      let desiredX = mouseWorld.x + dragOffsetRef.current.x;
-      let desiredY = mouseWorld.y + dragOffsetRef.current.y;
+      let desiredX = pointerWorld.x + drag.offset.x;
+      let desiredY = isRoom
+        ? item.body.position.y
+        : pointerWorld.y + drag.offset.y;
+      let desiredZ = isRoom ? pointerWorld.z + drag.offset.z : 0;
 
-      const bounds = getViewBounds();
+      const bounds = getPlayBounds();
       if (bounds) {
-        const { halfW, halfH } = bounds;
         const halfItemW = item.size.x / 2;
+        const halfItemD = item.size.z / 2;
         const itemHeight = item.size.y;
 
         desiredX = THREE.MathUtils.clamp(
           desiredX,
-          -halfW + halfItemW * 0.5,
-          halfW - halfItemW * 0.5,
-        );
-        desiredY = THREE.MathUtils.clamp(
-          desiredY,
-          -halfH + itemHeight / 2,
-          halfH - itemHeight / 4,
+          bounds.minX + halfItemW * 0.5,
+          bounds.maxX - halfItemW * 0.5,
         );
+        if (isRoom) {
+          desiredZ = THREE.MathUtils.clamp(
+            desiredZ,
+            bounds.minZ + halfItemD * 0.5,
+            bounds.maxZ - halfItemD * 0.5,
+          );
+        } else {
+          desiredY = THREE.MathUtils.clamp(
+            desiredY,
+            bounds.minY + itemHeight / 2,
+            bounds.maxY - itemHeight / 4,
+          );
+        }
 
         // Vérifier collision avec le personnage
+        // (dans le plan de drag : XY en 2.5D, XZ dans la pièce)
         if (characterBody) {
           const distX = desiredX - characterBody.position.x;
-          const distY = desiredY - characterBody.position.y;
+          const distY = isRoom
+            ? desiredZ - characterBody.position.z
+            : desiredY - characterBody.position.y;
           const distance = Math.sqrt(distX * distX + distY * distY);
 
           const minDistance = 1.0;
@@ -360,154 +190,196 @@ export default function ButtonAddItem({
           if (distance < minDistance && distance > 0.01) {
             const angle = Math.atan2(distY, distX);
             desiredX = characterBody.position.x + Math.cos(angle) * minDistance;
-            desiredY = characterBody.position.y + Math.sin(angle) * minDistance;
+            if (isRoom) {
+              desiredZ =
+                characterBody.position.z + Math.sin(angle) * minDistance;
+            } else {
+              desiredY =
+                characterBody.position.y + Math.sin(angle) * minDistance;
+            }
           }
         }
 
-        // Calcul de la vélocité de la souris pour déterminer la force du lancer
-        const currentMousePos = new THREE.Vector3(desiredX, desiredY, 0);
-        mouseVelocityRef.current.subVectors(
-          currentMousePos,
-          lastMousePosRef.current,
-        );
-        lastMousePosRef.current.copy(currentMousePos);
+        // Calcul de la vélocité du pointeur pour déterminer la force du lancer
+        const currentPos = new THREE.Vector3(desiredX, desiredY, desiredZ);
+        drag.velocity.subVectors(currentPos, drag.lastPos);
+        drag.lastPos.copy(currentPos);
 
-        // Pendant le drag, l'objet reste collé à la souris (pas d'inertie)
+        // Pendant le drag, l'objet reste collé au pointeur (pas d'inertie)
         item.body.position.x = desiredX;
         item.body.position.y = desiredY;
-        item.body.position.z = 0;
+        item.body.position.z = desiredZ;
 
         item.body.velocity.set(0, 0, 0);
       }
     },
-    [getMouseOnPlane, getViewBounds, characterBody, spawnedItems],
+    [input, getPlayBounds, characterBody],
   );
 
   // Fin du drag
   // Rebasculer le body en DYNAMIC et appliquer un lancer si la vitesse est suffisante
-  // Réinitialise la vélocité et l'état d'interaction
-  const onMouseUp = useCallback(() => {
-    if (draggedItemRef.current) {
-      const item = draggedItemRef.current;
-
-      item.body.type = Body.DYNAMIC;
-      item.body.updateMassProperties();
-
-      // Déclenche le lancer uniquement si le geste est suffisamment rapide
-      const velocity = mouseVelocityRef.current.length();
-      const minThrowSpeed = 0.015;
-
-      if (velocity > minThrowSpeed) {
-        // Applique un impulse physique pour simuler le lancer
-        const strength = THREE.MathUtils.clamp(velocity * 14, 1.2, 6);
-
-        item.body.applyImpulse(
-          new Vec3(
-            mouseVelocityRef.current.x * strength,
-            mouseVelocityRef.current.y * strength,
-            0,
-          ),
-          item.body.position,
-        );
-
-        // Damping to keep it readable and UX‑friendly
-        item.body.velocity.scale(1, item.body.velocity);
-      }
-
-      item.body.angularVelocity.set(
-        (Math.random() - 0.5) * 2,
-        (Math.random() - 0.5) * 2,
-        0,
+  const onDragEnd = useCallback((pointer) => {
+    const drag = dragsRef.current.get(pointer.id);
+    if (!drag) return;
+    dragsRef.current.delete(pointer.id);
+
+    const { item } = drag;
+    item.body.type = Body.DYNAMIC;
+    item.body.updateMassProperties();
+
+    // Déclenche le lancer uniquement si le geste est suffisamment rapide
+    const velocity = drag.velocity.length();
+    const minThrowSpeed = 0.015;
+
+    if (velocity > minThrowSpeed) {
+      // Pièce 3D : geste à plat, l'item part en cloche
+      if (drag.isRoom) drag.velocity.y = velocity * ROOM_THROW_LOB;
+
+      // Applique un impulse physique pour simuler le lancer
+      // Proportionnel à la masse (même geste = même vitesse de base)
+      // puis modulé par la stat speed de l'item (throwStrength)
+      const strength =
+        THREE.MathUtils.clamp(velocity * 14, 1.2, 6) *
+        item.physics.throwStrength *
+        item.body.mass;
+
+      item.body.applyImpulse(
+        new Vec3(
+          drag.velocity.x * strength,
+          drag.velocity.y * strength,
+          drag.velocity.z * strength,
+        ),
+        item.body.position,
       );
+    }
 
-      // Réinitialise la vélocité de la souris
-      mouseVelocityRef.current.set(0, 0, 0);
+    item.body.angularVelocity.set(
+      (Math.random() - 0.5) * 2,
+      (Math.random() - 0.5) * 2,
+      0,
+    );
 
-      item.isBeingDragged = false;
-      item.desiredX = item.body.position.x;
-      item.desiredY = item.body.position.y;
-    }
-    draggedItemRef.current = null;
+    item.isBeingDragged = false;
+    item.desiredX = item.body.position.x;
+    item.desiredY = item.body.position.y;
   }, []);
 
-  // Écoute les événements souris et tactiles pour le drag & drop
-  // Cleanup des listeners lors du démontage
+  // Items saisis via la couche d'entrée (prioritaires sur la tête et la poubelle)
   useEffect(() => {
-    if (!renderer) return;
+    if (!input) return;
+
+    const itemTarget = {
+      priority: InputPriority.ITEM,
+      hitTest: getItemUnderPointer,
+      onDragStart,
+      onDragMove,
+      onDragEnd,
+    };
+    input.addTarget(itemTarget);
+    return () => input.removeTarget(itemTarget);
+  }, [input, getItemUnderPointer, onDragStart, onDragMove, onDragEnd]);
 
-    window.addEventListener("mousedown", onMouseDown);
-    window.addEventListener("mousemove", onMouseMove);
-    window.addEventListener("mouseup", onMouseUp);
-    window.addEventListener("touchstart", onMouseDown, { passive: false });
-    window.addEventListener("touchmove", onMouseMove, { passive: false });
-    window.addEventListener("touchend", onMouseUp);
+  // Compteur d'items à jour quel que soit l'ajout / la suppression
+  useEffect(() => {
+    if (!eventBus) return;
 
+    const updateCount = () => setItemCount(spawnedItems.current.length);
+    eventBus.on(GameEvent.ITEM_SPAWNED, updateCount);
+    eventBus.on(GameEvent.ITEM_REMOVED, updateCount);
     return () => {
-      window.removeEventListener("mousedown", onMouseDown);
-      window.removeEventListener("mousemove", onMouseMove);
-      window.removeEventListener("mouseup", onMouseUp);
-      window.removeEventListener("touchstart", onMouseDown);
-      window.removeEventListener("touchmove", onMouseMove);
-      window.removeEventListener("touchend", onMouseUp);
+      eventBus.off(GameEvent.ITEM_SPAWNED, updateCount);
+      eventBus.off(GameEvent.ITEM_REMOVED, updateCount);
     };
-  }, [onMouseDown, onMouseMove, onMouseUp, renderer]);
+  }, [eventBus, spawnedItems]);
 
-  // Expose une fonction globale pour clamp les items chaque frame depuis la boucle principale
-  // Permet de garder les items à l'intérieur des limites de la vue
+  // Un item importé rejoint la table de spawn
   useEffect(() => {
-    window.clampSpawnedItemsWithinBounds = () => {
-      spawnedItems.current.forEach((item) => {
-        clampItemWithinBounds(item);
-      });
-    };
-
-    return () => {
-      delete window.clampSpawnedItemsWithinBounds;
+    const onChange = (items) => {
+      spawnTable.setItems(items);
+      setDropRates(spawnTable.getDropRates());
     };
-  }, [spawnedItems, clampItemWithinBounds]);
+    onCatalogChange(onChange);
+    return () => offCatalogChange(onChange);
+  }, [spawnTable]);
 
-  // Handler pour ajouter un nouvel item
-  // Positionne le spawn de manière responsive et appelle createSpawnedItem
+  // Ajoute un nouvel item (pickModelConfig : choix de l'item, null si aucun)
+  // Positionne le spawn de manière responsive, crée l'item et le confie à
+  // la simulation (addItem, même chemin que le drop depuis l'inventaire)
   // Met à jour le compteur et gère les erreurs
-  const handleClick = useCallback(async () => {
-    if (!scene || !world || !spawnedItems) {
-      setError("❌ Scene/World/Items non disponible");
-      return;
-    }
+  const spawnItem = useCallback(
+    async (pickModelConfig) => {
+      if (!scene || !world || !spawnedItems) {
+        setError("❌ Scene/World/Items non disponible");
+        return;
+      }
 
-    if (isLoadingRef.current) return;
+      if (isLoadingRef.current) return;
 
-    try {
-      isLoadingRef.current = true;
-      setError(null);
+      try {
+        isLoadingRef.current = true;
+        setError(null);
 
-      // Position de spawn responsive basée sur les limites de la vue
-      const bounds = getViewBounds();
-      const spawnX = -bounds.halfW + 0.5; // Spawn à gauche, un peu du bord
-      const spawnY = bounds.halfH + 1; // Spawn en haut
-      const spawnZ = 0;
+        // Point de spawn de la pièce (z à 0 hors pièce 3D), sinon
+        // position responsive basée sur les limites de la vue
+        const bounds = getPlayBounds();
+        const spawnPoint = getSpawnPoint ? getSpawnPoint() : null;
+        const spawnX = spawnPoint ? spawnPoint.x : bounds.minX + 0.5; // Spawn à gauche, un peu du bord
+        const spawnY = spawnPoint ? spawnPoint.y : bounds.maxY + 1; // Spawn en haut
+        const spawnZ = spawnPoint && isRoomMode() ? spawnPoint.z : 0;
 
-      // Sélection aléatoire d'un modèle parmi les 4
-      const randomIndex = Math.floor(Math.random() * ITEM_MODELS.length);
-      const modelConfig = ITEM_MODELS[randomIndex];
+        const modelConfig = pickModelConfig();
+        if (!modelConfig) {
+          setError("❌ Aucun item valide dans le catalogue");
+          return;
+        }
 
-      const item = await createSpawnedItem(
-        scene,
-        world,
-        new THREE.Vector3(spawnX, spawnY, spawnZ),
-        modelConfig,
-      );
-      spawnedItems.current.push(item);
+        const item = await createSpawnedItem(
+          scene,
+          world,
+          new THREE.Vector3(spawnX, spawnY, spawnZ),
+          modelConfig,
+        );
+        addItem(item);
+      } catch (err) {
+        setError(`Erreur: ${err.message}`);
+      } finally {
+        isLoadingRef.current = false;
+      }
+    },
+    [
+      scene,
+      world,
+      spawnedItems,
+      getPlayBounds,
+      isRoomMode,
+      getSpawnPoint,
+      addItem,
+    ],
+  );
 
-      setItemCount(spawnedItems.current.length);
-    } catch (err) {
-      setError(`Erreur: ${err.message}`);
-    } finally {
-      isLoadingRef.current = false;
-    }
-  }, [scene, world, spawnedItems, getViewBounds]);
+  // Tirage pondéré par rareté parmi les items valides du catalogue
+  const handleClick = useCallback(
+    () => spawnItem(() => spawnTable.next()),
+    [spawnItem, spawnTable],
+  );
+
+  // Raccourcis clavier / manette : item aléatoire ou Nième item du catalogue
+  useEffect(() => {
+    if (!controls) return;
+
+    const onAction = (action) => {
+      if (action === ControlAction.SPAWN_RANDOM) {
+        handleClick();
+      } else if (action in SPAWN_SLOTS) {
+        spawnItem(() => getCatalogItems()[SPAWN_SLOTS[action]]);
+      }
+    };
+    controls.onAction(onAction);
+    return () => controls.offAction(onAction);
+  }, [controls, handleClick, spawnItem]);
 
   const isDisabled = isLoadingRef.current || !scene || !world;
+  const catalogErrors = getCatalogErrors();
 
   return (
     <div className="absolute top-5 right-5 flex flex-col gap-3 items-end z-10">
@@ -525,6 +397,33 @@ export default function ButtonAddItem({
         </div>
       )}
 
+      <details className="text-xs text-gray-600 bg-white/80 px-3 py-1 rounded shadow border border-gray-200 max-w-xs">
+        <summary className="cursor-pointer">
+          📊 Taux de drop (seed {spawnTable.seed})
+        </summary>
+        <table className="mt-1">
+          <tbody>
+            {dropRates.map((rate) => (
+              <tr key={rate.id}>
+                <td className="pr-2">{rate.name}</td>
+                <td className="pr-2 text-gray-400">{rate.tierName}</td>
+                <td className="text-right">
+                  {(rate.probability * 100).toFixed(1)}%
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+
+      {catalogErrors.length > 0 && (
+        <ul className="text-xs text-red-600 bg-red-50 px-3 py-1 rounded shadow border border-red-200 max-w-xs list-disc list-inside">
+          {catalogErrors.map((message) => (
+            <li key={message}>{message}</li>
+          ))}
+        </ul>
+      )}
+
       {!isDisabled && itemCount === 0 && (
         <div className="text-xs text-gray-500 text-right">
           Cliquez pour spawner
@@ -0,0 +1,50 @@
+// CameraControls.jsx
+// Orbite / zoom (glisser, pinch ou molette hors cible) et suivi du personnage
+// L'état vient du CameraRig via onModeChange
+import { useEffect, useState } from "react";
+
+export default function CameraControls({ cameraRig }) {
+  const [mode, setMode] = useState(() => ({
+    orbitEnabled: cameraRig.orbitEnabled,
+    followEnabled: cameraRig.followEnabled,
+  }));
+
+  useEffect(() => {
+    cameraRig.onModeChange(setMode);
+    return () => cameraRig.offModeChange(setMode);
+  }, [cameraRig]);
+
+  const { orbitEnabled, followEnabled } = mode;
+  const buttonClassName =
+    "px-3 py-1 text-sm rounded transition-colors shadow-lg disabled:opacity-50 disabled:cursor-not-allowed";
+  const toggleClassName = (isActive) =>
+    `${buttonClassName} ${
+      isActive
+        ? "bg-blue-500 text-white"
+        : "bg-white/80 text-gray-700 hover:bg-white"
+    }`;
+
+  return (
+    <div className="absolute top-16 left-1/2 -translate-x-1/2 flex gap-2 items-center z-10">
+      <button
+        onClick={() => cameraRig.setOrbitEnabled(!orbitEnabled)}
+        className={toggleClassName(orbitEnabled)}
+      >
+        🎥 Orbite
+      </button>
+      <button
+        onClick={() => cameraRig.setFollowEnabled(!followEnabled)}
+        className={toggleClassName(followEnabled)}
+      >
+        🎯 Suivi
+      </button>
+      <button
+        onClick={() => cameraRig.resetView()}
+        disabled={!orbitEnabled}
+        className={`${buttonClassName} bg-gray-700 text-white hover:bg-gray-800`}
+      >
+        ↺ Recentrer
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+// CameraRig.js
+// Caméra de la scène : orbite / zoom (optionnels), suivi du personnage et
+// tremblement sur les impacts violents
+// Les limites de la vue (Simulation.viewBounds) sont recalculées à chaque
+// frame depuis la caméra réelle, hors tremblement
+import * as THREE from "three";
+import { InputGesture } from "./InputManager";
+
+// Orbite : rad par pixel glissé, débattement autour de la vue de départ
+const ORBIT_SPEED = 0.005;
+const AZIMUTH_LIMIT = Math.PI / 4;
+const ELEVATION_MIN = 0;
+const ELEVATION_MAX = 1;
+// Zoom : distance caméra / cible (m), sensibilité de la molette
+const DISTANCE_MIN = 1.5;
+const DISTANCE_MAX = 6;
+const WHEEL_ZOOM_SPEED = 0.001;
+// Suivi : vitesse de rattrapage (1/s), débattement max de la cible en X
+const FOLLOW_SPEED = 3;
+const FOLLOW_RANGE_X = 2.5;
+// Tremblement : décalage (m) et roulis (rad) max, baisse du trauma (/s)
+const SHAKE_OFFSET = 0.08;
+const SHAKE_ROLL = 0.03;
+const SHAKE_DECAY = 1.5;
+
+// Coins de l'écran en coordonnées normalisées
+const SCREEN_CORNERS = [
+  new THREE.Vector2(-1, -1),
+  new THREE.Vector2(1, -1),
+  new THREE.Vector2(-1, 1),
+  new THREE.Vector2(1, 1),
+];
+
+export class CameraRig {
+  // planeZ : plan de jeu dont on calcule les limites visibles
+  constructor(camera, input = null, planeZ = 0) {
+    this.camera = camera;
+    this.input = input;
+    this.plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -planeZ);
+    this.orbitEnabled = false;
+    this.followEnabled = false;
+    this.followTarget = null;
+    this.followOffset = new THREE.Vector3();
+    this.trauma = 0;
+    this.modeCallbacks = [];
+    this.raycaster = new THREE.Raycaster();
+
+    // Vue de départ : point visé sur le plan de jeu + coordonnées sphériques
+    camera.updateMatrixWorld();
+    const forward = camera.getWorldDirection(new THREE.Vector3());
+    this.homeTarget = new THREE.Vector3();
+    new THREE.Ray(camera.position, forward).intersectPlane(
+      this.plane,
+      this.homeTarget,
+    );
+    this.homeSpherical = new THREE.Spherical().setFromVector3(
+      camera.position.clone().sub(this.homeTarget),
+    );
+    this.target = this.homeTarget.clone();
+    this.spherical = this.homeSpherical.clone();
+    this.viewBounds = null;
+
+    this.onGesture = this.onGesture.bind(this);
+    if (input) input.onGesture(this.onGesture);
+    this.update(0);
+  }
+
+  // callback({ orbitEnabled, followEnabled })
+  onModeChange(callback) {
+    this.modeCallbacks.push(callback);
+  }
+
+  offModeChange(callback) {
+    this.modeCallbacks = this.modeCallbacks.filter((cb) => cb !== callback);
+  }
+
+  emitModeChange() {
+    const mode = {
+      orbitEnabled: this.orbitEnabled,
+      followEnabled: this.followEnabled,
+    };
+    this.modeCallbacks.forEach((callback) => callback(mode));
+  }
+
+  // Orbite désactivée : retour à la vue de départ
+  setOrbitEnabled(enabled) {
+    this.orbitEnabled = enabled;
+    if (!enabled) this.resetView();
+    this.emitModeChange();
+  }
+
+  setFollowEnabled(enabled) {
+    this.followEnabled = enabled;
+    this.emitModeChange();
+  }
+
+  // target : position suivie ({ x, y }, lue à chaque frame), cadrée comme
+  // au moment de l'appel
+  setFollowTarget(target) {
+    this.followTarget = target;
+    if (target) {
+      this.followOffset.set(
+        this.homeTarget.x - target.x,
+        this.homeTarget.y - target.y,
+        0,
+      );
+    }
+  }
+
+  resetView() {
+    this.spherical.copy(this.homeSpherical);
+  }
+
+  orbit(deltaAzimuth, deltaElevation) {
+    const { spherical, homeSpherical } = this;
+    spherical.theta = THREE.MathUtils.clamp(
+      spherical.theta + deltaAzimuth,
+      homeSpherical.theta - AZIMUTH_LIMIT,
+      homeSpherical.theta + AZIMUTH_LIMIT,
+    );
+    // phi part de l'axe Y : élévation = PI / 2 - phi
+    spherical.phi = THREE.MathUtils.clamp(
+      spherical.phi - deltaElevation,
+      Math.PI / 2 - ELEVATION_MAX,
+      Math.PI / 2 - ELEVATION_MIN,
+    );
+  }
+
+  // factor < 1 : rapproche la caméra
+  zoom(factor) {
+    this.spherical.radius = THREE.MathUtils.clamp(
+      this.spherical.radius * factor,
+      DISTANCE_MIN,
+      DISTANCE_MAX,
+    );
+  }
+
+  // trauma (0 à 1) cumulé, l'amplitude suit trauma²
+  shake(trauma) {
+    this.trauma = Math.min(1, this.trauma + trauma);
+  }
+
+  // Gestes hors cible (voir InputManager) : orbite, pinch / molette, recentrage
+  onGesture(gesture) {
+    if (!this.orbitEnabled) return;
+
+    switch (gesture.type) {
+      case InputGesture.DRAG:
+        this.orbit(-gesture.deltaX * ORBIT_SPEED, gesture.deltaY * ORBIT_SPEED);
+        break;
+      case InputGesture.PINCH:
+        this.zoom(1 / gesture.scale);
+        break;
+      case InputGesture.WHEEL:
+        this.zoom(Math.exp(gesture.deltaY * WHEEL_ZOOM_SPEED));
+        break;
+      case InputGesture.DOUBLE_TAP:
+        if (!gesture.target) this.resetView();
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Pose de la caméra pour la frame (dt en secondes réelles)
+  update(dt) {
+    this.updateTarget(dt);
+
+    const { camera } = this;
+    camera.position.setFromSpherical(this.spherical).add(this.target);
+    camera.lookAt(this.target);
+    camera.updateMatrixWorld();
+    this.viewBounds = this.computeViewBounds() || this.viewBounds;
+
+    this.applyShake(dt);
+  }
+
+  // Cible : personnage suivi en douceur, sinon retour au point de départ
+  updateTarget(dt) {
+    const desired = this.homeTarget.clone();
+    if (this.followEnabled && this.followTarget) {
+      desired.x = THREE.MathUtils.clamp(
+        this.followTarget.x + this.followOffset.x,
+        this.homeTarget.x - FOLLOW_RANGE_X,
+        this.homeTarget.x + FOLLOW_RANGE_X,
+      );
+      desired.y = Math.max(
+        this.homeTarget.y,
+        this.followTarget.y + this.followOffset.y,
+      );
+    }
+    this.target.lerp(desired, 1 - Math.exp(-FOLLOW_SPEED * dt));
+  }
+
+  applyShake(dt) {
+    if (this.trauma <= 0) return;
+
+    const amount = this.trauma * this.trauma;
+    const random = () => Math.random() * 2 - 1;
+    this.camera.position.x += random() * SHAKE_OFFSET * amount;
+    this.camera.position.y += random() * SHAKE_OFFSET * amount;
+    this.camera.rotateZ(random() * SHAKE_ROLL * amount);
+    this.camera.updateMatrixWorld();
+    this.trauma = Math.max(0, this.trauma - SHAKE_DECAY * dt);
+  }
+
+  // Plus grand rectangle du plan de jeu visible à l'écran
+  // { halfW, halfH, centerX, centerY }, null si un coin ne voit pas le plan
+  computeViewBounds() {
+    const points = [];
+    for (const corner of SCREEN_CORNERS) {
+      this.raycaster.setFromCamera(corner, this.camera);
+      const point = this.raycaster.ray.intersectPlane(
+        this.plane,
+        new THREE.Vector3(),
+      );
+      if (!point) return null;
+      points.push(point);
+    }
+
+    const [bottomLeft, bottomRight, topLeft, topRight] = points;
+    const minX = Math.max(bottomLeft.x, topLeft.x);
+    const maxX = Math.min(bottomRight.x, topRight.x);
+    const minY = Math.max(bottomLeft.y, bottomRight.y);
+    const maxY = Math.min(topLeft.y, topRight.y);
+    return {
+      halfW: (maxX - minX) / 2,
+      halfH: (maxY - minY) / 2,
+      centerX: (minX + maxX) / 2,
+      centerY: (minY + maxY) / 2,
+    };
+  }
+
+  dispose() {
+    if (this.input) this.input.offGesture(this.onGesture);
+    this.modeCallbacks = [];
+  }
+}
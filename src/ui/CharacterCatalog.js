@@ -0,0 +1,159 @@
+// CharacterCatalog.js
+// Personnages jouables définis dans data/characters.json
+// - model : fichier GLB de assets/3D
+// - boneProfile : profil d'os (data/boneProfiles.json), sinon détection auto
+// - theme : teinte / matériau appliqué à tous les meshes (sinon matériaux du GLB)
+import * as THREE from "three";
+import characterData from "../data/characters.json";
+import { ASSET_URLS } from "./Assets";
+import { getBoneProfileById } from "./BoneMapping";
+
+const DEFAULT_SCALE = [1, 1, 0.8];
+const THEME_COLOR_KEYS = ["color", "emissive"];
+const THEME_NUMBER_KEYS = ["roughness", "metalness", "emissiveIntensity"];
+
+function validateEntry(entry, index, seenIds) {
+  const errors = [];
+  const label = entry && entry.id ? `"${entry.id}"` : `#${index}`;
+
+  if (!entry || typeof entry !== "object") {
+    return [`Personnage ${label}: entrée invalide`];
+  }
+
+  if (typeof entry.id !== "string" || !entry.id) {
+    errors.push(`Personnage ${label}: "id" manquant`);
+  } else if (seenIds.has(entry.id)) {
+    errors.push(`Personnage ${label}: "id" en double`);
+  }
+
+  if (!entry.model) {
+    errors.push(`Personnage ${label}: "model" manquant`);
+  } else if (!ASSET_URLS[entry.model]) {
+    errors.push(`Personnage ${label}: modèle introuvable (${entry.model})`);
+  }
+
+  if (entry.boneProfile && !getBoneProfileById(entry.boneProfile)) {
+    errors.push(
+      `Personnage ${label}: profil d'os inconnu (${entry.boneProfile})`,
+    );
+  }
+
+  if (
+    entry.scale !== undefined &&
+    (!Array.isArray(entry.scale) ||
+      entry.scale.length !== 3 ||
+      entry.scale.some((value) => typeof value !== "number" || value <= 0))
+  ) {
+    errors.push(`Personnage ${label}: "scale" doit être [x, y, z] positifs`);
+  }
+
+  const theme = entry.theme || {};
+  THEME_COLOR_KEYS.forEach((key) => {
+    if (theme[key] !== undefined && !/^#[0-9a-f]{6}$/i.test(theme[key])) {
+      errors.push(`Personnage ${label}: theme.${key} doit être "#rrggbb"`);
+    }
+  });
+  THEME_NUMBER_KEYS.forEach((key) => {
+    if (theme[key] !== undefined && typeof theme[key] !== "number") {
+      errors.push(`Personnage ${label}: theme.${key} doit être un nombre`);
+    }
+  });
+
+  return errors;
+}
+
+function buildCharacter(entry) {
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    path: ASSET_URLS[entry.model],
+    boneProfile: entry.boneProfile || null,
+    scale: entry.scale || DEFAULT_SCALE,
+    theme: entry.theme || null,
+  };
+}
+
+const catalogErrors = [];
+const CHARACTERS = [];
+const seenIds = new Set();
+(characterData.characters || []).forEach((entry, index) => {
+  const errors = validateEntry(entry, index, seenIds);
+  if (errors.length > 0) {
+    catalogErrors.push(...errors);
+    return;
+  }
+  seenIds.add(entry.id);
+  CHARACTERS.push(buildCharacter(entry));
+});
+
+if (catalogErrors.length > 0) {
+  console.warn("⚠️ Personnages invalides:", catalogErrors);
+}
+
+// Personnages importés par l'utilisateur (voir ModelImport)
+const importedCharacters = [];
+const characterChangeCallbacks = [];
+
+export function getCharacters() {
+  return [...CHARACTERS, ...importedCharacters];
+}
+
+export function getCharacterErrors() {
+  return catalogErrors;
+}
+
+export function getCharacterById(id) {
+  return getCharacters().find((character) => character.id === id) || null;
+}
+
+export function getDefaultCharacter() {
+  return getCharacterById(characterData.defaultCharacter) || CHARACTERS[0];
+}
+
+export function onCharactersChange(callback) {
+  characterChangeCallbacks.push(callback);
+}
+
+export function offCharactersChange(callback) {
+  const index = characterChangeCallbacks.indexOf(callback);
+  if (index > -1) characterChangeCallbacks.splice(index, 1);
+}
+
+// Personnage à partir d'un GLB importé (URL blob)
+// Matériaux d'origine conservés, os détectés automatiquement
+export function registerImportedCharacter({ id, name, path }) {
+  const existing = getCharacterById(id);
+  if (existing) return existing;
+
+  const character = {
+    id,
+    name,
+    path,
+    boneProfile: null,
+    scale: DEFAULT_SCALE,
+    theme: null,
+    isImported: true,
+  };
+  importedCharacters.push(character);
+  characterChangeCallbacks.forEach((callback) => callback(getCharacters()));
+  return character;
+}
+
+// Applique le thème du personnage sur des matériaux clonés
+export function applyCharacterTheme(model, theme) {
+  model.traverse((node) => {
+    if (!node.isMesh || !node.material) return;
+    node.material = node.material.clone();
+    node.material.shadowSide = THREE.FrontSide;
+    if (!theme) return;
+
+    THEME_COLOR_KEYS.forEach((key) => {
+      if (theme[key] && node.material[key]) node.material[key].set(theme[key]);
+    });
+    THEME_NUMBER_KEYS.forEach((key) => {
+      if (theme[key] !== undefined && key in node.material) {
+        node.material[key] = theme[key];
+      }
+    });
+  });
+}
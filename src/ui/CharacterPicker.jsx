@@ -0,0 +1,107 @@
+// CharacterPicker.jsx
+// Sélecteur de personnage : modèles du catalogue ou GLB importés par l'utilisateur
+// Le chargement / remplacement du modèle est fait par App via onSelect,
+// l'import d'un nouveau GLB passe par le dialogue d'import (onImportFile)
+import { useEffect, useRef, useState } from "react";
+import {
+  getCharacterErrors,
+  getCharacters,
+  offCharactersChange,
+  onCharactersChange,
+} from "./CharacterCatalog";
+
+export default function CharacterPicker({
+  currentId,
+  onSelect,
+  onImportFile,
+  disabled,
+}) {
+  const fileInputRef = useRef(null);
+  const [characters, setCharacters] = useState(getCharacters);
+  const [loadingId, setLoadingId] = useState(null);
+  const [error, setError] = useState(null);
+  const catalogErrors = getCharacterErrors();
+
+  useEffect(() => {
+    onCharactersChange(setCharacters);
+    return () => offCharactersChange(setCharacters);
+  }, []);
+
+  const select = async (character) => {
+    if (character.id === currentId || loadingId) return;
+    try {
+      setError(null);
+      setLoadingId(character.id);
+      await onSelect(character);
+    } catch (err) {
+      setError(`Erreur: ${err.message || "modèle illisible"}`);
+    } finally {
+      setLoadingId(null);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) onImportFile(file);
+  };
+
+  return (
+    <div className="absolute top-16 left-5 flex flex-col gap-2 items-start z-10">
+      <div className="flex flex-wrap gap-2 max-w-xs">
+        {characters.map((character) => (
+          <button
+            key={character.id}
+            onClick={() => select(character)}
+            disabled={disabled || Boolean(loadingId)}
+            className={`flex items-center gap-2 px-3 py-1 text-sm rounded shadow-lg border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+              character.id === currentId
+                ? "bg-gray-700 text-white border-gray-700"
+                : "bg-white/90 text-gray-700 border-gray-200 hover:bg-gray-100"
+            }`}
+          >
+            <span
+              className="w-3 h-3 rounded-full border border-gray-300"
+              style={{
+                background:
+                  character.theme && character.theme.color
+                    ? character.theme.color
+                    : "transparent",
+              }}
+            />
+            {loadingId === character.id ? "⏳ " : ""}
+            {character.name}
+          </button>
+        ))}
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={disabled || Boolean(loadingId)}
+          className="px-3 py-1 bg-gray-700 text-white text-sm rounded hover:bg-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed shadow-lg"
+        >
+          📁 GLB…
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".glb,.gltf,model/gltf-binary,model/gltf+json"
+          className="hidden"
+          onChange={handleFileChange}
+        />
+      </div>
+
+      {error && (
+        <div className="text-xs text-red-600 bg-red-50 px-3 py-1 rounded shadow border border-red-200 max-w-xs">
+          {error}
+        </div>
+      )}
+
+      {catalogErrors.length > 0 && (
+        <ul className="text-xs text-red-600 bg-red-50 px-3 py-1 rounded shadow border border-red-200 max-w-xs list-disc list-inside">
+          {catalogErrors.map((message) => (
+            <li key={message}>{message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,207 @@
+// Colliders.js
+// Génération des formes de collision Cannon-es à partir d'un modèle GLB
+// - Primitives ("box", "sphere", "cylinder") basées sur la bounding box
+// - "convex" : enveloppe convexe calculée depuis la géométrie du modèle
+// - "compound" : meshes de collision nommés COL_* / collider* dans le GLB
+// - "auto" : meshes de collision s'ils existent, sinon box
+import * as THREE from "three";
+import { ConvexGeometry } from "three/examples/jsm/geometries/ConvexGeometry.js";
+import { mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import {
+  Box,
+  ConvexPolyhedron,
+  Cylinder,
+  Quaternion,
+  Sphere,
+  Vec3,
+} from "cannon-es";
+
+export const COLLIDER_MODES = [
+  "box",
+  "sphere",
+  "cylinder",
+  "convex",
+  "compound",
+  "auto",
+];
+
+// Au-delà, l'enveloppe convexe devient coûteuse pour la narrowphase
+const MAX_HULL_POINTS = 200;
+const COLLIDER_NAME_PATTERN = /^(col_|collider)/i;
+
+// Un mesh de collision est un mesh dont le nom commence par COL_ ou collider
+export function isColliderMesh(node) {
+  return node.isMesh && COLLIDER_NAME_PATTERN.test(node.name);
+}
+
+export function getColliderMeshes(object) {
+  const meshes = [];
+  object.traverse((node) => {
+    if (isColliderMesh(node)) meshes.push(node);
+  });
+  return meshes;
+}
+
+// Les meshes de collision ne servent qu'à la physique : on les masque
+export function hideColliderMeshes(object) {
+  getColliderMeshes(object).forEach((mesh) => {
+    mesh.visible = false;
+    mesh.castShadow = false;
+  });
+}
+
+// Forme primitive centrée sur l'origine du body, basée sur la taille du modèle
+export function createPrimitiveShape(shapeType, size) {
+  const halfX = Math.max(size.x / 2, 0.05);
+  const halfY = Math.max(size.y / 2, 0.05);
+  const halfZ = Math.max(size.z / 2, 0.05);
+
+  switch (shapeType) {
+    case "sphere":
+      return new Sphere(Math.max(halfX, halfY, halfZ));
+    case "cylinder": {
+      const radius = Math.max(halfX, halfZ);
+      return new Cylinder(radius, radius, halfY * 2, 12);
+    }
+    default:
+      return new Box(new Vec3(halfX, halfY, halfZ));
+  }
+}
+
+// Récupère les sommets des meshes dans le repère du body (origin = position du body)
+function collectPoints(meshes, origin) {
+  const points = [];
+  const vertex = new THREE.Vector3();
+
+  meshes.forEach((mesh) => {
+    const position = mesh.geometry.getAttribute("position");
+    if (!position) return;
+    for (let i = 0; i < position.count; i++) {
+      vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+      points.push(vertex.clone().sub(origin));
+    }
+  });
+
+  // Sous-échantillonnage régulier pour borner le coût du calcul
+  if (points.length <= MAX_HULL_POINTS) return points;
+  const stride = points.length / MAX_HULL_POINTS;
+  return Array.from(
+    { length: MAX_HULL_POINTS },
+    (_, i) => points[Math.floor(i * stride)],
+  );
+}
+
+// Enveloppe convexe (QuickHull de Three.js) convertie en ConvexPolyhedron
+function createConvexShape(meshes, origin) {
+  const points = collectPoints(meshes, origin);
+  if (points.length < 4) return null;
+
+  const hull = new ConvexGeometry(points);
+  hull.deleteAttribute("normal");
+  const indexed = mergeVertices(hull);
+  const position = indexed.getAttribute("position");
+  const index = indexed.getIndex();
+
+  const vertices = [];
+  for (let i = 0; i < position.count; i++) {
+    vertices.push(
+      new Vec3(position.getX(i), position.getY(i), position.getZ(i)),
+    );
+  }
+  const faces = [];
+  for (let i = 0; i < index.count; i += 3) {
+    faces.push([index.getX(i), index.getX(i + 1), index.getX(i + 2)]);
+  }
+
+  hull.dispose();
+  indexed.dispose();
+  return new ConvexPolyhedron({ vertices, faces });
+}
+
+// Collider issu d'un mesh COL_* : le type est déduit du nom
+// (COL_sphere_*, COL_convex_* / COL_hull_*, sinon box orientée)
+function createShapeFromColliderMesh(mesh, origin) {
+  const name = mesh.name.toLowerCase();
+  if (name.includes("convex") || name.includes("hull")) {
+    const shape = createConvexShape([mesh], origin);
+    return shape ? { shape, offset: new Vec3(), orientation: null } : null;
+  }
+
+  mesh.geometry.computeBoundingBox();
+  const localBox = mesh.geometry.boundingBox;
+  const worldPos = new THREE.Vector3();
+  const worldQuat = new THREE.Quaternion();
+  const worldScale = new THREE.Vector3();
+  mesh.matrixWorld.decompose(worldPos, worldQuat, worldScale);
+
+  const size = localBox.getSize(new THREE.Vector3()).multiply(worldScale);
+  const center = localBox
+    .getCenter(new THREE.Vector3())
+    .applyMatrix4(mesh.matrixWorld)
+    .sub(origin);
+
+  return {
+    shape: createPrimitiveShape(name.includes("sphere") ? "sphere" : "box", {
+      x: Math.abs(size.x),
+      y: Math.abs(size.y),
+      z: Math.abs(size.z),
+    }),
+    offset: new Vec3(center.x, center.y, center.z),
+    orientation: new Quaternion(
+      worldQuat.x,
+      worldQuat.y,
+      worldQuat.z,
+      worldQuat.w,
+    ),
+  };
+}
+
+// Construit la liste des formes à ajouter au body
+// - origin : position monde de l'origine du body
+// - size : taille du modèle, utilisée pour les primitives et le repli de "auto"
+// Retourne null si aucune forme ne peut être générée (l'appelant garde la sienne)
+export function buildColliderShapes(object, mode, { origin, size } = {}) {
+  const primitive = (type) =>
+    size
+      ? [
+          {
+            shape: createPrimitiveShape(type, size),
+            offset: new Vec3(),
+            orientation: null,
+          },
+        ]
+      : null;
+
+  if (mode === "box" || mode === "sphere" || mode === "cylinder") {
+    return primitive(mode);
+  }
+
+  object.updateMatrixWorld(true);
+  const bodyOrigin = origin || object.getWorldPosition(new THREE.Vector3());
+  const colliderMeshes = getColliderMeshes(object);
+
+  if (colliderMeshes.length > 0 && (mode === "compound" || mode === "auto")) {
+    const shapes = colliderMeshes
+      .map((mesh) => createShapeFromColliderMesh(mesh, bodyOrigin))
+      .filter(Boolean);
+    if (shapes.length > 0) return shapes;
+  }
+
+  if (mode === "convex" || mode === "compound") {
+    const visibleMeshes = [];
+    object.traverse((node) => {
+      if (node.isMesh && !isColliderMesh(node)) visibleMeshes.push(node);
+    });
+    const shape = createConvexShape(visibleMeshes, bodyOrigin);
+    if (shape) return [{ shape, offset: new Vec3(), orientation: null }];
+  }
+
+  return primitive("box");
+}
+
+// Ajoute les formes générées à un body Cannon
+export function addColliderShapes(body, shapes) {
+  shapes.forEach(({ shape, offset, orientation }) => {
+    body.addShape(shape, offset, orientation || undefined);
+  });
+}
@@ -0,0 +1,12 @@
+// CollisionGroups.js
+// Groupes de collision Cannon-es (bitmask collisionFilterGroup / collisionFilterMask)
+export const CollisionGroups = {
+  // Sol, personnage et décor
+  SCENE: 1,
+  // Items spawnés
+  ITEM: 2,
+  // Capteur de la tête (trigger, aucune réponse physique)
+  HEAD_SENSOR: 4,
+  // Bodies des os en mode ragdoll
+  RAGDOLL: 8,
+};
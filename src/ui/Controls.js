@@ -0,0 +1,450 @@
+// Controls.js
+// Contrôle au clavier et à la manette (Gamepad API), sans pointeur
+// - Sélection d'un item : l'item sélectionné est tenu (comme un drag)
+//   puis déplacé, lâché ou lancé
+// - Poussée du personnage, spawn d'items par raccourci
+// - Bindings par défaut dans src/data/controls.json, surcharges dans le
+//   localStorage (reconfigurables via ControlsPanel)
+import controlsData from "../data/controls.json";
+import { GameEvent } from "./EventBus";
+
+// Identifiants des actions (clés de controls.json)
+export const ControlAction = {
+  SELECT_NEXT: "selectNext",
+  SELECT_PREVIOUS: "selectPrevious",
+  RELEASE: "release",
+  ITEM_LEFT: "itemLeft",
+  ITEM_RIGHT: "itemRight",
+  ITEM_UP: "itemUp",
+  ITEM_DOWN: "itemDown",
+  THROW: "throw",
+  NUDGE_LEFT: "nudgeLeft",
+  NUDGE_RIGHT: "nudgeRight",
+  NUDGE_UP: "nudgeUp",
+  SPAWN_RANDOM: "spawnRandom",
+  SPAWN_1: "spawn1",
+  SPAWN_2: "spawn2",
+  SPAWN_3: "spawn3",
+  SPAWN_4: "spawn4",
+};
+
+// Raccourcis de spawn : action -> index dans le catalogue
+export const SPAWN_SLOTS = {
+  [ControlAction.SPAWN_1]: 0,
+  [ControlAction.SPAWN_2]: 1,
+  [ControlAction.SPAWN_3]: 2,
+  [ControlAction.SPAWN_4]: 3,
+};
+
+// Actions maintenues (lues à chaque pas), les autres sont ponctuelles
+const HELD_ACTIONS = [
+  ControlAction.ITEM_LEFT,
+  ControlAction.ITEM_RIGHT,
+  ControlAction.ITEM_UP,
+  ControlAction.ITEM_DOWN,
+];
+
+const STORAGE_KEY = "humanexe:controls";
+// Vitesse de déplacement de l'item tenu (m/s)
+const ITEM_MOVE_SPEED = 2.5;
+// Vitesse d'un lancer (m/s, modulée par la stat speed de l'item)
+const THROW_SPEED = 6;
+// Pièce 3D : vitesse verticale d'un lancer (part de THROW_SPEED)
+const ROOM_THROW_LOB = 0.6;
+
+// === Bindings ===
+
+const isArrayOf = (value, type) =>
+  Array.isArray(value) && value.every((entry) => typeof entry === type);
+
+// Champs d'un binding et type attendu de leurs entrées
+const BINDING_FIELDS = { keys: "string", buttons: "number" };
+
+function loadOverrides() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const overrides = raw ? JSON.parse(raw) : {};
+    return overrides && typeof overrides === "object" ? overrides : {};
+  } catch (error) {
+    console.warn("⚠️ Contrôles sauvegardés ignorés:", error);
+    return {};
+  }
+}
+
+function saveOverrides(overrides) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  } catch (error) {
+    console.warn("⚠️ Sauvegarde des contrôles impossible:", error);
+  }
+}
+
+// { deadzone, axes, actions: { [action]: { label, keys, buttons } } }
+// Les surcharges remplacent keys / buttons action par action ; un champ
+// sauvegardé invalide (pas un tableau de codes / d'index) garde le défaut
+export function getBindings() {
+  const overrides = loadOverrides();
+  const actions = {};
+  Object.entries(controlsData.actions).forEach(([action, binding]) => {
+    const override = overrides[action] || {};
+    actions[action] = { ...binding };
+    Object.entries(BINDING_FIELDS).forEach(([field, type]) => {
+      if (isArrayOf(override[field], type)) {
+        actions[action][field] = override[field];
+      }
+    });
+  });
+  return { ...controlsData, actions };
+}
+
+// binding : { keys?, buttons? } (codes KeyboardEvent.code, index de bouton)
+// Une touche / un bouton déjà pris est retiré de l'autre action
+export function setBinding(action, binding) {
+  if (!controlsData.actions[action]) {
+    throw new Error(`Action inconnue: ${action}`);
+  }
+  const overrides = loadOverrides();
+  const current = getBindings().actions;
+
+  Object.entries(BINDING_FIELDS).forEach(([field, type]) => {
+    const values = binding[field];
+    if (values === undefined) return;
+    if (!isArrayOf(values, type)) {
+      throw new Error(`Binding invalide pour ${action}: "${field}"`);
+    }
+    overrides[action] = { ...overrides[action], [field]: values };
+
+    Object.keys(current).forEach((other) => {
+      if (other === action) return;
+      const kept = current[other][field].filter((v) => !values.includes(v));
+      if (kept.length !== current[other][field].length) {
+        overrides[other] = { ...overrides[other], [field]: kept };
+      }
+    });
+  });
+  saveOverrides(overrides);
+}
+
+export function resetBindings() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn("⚠️ Réinitialisation des contrôles impossible:", error);
+  }
+}
+
+// Saisie en cours dans un champ : le clavier lui revient
+function isTypingTarget(element) {
+  if (!element || !element.tagName) return false;
+  return (
+    ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName) ||
+    element.isContentEditable
+  );
+}
+
+function getGamepads() {
+  if (typeof navigator === "undefined" || !navigator.getGamepads) return [];
+  return [...navigator.getGamepads()].filter(Boolean);
+}
+
+export class ControlsManager {
+  // target : cible des événements clavier (window par défaut)
+  // gameSession (optionnel) : aucune action pendant le game over
+  constructor({ simulation, eventBus, gameSession = null, target = window }) {
+    this.simulation = simulation;
+    this.eventBus = eventBus;
+    this.gameSession = gameSession;
+    this.target = target;
+    this.bindings = getBindings();
+    this.selectedItem = null;
+    // Direction du dernier déplacement, reprise par le lancer
+    this.throwDirection = { x: 0, y: 1 };
+    // Actions maintenues au clavier / à la manette
+    this.keyActions = new Set();
+    this.gamepadActions = new Set();
+    this.gamepadAxes = { x: 0, y: 0 };
+    this.actionCallbacks = [];
+    this.selectionCallbacks = [];
+    this.bindingsCallbacks = [];
+
+    this.onKeyDown = this.onKeyDown.bind(this);
+    this.onKeyUp = this.onKeyUp.bind(this);
+    this.onBlur = this.onBlur.bind(this);
+    this.onFrame = this.onFrame.bind(this);
+    this.onStep = this.onStep.bind(this);
+    this.onItemRemoved = this.onItemRemoved.bind(this);
+    this.onGameOverChange = this.onGameOverChange.bind(this);
+
+    target.addEventListener("keydown", this.onKeyDown);
+    target.addEventListener("keyup", this.onKeyUp);
+    target.addEventListener("blur", this.onBlur);
+    eventBus.on(GameEvent.FRAME, this.onFrame);
+    eventBus.on(GameEvent.STEP, this.onStep);
+    eventBus.on(GameEvent.ITEM_REMOVED, this.onItemRemoved);
+    if (gameSession) gameSession.onGameOverChange(this.onGameOverChange);
+  }
+
+  // callback(action) : action ponctuelle déclenchée (spawn...)
+  onAction(callback) {
+    this.actionCallbacks.push(callback);
+  }
+
+  offAction(callback) {
+    this.actionCallbacks = this.actionCallbacks.filter((cb) => cb !== callback);
+  }
+
+  // callback(item | null) : item sélectionné
+  onSelectionChange(callback) {
+    this.selectionCallbacks.push(callback);
+  }
+
+  offSelectionChange(callback) {
+    this.selectionCallbacks = this.selectionCallbacks.filter(
+      (cb) => cb !== callback,
+    );
+  }
+
+  // callback(bindings) : bindings modifiés ou réinitialisés
+  onBindingsChange(callback) {
+    this.bindingsCallbacks.push(callback);
+  }
+
+  offBindingsChange(callback) {
+    this.bindingsCallbacks = this.bindingsCallbacks.filter(
+      (cb) => cb !== callback,
+    );
+  }
+
+  setBinding(action, binding) {
+    setBinding(action, binding);
+    this.reloadBindings();
+  }
+
+  resetBindings() {
+    resetBindings();
+    this.reloadBindings();
+  }
+
+  reloadBindings() {
+    this.bindings = getBindings();
+    this.keyActions.clear();
+    this.bindingsCallbacks.forEach((callback) => callback(this.bindings));
+  }
+
+  getActionForKey(code) {
+    return Object.keys(this.bindings.actions).find((action) =>
+      this.bindings.actions[action].keys.includes(code),
+    );
+  }
+
+  // === Clavier ===
+
+  onKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (isTypingTarget(e.target)) return;
+
+    const action = this.getActionForKey(e.code);
+    if (!action) return;
+    // Pas de scroll (flèches, espace) ni de clic sur le bouton focus
+    e.preventDefault();
+
+    if (e.repeat || this.keyActions.has(action)) return;
+    this.keyActions.add(action);
+    this.trigger(action);
+  }
+
+  onKeyUp(e) {
+    const action = this.getActionForKey(e.code);
+    if (action) this.keyActions.delete(action);
+  }
+
+  // Fenêtre quittée : les keyup ne viendront pas
+  onBlur() {
+    this.keyActions.clear();
+  }
+
+  // === Manette (lue à chaque frame, pause comprise) ===
+
+  onFrame() {
+    const gamepads = getGamepads();
+    const pressed = new Set();
+    let axisX = 0;
+    let axisY = 0;
+    let nudgeX = 0;
+    let nudgeY = 0;
+    const { deadzone, axes } = this.bindings;
+    const readAxis = (gamepad, index) => {
+      const value = gamepad.axes[index] || 0;
+      return Math.abs(value) > deadzone ? value : 0;
+    };
+
+    gamepads.forEach((gamepad) => {
+      Object.entries(this.bindings.actions).forEach(([action, binding]) => {
+        const isPressed = binding.buttons.some(
+          (index) => gamepad.buttons[index] && gamepad.buttons[index].pressed,
+        );
+        if (isPressed) pressed.add(action);
+      });
+      axisX += readAxis(gamepad, axes.item[0]);
+      // Axe Y de la manette vers le bas, de la scène vers le haut
+      axisY -= readAxis(gamepad, axes.item[1]);
+      nudgeX += readAxis(gamepad, axes.nudge[0]);
+      nudgeY -= readAxis(gamepad, axes.nudge[1]);
+    });
+
+    // Stick droit : une poussée par inclinaison, comme un bouton
+    if (nudgeX < 0) pressed.add(ControlAction.NUDGE_LEFT);
+    if (nudgeX > 0) pressed.add(ControlAction.NUDGE_RIGHT);
+    if (nudgeY > 0) pressed.add(ControlAction.NUDGE_UP);
+
+    // Front montant : action déclenchée une fois par appui
+    pressed.forEach((action) => {
+      if (!this.gamepadActions.has(action)) this.trigger(action);
+    });
+    this.gamepadActions = pressed;
+    this.gamepadAxes = { x: axisX, y: axisY };
+  }
+
+  isHeld(action) {
+    return this.keyActions.has(action) || this.gamepadActions.has(action);
+  }
+
+  // === Actions ===
+
+  // Game over : ni spawn, ni sélection, ni lancer (comme le drag au pointeur)
+  trigger(action) {
+    if (this.gameSession && this.gameSession.isGameOver) return;
+
+    switch (action) {
+      case ControlAction.SELECT_NEXT:
+        this.cycleSelection(1);
+        break;
+      case ControlAction.SELECT_PREVIOUS:
+        this.cycleSelection(-1);
+        break;
+      case ControlAction.RELEASE:
+        this.releaseSelection();
+        break;
+      case ControlAction.THROW:
+        this.throwSelection();
+        break;
+      case ControlAction.NUDGE_LEFT:
+        this.simulation.nudgeCharacter(-1, 0);
+        break;
+      case ControlAction.NUDGE_RIGHT:
+        this.simulation.nudgeCharacter(1, 0);
+        break;
+      case ControlAction.NUDGE_UP:
+        this.simulation.nudgeCharacter(0, 1);
+        break;
+      default:
+        break;
+    }
+    if (!HELD_ACTIONS.includes(action)) {
+      this.actionCallbacks.forEach((callback) => callback(action));
+    }
+  }
+
+  // Déplacement de l'item tenu, en temps simulé (ralenti, pause)
+  onStep({ dt }) {
+    if (!this.selectedItem) return;
+
+    let x = this.gamepadAxes.x;
+    let y = this.gamepadAxes.y;
+    if (this.isHeld(ControlAction.ITEM_LEFT)) x -= 1;
+    if (this.isHeld(ControlAction.ITEM_RIGHT)) x += 1;
+    if (this.isHeld(ControlAction.ITEM_UP)) y += 1;
+    if (this.isHeld(ControlAction.ITEM_DOWN)) y -= 1;
+
+    const length = Math.hypot(x, y);
+    if (length === 0) return;
+    this.throwDirection = { x: x / length, y: y / length };
+    // Diagonale au clavier : même vitesse qu'en ligne droite
+    if (length > 1) {
+      x /= length;
+      y /= length;
+    }
+
+    const step = ITEM_MOVE_SPEED * dt;
+    // Pièce 3D : haut / bas déplacent l'item en profondeur
+    if (this.simulation.isRoom) {
+      this.simulation.moveHeldItem(this.selectedItem, x * step, 0, -y * step);
+    } else {
+      this.simulation.moveHeldItem(this.selectedItem, x * step, y * step);
+    }
+  }
+
+  // Item suivant / précédent parmi ceux de la scène (hors drag au pointeur)
+  cycleSelection(direction) {
+    const items = this.simulation.spawnedItems.current.filter(
+      (item) => item === this.selectedItem || !item.isBeingDragged,
+    );
+    if (!items.length) return;
+
+    const index = items.indexOf(this.selectedItem);
+    const nextIndex =
+      index === -1
+        ? direction > 0
+          ? 0
+          : items.length - 1
+        : (index + direction + items.length) % items.length;
+    const next = items[nextIndex];
+    if (next === this.selectedItem) return;
+
+    if (this.selectedItem) this.simulation.releaseItem(this.selectedItem);
+    this.simulation.holdItem(next);
+    this.setSelectedItem(next);
+  }
+
+  // Game over : l'item tenu est lâché
+  onGameOverChange({ isGameOver }) {
+    if (isGameOver) this.releaseSelection();
+  }
+
+  releaseSelection(velocity = null) {
+    if (!this.selectedItem) return;
+    this.simulation.releaseItem(this.selectedItem, velocity);
+    this.setSelectedItem(null);
+  }
+
+  // Pièce 3D : lancer en cloche dans la direction du déplacement
+  throwSelection() {
+    const { x, y } = this.throwDirection;
+    this.releaseSelection(
+      this.simulation.isRoom
+        ? {
+            x: x * THROW_SPEED,
+            y: THROW_SPEED * ROOM_THROW_LOB,
+            z: -y * THROW_SPEED,
+          }
+        : { x: x * THROW_SPEED, y: y * THROW_SPEED },
+    );
+  }
+
+  setSelectedItem(item) {
+    this.selectedItem = item;
+    this.throwDirection = { x: 0, y: 1 };
+    this.selectionCallbacks.forEach((callback) => callback(item));
+  }
+
+  // Item sélectionné retiré (poubelle, tête, reset) : plus de sélection
+  onItemRemoved({ item }) {
+    if (item === this.selectedItem) this.setSelectedItem(null);
+  }
+
+  dispose() {
+    this.releaseSelection();
+    this.target.removeEventListener("keydown", this.onKeyDown);
+    this.target.removeEventListener("keyup", this.onKeyUp);
+    this.target.removeEventListener("blur", this.onBlur);
+    this.eventBus.off(GameEvent.FRAME, this.onFrame);
+    this.eventBus.off(GameEvent.STEP, this.onStep);
+    this.eventBus.off(GameEvent.ITEM_REMOVED, this.onItemRemoved);
+    if (this.gameSession) {
+      this.gameSession.offGameOverChange(this.onGameOverChange);
+    }
+    this.actionCallbacks = [];
+    this.selectionCallbacks = [];
+    this.bindingsCallbacks = [];
+  }
+}
@@ -0,0 +1,91 @@
+// ControlsPanel.jsx
+// Aide et reconfiguration des contrôles clavier / manette (voir Controls.js)
+// Clic sur une touche : la prochaine touche pressée la remplace
+import { useEffect, useState } from "react";
+import { getCatalogItemById } from "./ItemCatalog";
+
+const KEY_LABELS = {
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  Space: "Espace",
+  Escape: "Échap",
+};
+
+function formatKey(code) {
+  return KEY_LABELS[code] || code.replace(/^(Key|Digit)/, "");
+}
+
+export default function ControlsPanel({ controls }) {
+  const [bindings, setBindings] = useState(controls.bindings);
+  const [selectedItem, setSelectedItem] = useState(controls.selectedItem);
+  // Action en attente d'une nouvelle touche
+  const [rebinding, setRebinding] = useState(null);
+
+  useEffect(() => {
+    controls.onBindingsChange(setBindings);
+    controls.onSelectionChange(setSelectedItem);
+    return () => {
+      controls.offBindingsChange(setBindings);
+      controls.offSelectionChange(setSelectedItem);
+    };
+  }, [controls]);
+
+  // Capture avant le ControlsManager : la touche ne déclenche pas d'action
+  useEffect(() => {
+    if (!rebinding) return;
+
+    const onKeyDown = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (e.code !== "Escape") {
+        controls.setBinding(rebinding, { keys: [e.code] });
+      }
+      setRebinding(null);
+    };
+    window.addEventListener("keydown", onKeyDown, true);
+    return () => window.removeEventListener("keydown", onKeyDown, true);
+  }, [controls, rebinding]);
+
+  const selectedEntry = selectedItem && getCatalogItemById(selectedItem.itemId);
+
+  return (
+    <details className="absolute top-28 left-1/2 -translate-x-1/2 text-xs text-gray-600 bg-white/80 px-3 py-1 rounded shadow border border-gray-200 z-10">
+      <summary className="cursor-pointer">
+        🎮 Contrôles
+        {selectedItem &&
+          ` · ${selectedEntry ? selectedEntry.stats.name : selectedItem.itemId} sélectionné`}
+      </summary>
+      <table className="mt-1">
+        <tbody>
+          {Object.entries(bindings.actions).map(([action, binding]) => (
+            <tr key={action}>
+              <td className="pr-2">{binding.label}</td>
+              <td className="pr-2">
+                <button
+                  onClick={() => setRebinding(action)}
+                  className="px-1 rounded border border-gray-300 hover:bg-white"
+                >
+                  {rebinding === action
+                    ? "Touche ?"
+                    : binding.keys.map(formatKey).join(" / ") || "—"}
+                </button>
+              </td>
+              <td className="text-gray-400">
+                {binding.buttons.length > 0 &&
+                  `🕹️ ${binding.buttons.join(" / ")}`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <button
+        onClick={() => controls.resetBindings()}
+        className="mt-1 mb-1 px-2 py-0.5 rounded bg-gray-700 text-white hover:bg-gray-800"
+      >
+        ↺ Par défaut
+      </button>
+    </details>
+  );
+}
@@ -0,0 +1,132 @@
+// Environment.js
+// Pièce de la scène construite depuis une définition de RoomCatalog
+// - Sol (mesh + matériau du body de sol de la simulation) et zones de sol
+// - Meubles statiques : mesh + body Cannon (les items rebondissent dessus,
+//   le personnage peut y tenir debout)
+// - Murs du mode 3D (dimensions transmises à la Simulation), points de spawn
+// Partagée par App et les tests sans rendu (tests/)
+import * as THREE from "three";
+import { Body, Box, Vec3 } from "cannon-es";
+import { GROUND_Y } from "./Simulation";
+import { SURFACE_MATERIAL } from "./ItemPhysics";
+
+// Taille du mesh de sol (m), plus grand que la pièce pour le mode 2.5D
+const FLOOR_SIZE = 10;
+// Épaisseur des zones de sol (au-dessus du sol, sous les items)
+const PATCH_THICKNESS = 0.02;
+
+function createFloorMesh(color) {
+  const geometry = new THREE.PlaneGeometry(FLOOR_SIZE, FLOOR_SIZE);
+  const material = new THREE.MeshStandardMaterial({ color });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.rotation.x = -Math.PI / 2;
+  mesh.position.y = GROUND_Y;
+  mesh.receiveShadow = true;
+  return mesh;
+}
+
+// Box statique : centre en coordonnées monde, size [w, h, d]
+function createStaticBox(center, size, color, material) {
+  const [width, height, depth] = size;
+  const mesh = new THREE.Mesh(
+    new THREE.BoxGeometry(width, height, depth),
+    new THREE.MeshStandardMaterial({ color }),
+  );
+  mesh.position.copy(center);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+
+  const body = new Body({ mass: 0, material });
+  body.addShape(new Box(new Vec3(width / 2, height / 2, depth / 2)));
+  body.position.set(center.x, center.y, center.z);
+  return { mesh, body };
+}
+
+export class Environment {
+  // defaultPlayMode : aire de jeu appliquée si la pièce n'en impose pas
+  constructor(room, { scene, simulation, defaultPlayMode = null }) {
+    this.room = room;
+    this.scene = scene;
+    this.simulation = simulation;
+    this.meshes = [];
+    this.bodies = [];
+    this.spawnIndex = 0;
+
+    this.buildFloor();
+    room.floorPatches.forEach((patch) => this.buildPatch(patch));
+    room.props.forEach((prop) => this.buildProp(prop));
+
+    simulation.setRoom(room.size);
+    const playMode = room.playMode || defaultPlayMode;
+    if (playMode) simulation.setPlayMode(playMode);
+  }
+
+  add({ mesh, body }) {
+    if (mesh) {
+      this.scene.add(mesh);
+      this.meshes.push(mesh);
+    }
+    if (body) {
+      this.simulation.world.addBody(body);
+      this.bodies.push(body);
+    }
+  }
+
+  buildFloor() {
+    const { floor } = this.room;
+    this.add({ mesh: createFloorMesh(floor.color) });
+    this.simulation.groundBody.material = floor.material;
+  }
+
+  buildPatch({ surface, position, size }) {
+    const [x, z] = position;
+    const [width, depth] = size;
+    this.add(
+      createStaticBox(
+        new THREE.Vector3(x, GROUND_Y + PATCH_THICKNESS / 2, z),
+        [width, PATCH_THICKNESS, depth],
+        surface.color,
+        surface.material,
+      ),
+    );
+  }
+
+  buildProp({ position, size, color, surface }) {
+    const [x, y, z] = position;
+    this.add(
+      createStaticBox(
+        new THREE.Vector3(x, GROUND_Y + y + size[1] / 2, z),
+        size,
+        color,
+        surface.material,
+      ),
+    );
+  }
+
+  // Prochain point de spawn de la pièce (chacun son tour), null s'il n'y en a pas
+  nextSpawnPoint() {
+    const { spawnPoints } = this.room;
+    if (!spawnPoints.length) return null;
+
+    const [x, y, z] = spawnPoints[this.spawnIndex % spawnPoints.length];
+    this.spawnIndex += 1;
+    return new THREE.Vector3(x, GROUND_Y + y, z);
+  }
+
+  // Position monde de la poubelle, null : elle suit le bord de la vue
+  get trashPosition() {
+    return this.room.trashPosition;
+  }
+
+  dispose() {
+    this.meshes.forEach((mesh) => {
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.bodies.forEach((body) => this.simulation.world.removeBody(body));
+    this.meshes = [];
+    this.bodies = [];
+    this.simulation.groundBody.material = SURFACE_MATERIAL;
+  }
+}
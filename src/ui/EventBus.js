@@ -0,0 +1,75 @@
+// EventBus.js
+// Bus d'événements entre App et les composants de la scène (un bus par instance d'App)
+// Remplace les fonctions exposées sur window et le patch de renderer.render
+// Seuls les types de GameEvent sont acceptés (faute de frappe = erreur immédiate)
+
+// Types d'événements et leur payload
+export const GameEvent = {
+  // { dt, alpha } : une frame de rendu, après la simulation, avant le rendu
+  // (alpha : interpolation entre les deux derniers pas, voir Simulation)
+  FRAME: "frame",
+  // { dt } : un pas fixe de la simulation (physique, hits), pause comprise
+  STEP: "step",
+  // { item } : item ajouté à la scène (bouton, inventaire, sauvegarde)
+  ITEM_SPAWNED: "itemSpawned",
+  // { item, reason } : item retiré de la scène (voir ItemRemoveReason)
+  ITEM_REMOVED: "itemRemoved",
+  // { item, hit, impact } : item qui touche la tête (voir HeadSensor, ImpactModel)
+  ITEM_HIT_CHARACTER: "itemHitCharacter",
+  // Payload du HealthManager : { currentHealth, maxHealth, change, itemStats, source, ... }
+  HEALTH_CHANGED: "healthChanged",
+  // { count } : poubelle cliquée, tous les items supprimés
+  TRASH_EMPTIED: "trashEmptied",
+};
+
+export const ItemRemoveReason = {
+  HEAD: "head",
+  TRASH: "trash",
+  RESET: "reset",
+  RESTORE: "restore",
+};
+
+// Origine d'un changement de santé (champ "source" du HealthManager)
+// ITEM : effet d'un item ; RESTORE / REVIVE : changements système, hors jeu
+export const HealthChangeSource = {
+  ITEM: "item",
+  RESTORE: "restore",
+  REVIVE: "revive",
+};
+
+const EVENT_TYPES = Object.values(GameEvent);
+
+function assertEventType(type) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Événement inconnu: ${type}`);
+  }
+}
+
+export class EventBus {
+  constructor() {
+    this.listeners = new Map(EVENT_TYPES.map((type) => [type, []]));
+  }
+
+  on(type, callback) {
+    assertEventType(type);
+    this.listeners.set(type, [...this.listeners.get(type), callback]);
+  }
+
+  off(type, callback) {
+    assertEventType(type);
+    this.listeners.set(
+      type,
+      this.listeners.get(type).filter((cb) => cb !== callback),
+    );
+  }
+
+  // on / off pendant une émission ne comptent qu'à partir de la suivante
+  emit(type, payload) {
+    assertEventType(type);
+    this.listeners.get(type).forEach((callback) => callback(payload));
+  }
+
+  clear() {
+    EVENT_TYPES.forEach((type) => this.listeners.set(type, []));
+  }
+}
@@ -0,0 +1,145 @@
+// GameOver.jsx
+// Fin de partie pilotée par le HealthManager
+// - GameSession : statistiques de la vie en cours et passage en game over à 0 PV
+// - GameOverOverlay : écran de fin avec les stats et le bouton de réanimation
+// La remise à zéro de la scène (items, personnage) est faite par App via onRevive
+import { useEffect, useState } from "react";
+import { ImpactTier } from "./ImpactModel";
+import { HealthChangeSource } from "./EventBus";
+
+const createStats = () => ({
+  startedAt: Date.now(),
+  endedAt: null,
+  hits: 0,
+  heavyHits: 0,
+  damageTaken: 0,
+  healingReceived: 0,
+  biggestHit: 0,
+});
+
+export class GameSession {
+  constructor(healthManager) {
+    this.healthManager = healthManager;
+    this.isGameOver = false;
+    this.deaths = 0;
+    this.stats = createStats();
+    this.gameOverCallbacks = [];
+
+    this.onHealthChange = this.onHealthChange.bind(this);
+    healthManager.onHealthChange(this.onHealthChange);
+  }
+
+  // callback({ isGameOver, stats, deaths }) à chaque entrée / sortie du game over
+  onGameOverChange(callback) {
+    this.gameOverCallbacks.push(callback);
+  }
+
+  offGameOverChange(callback) {
+    this.gameOverCallbacks = this.gameOverCallbacks.filter(
+      (cb) => cb !== callback,
+    );
+  }
+
+  notifyGameOverChange() {
+    const state = this.getState();
+    this.gameOverCallbacks.forEach((callback) => callback(state));
+  }
+
+  getState() {
+    return {
+      isGameOver: this.isGameOver,
+      stats: { ...this.stats },
+      deaths: this.deaths,
+    };
+  }
+
+  // Hit sur la tête (tier : palier d'impact, voir ImpactModel)
+  recordHit(tier) {
+    if (this.isGameOver) return;
+    this.stats.hits += 1;
+    if (tier === ImpactTier.HEAVY) this.stats.heavyHits += 1;
+  }
+
+  onHealthChange({ currentHealth, change, source }) {
+    // Sauvegarde restaurée, réanimation : hors statistiques
+    const isSystem = source !== HealthChangeSource.ITEM;
+
+    if (!this.isGameOver && !isSystem) {
+      if (change < 0) {
+        this.stats.damageTaken -= change;
+        this.stats.biggestHit = Math.max(this.stats.biggestHit, -change);
+      } else {
+        this.stats.healingReceived += change;
+      }
+    }
+
+    if (currentHealth <= 0 && !this.isGameOver) {
+      this.isGameOver = true;
+      this.deaths += 1;
+      this.stats.endedAt = Date.now();
+      console.log("💀 Game over", this.stats);
+      this.notifyGameOverChange();
+    } else if (currentHealth > 0 && this.isGameOver) {
+      // Réanimation (ou sauvegarde restaurée) : nouvelle vie
+      this.isGameOver = false;
+      this.stats = createStats();
+      this.notifyGameOverChange();
+    }
+  }
+
+  dispose() {
+    this.healthManager.offHealthChange(this.onHealthChange);
+    this.gameOverCallbacks = [];
+  }
+}
+
+const formatDuration = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+export default function GameOverOverlay({ session, onRevive }) {
+  const [state, setState] = useState(() => session.getState());
+
+  useEffect(() => {
+    session.onGameOverChange(setState);
+    return () => session.offGameOverChange(setState);
+  }, [session]);
+
+  if (!state.isGameOver) return null;
+
+  const { stats } = state;
+  const rows = [
+    ["⏱️ Survie", formatDuration(stats.endedAt - stats.startedAt)],
+    ["🎯 Hits reçus", `${stats.hits} (${stats.heavyHits} violents)`],
+    ["💔 Dégâts subis", stats.damageTaken],
+    ["💚 Soins reçus", stats.healingReceived],
+    ["💥 Plus gros coup", stats.biggestHit],
+    ["☠️ Morts", state.deaths],
+  ];
+
+  // Plein écran au-dessus du canvas : les pointeurs n'atteignent plus la scène
+  // (InputManager écoute le canvas)
+  return (
+    <div className="fixed inset-0 bg-black/60 flex items-center justify-center z-30">
+      <div className="bg-white rounded shadow-lg p-5 w-72 flex flex-col gap-3">
+        <h2 className="text-lg font-medium text-center">💀 Game over</h2>
+        <dl className="grid grid-cols-2 gap-x-3 gap-y-1 text-sm">
+          {rows.map(([label, value]) => (
+            <div key={label} className="contents">
+              <dt className="text-gray-500">{label}</dt>
+              <dd className="text-right font-medium">{value}</dd>
+            </div>
+          ))}
+        </dl>
+        <button
+          onClick={onRevive}
+          className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 active:bg-blue-700 transition-colors font-medium"
+        >
+          🔄 Réanimer
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+// HeadSensor.js
+// Capteur de la tête du personnage basé sur les événements de contact Cannon-es
+// - Body trigger (sphère) collé à l'os de la tête, sans réponse physique
+// - Les hits sont détectés via l'événement "collide" et "endContact"
+// - Un test de balayage (segment/sphère) rattrape les items trop rapides
+//   qui traverseraient la tête entre deux pas de simulation (tunneling)
+import { Body, Sphere, Vec3 } from "cannon-es";
+import { CollisionGroups } from "./CollisionGroups";
+
+const HEAD_RADIUS = 0.5;
+
+// Distance minimale entre le segment [a, b] et le point c (réutilise des Vec3)
+const segDir = new Vec3();
+const segToCenter = new Vec3();
+const closest = new Vec3();
+function segmentDistanceToPoint(a, b, c) {
+  b.vsub(a, segDir);
+  c.vsub(a, segToCenter);
+  const lengthSq = segDir.lengthSquared();
+  const t =
+    lengthSq > 0
+      ? Math.min(1, Math.max(0, segToCenter.dot(segDir) / lengthSq))
+      : 0;
+  segDir.scale(t, closest);
+  closest.vadd(a, closest);
+  return closest.distanceTo(c);
+}
+
+export class HeadSensor {
+  // getItemForBody: retrouve l'item spawné associé à un body (ou null)
+  constructor(world, getItemForBody, radius = HEAD_RADIUS) {
+    this.world = world;
+    this.getItemForBody = getItemForBody;
+    this.radius = radius;
+    this.enabled = true;
+    // Hits en attente de traitement, indexés par item
+    this.pendingHits = new Map();
+    // Positions des items avant intégration (pour le test de balayage)
+    this.previousPositions = new Map();
+
+    this.body = new Body({
+      mass: 0,
+      type: Body.KINEMATIC,
+      isTrigger: true,
+      collisionFilterGroup: CollisionGroups.HEAD_SENSOR,
+      collisionFilterMask: CollisionGroups.ITEM,
+    });
+    this.body.addShape(new Sphere(radius));
+
+    this.onCollide = this.onCollide.bind(this);
+    this.onEndContact = this.onEndContact.bind(this);
+    this.onPreStep = this.onPreStep.bind(this);
+    this.onPostStep = this.onPostStep.bind(this);
+
+    this.body.addEventListener("collide", this.onCollide);
+    world.addEventListener("endContact", this.onEndContact);
+    world.addEventListener("preStep", this.onPreStep);
+    world.addEventListener("postStep", this.onPostStep);
+    world.addBody(this.body);
+  }
+
+  // Place le capteur sur la tête; la vélocité du personnage est reprise
+  // pour que la vitesse d'impact soit relative à la tête
+  update(headPosition, characterVelocity) {
+    this.body.position.set(headPosition.x, headPosition.y, headPosition.z);
+    if (characterVelocity) this.body.velocity.copy(characterVelocity);
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.pendingHits.clear();
+  }
+
+  // Enregistre un hit (le premier contact d'un item garde sa vitesse d'impact)
+  registerHit(item, impactVelocity, relativeVelocity, source) {
+    if (!this.enabled || this.pendingHits.has(item)) return;
+    this.pendingHits.set(item, {
+      item,
+      impactVelocity,
+      relativeVelocity,
+      source,
+    });
+  }
+
+  onCollide(event) {
+    const item = this.getItemForBody(event.body);
+    if (!item) return;
+
+    const relativeVelocity = new Vec3();
+    item.body.velocity.vsub(this.body.velocity, relativeVelocity);
+    this.registerHit(
+      item,
+      Math.abs(event.contact.getImpactVelocityAlongNormal()),
+      relativeVelocity,
+      "contact",
+    );
+  }
+
+  // L'item ne touche plus la tête : un hit de contact non traité est abandonné
+  onEndContact(event) {
+    const other =
+      event.bodyA === this.body
+        ? event.bodyB
+        : event.bodyB === this.body
+          ? event.bodyA
+          : null;
+    if (!other) return;
+
+    const item = this.getItemForBody(other);
+    const hit = item && this.pendingHits.get(item);
+    if (hit && hit.source === "contact") this.pendingHits.delete(item);
+  }
+
+  onPreStep() {
+    this.world.bodies.forEach((body) => {
+      if (body.collisionFilterGroup !== CollisionGroups.ITEM) return;
+      let previous = this.previousPositions.get(body);
+      if (!previous) {
+        previous = new Vec3();
+        this.previousPositions.set(body, previous);
+      }
+      previous.copy(body.position);
+    });
+  }
+
+  // Balayage : l'item a-t-il traversé la sphère pendant ce pas sans s'y arrêter ?
+  onPostStep() {
+    if (!this.enabled) return;
+
+    this.previousPositions.forEach((previous, body) => {
+      if (!body.world) {
+        this.previousPositions.delete(body);
+        return;
+      }
+      const item = this.getItemForBody(body);
+      if (!item || this.pendingHits.has(item)) return;
+
+      // Même approximation que l'ancien test de distance : demi plus grand côté
+      const itemRadius = Math.max(item.size.x, item.size.y, item.size.z) / 2;
+      const threshold = this.radius + itemRadius;
+      // Item encore au contact en fin de pas : l'événement "collide" s'en charge
+      if (body.position.distanceTo(this.body.position) < threshold) return;
+
+      const distance = segmentDistanceToPoint(
+        previous,
+        body.position,
+        this.body.position,
+      );
+      if (distance < threshold) {
+        const relativeVelocity = new Vec3();
+        body.velocity.vsub(this.body.velocity, relativeVelocity);
+        this.registerHit(
+          item,
+          relativeVelocity.length(),
+          relativeVelocity,
+          "sweep",
+        );
+      }
+    });
+  }
+
+  // Retourne et vide les hits en attente
+  consumeHits() {
+    const hits = [...this.pendingHits.values()];
+    this.pendingHits.clear();
+    return hits;
+  }
+
+  dispose() {
+    this.body.removeEventListener("collide", this.onCollide);
+    this.world.removeEventListener("endContact", this.onEndContact);
+    this.world.removeEventListener("preStep", this.onPreStep);
+    this.world.removeEventListener("postStep", this.onPostStep);
+    this.world.removeBody(this.body);
+    this.pendingHits.clear();
+    this.previousPositions.clear();
+  }
+}
@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from "react";
+import { HealthChangeSource } from "./EventBus";
 
 export class HealthManager {
   constructor(maxHealth = 200) {
     this.maxHealth = maxHealth;
     this.currentHealth = 50; // ✅ Commence à 100
     this.healthChangeCallbacks = [];
+    this.damageModifiers = [];
   }
 
   // Ajoute un callback appelé quand la santé change
@@ -12,11 +14,37 @@ export class HealthManager {
     this.healthChangeCallbacks.push(callback);
   }
 
+  offHealthChange(callback) {
+    this.healthChangeCallbacks = this.healthChangeCallbacks.filter(
+      (cb) => cb !== callback,
+    );
+  }
+
+  // Modificateurs appliqués aux dégâts avant la santé (bouclier...)
+  // modifier(damage, itemStats) retourne les dégâts restants
+  addDamageModifier(modifier) {
+    this.damageModifiers.push(modifier);
+  }
+
+  removeDamageModifier(modifier) {
+    this.damageModifiers = this.damageModifiers.filter((m) => m !== modifier);
+  }
+
   // Applique les dégâts ou soins d'un item
-  applyItemEffect(itemStats) {
+  // multiplier: facteur lié à la force de l'impact (voir ImpactModel)
+  applyItemEffect(itemStats, multiplier = 1) {
     if (!itemStats) return;
 
-    const healthValue = itemStats.health || itemStats.power || 0;
+    let healthValue = Math.round(
+      (itemStats.health || itemStats.power || 0) * multiplier,
+    );
+    if (healthValue < 0) {
+      const damage = this.damageModifiers.reduce(
+        (remaining, modifier) => modifier(remaining, itemStats),
+        -healthValue,
+      );
+      healthValue = -Math.round(damage);
+    }
     const previousHealth = this.currentHealth;
 
     // Applique le changement
@@ -25,7 +53,45 @@ export class HealthManager {
       Math.min(this.maxHealth, this.currentHealth + healthValue),
     );
 
-    // Notifie tous les listeners
+    this.notifyHealthChange(previousHealth, itemStats, healthValue);
+
+    console.log(
+      `❤️ Santé: ${previousHealth} → ${this.currentHealth} (${healthValue > 0 ? "+" : ""}${healthValue})`,
+    );
+  }
+
+  // Remplace directement la santé (restauration d'une sauvegarde)
+  setHealth(currentHealth, maxHealth = this.maxHealth) {
+    const previousHealth = this.currentHealth;
+    this.maxHealth = maxHealth;
+    this.currentHealth = Math.max(0, Math.min(maxHealth, currentHealth));
+    this.notifyHealthChange(
+      previousHealth,
+      null,
+      this.currentHealth - previousHealth,
+      HealthChangeSource.RESTORE,
+    );
+  }
+
+  // Réanimation après la mort : santé pleine
+  revive() {
+    const previousHealth = this.currentHealth;
+    this.currentHealth = this.maxHealth;
+    this.notifyHealthChange(
+      previousHealth,
+      null,
+      this.currentHealth - previousHealth,
+      HealthChangeSource.REVIVE,
+    );
+  }
+
+  // Notifie tous les listeners
+  notifyHealthChange(
+    previousHealth,
+    itemStats,
+    healthValue,
+    source = HealthChangeSource.ITEM,
+  ) {
     this.healthChangeCallbacks.forEach((callback) => {
       callback({
         currentHealth: this.currentHealth,
@@ -34,12 +100,9 @@ export class HealthManager {
         itemStats: itemStats,
         isDamage: healthValue < 0,
         isHealing: healthValue > 0,
+        source,
       });
     });
-
-    console.log(
-      `❤️ Santé: ${previousHealth} → ${this.currentHealth} (${healthValue > 0 ? "+" : ""}${healthValue})`,
-    );
   }
 
   getHealthPercentage() {
@@ -59,8 +122,44 @@ export class HealthManager {
   }
 }
 
+// Barre seule, au style de la barre de vie (réutilisée pour les besoins)
+// percentage : remplissage (0-100), fillStyle : couleurs propres à la barre
+export function StatBar({
+  percentage,
+  label,
+  className = "",
+  fillClassName = "",
+  fillStyle,
+  compact = false,
+}) {
+  return (
+    <div
+      className={`health-bar-wrapper ${compact ? "compact" : ""} ${className}`}
+    >
+      <div className="health-bar-background">
+        <div
+          className={`health-bar-fill ${fillClassName}`}
+          style={{
+            width: `${percentage}%`,
+            transition: "width 0.3s ease-out",
+            ...fillStyle,
+          }}
+        >
+          {/* Effet de brillance */}
+          <div className="health-bar-shine"></div>
+        </div>
+      </div>
+
+      <div className="health-text">
+        <span className="health-percentage">{label}</span>
+      </div>
+    </div>
+  );
+}
+
 // Composant React pour afficher la barre de vie
-export function HealthBar({ healthManager }) {
+// children : barres affichées sous la barre de vie (besoins)
+export function HealthBar({ healthManager, children }) {
   const [health, setHealth] = useState(200);
   const [maxHealth, setMaxHealth] = useState(200);
   const [lastChange, setLastChange] = useState(null);
@@ -120,34 +219,19 @@ export function HealthBar({ healthManager }) {
 
   return (
     <div className="health-bar-container">
-      {/* Barre de vie principale */}
-      <div
-        className={`health-bar-wrapper ${showDamageEffect ? "damage-flash" : ""}`}
-      >
-        <div className="health-bar-background">
-          <div
-            className={`health-bar-fill ${isLowHealth ? "low-health" : ""} ${isCritical ? "critical" : ""}`}
-            style={{
-              width: `${healthPercentage}%`,
-              transition: "width 0.3s ease-out",
-            }}
-          >
-            {/* Effet de brillance */}
-            <div className="health-bar-shine"></div>
-          </div>
-        </div>
-
-        {/* Texte de santé - Affiche le pourcentage */}
-        <div className="health-text">
-          <span className="health-percentage">
-            {Math.ceil(displayPercentage)}%
-          </span>
-        </div>
-      </div>
+      {/* Barre de vie principale - Affiche le pourcentage */}
+      <StatBar
+        percentage={healthPercentage}
+        label={`${Math.ceil(displayPercentage)}%`}
+        className={showDamageEffect ? "damage-flash" : ""}
+        fillClassName={`${isLowHealth ? "low-health" : ""} ${isCritical ? "critical" : ""}`}
+      />
 
       {/* État critique */}
       {isCritical && <div className="critical-warning">⚠️ SANTÉ CRITIQUE</div>}
 
+      {children}
+
       {/* Textes flottants */}
       <div className="floating-texts">
         {floatingTexts.map((text) => (
@@ -193,6 +277,12 @@ export function HealthBar({ healthManager }) {
           100% { box-shadow: 0 0 20px rgba(0, 0, 0, 0.7); }
         }
 
+        .health-bar-wrapper.compact {
+          margin-top: 6px;
+          padding: 4px;
+          width: 50%;
+        }
+
         .health-bar-background {
           width: 100%;
           height: 28px;
@@ -203,6 +293,14 @@ export function HealthBar({ healthManager }) {
           position: relative;
         }
 
+        .health-bar-wrapper.compact .health-bar-background {
+          height: 14px;
+        }
+
+        .health-bar-wrapper.compact .health-percentage {
+          font-size: 11px;
+        }
+
         .health-bar-fill {
           height: 100%;
           background: linear-gradient(90deg, #00ff00, #90EE90);
@@ -0,0 +1,41 @@
+// ImpactModel.js
+// Classe un impact sur la tête selon sa force (vitesse relative × masse de l'item)
+// - touch : simple contact, aucun effet (l'item reste dans la scène)
+// - light : petite réaction (flinch), effet de santé réduit
+// - heavy : grosse réaction avec recul du personnage, effet amplifié
+
+export const ImpactTier = {
+  TOUCH: "touch",
+  LIGHT: "light",
+  HEAVY: "heavy",
+};
+
+export const IMPACT_CONFIG = {
+  // Impulsion (kg·m/s) sous laquelle l'item est juste "touché"
+  touchImpulse: 1,
+  // Impulsion à partir de laquelle l'impact est considéré comme violent
+  heavyImpulse: 12,
+  // Impulsion qui applique exactement la valeur "health" de l'item
+  referenceImpulse: 5,
+  minMultiplier: 0.5,
+  maxMultiplier: 2.5,
+};
+
+// impactVelocity : vitesse relative item / tête au moment du contact (m/s)
+// mass : masse du body de l'item
+export function classifyImpact(impactVelocity, mass, config = IMPACT_CONFIG) {
+  const impulse = Math.abs(impactVelocity) * mass;
+
+  if (impulse < config.touchImpulse) {
+    return { tier: ImpactTier.TOUCH, impulse, multiplier: 0 };
+  }
+
+  const multiplier = Math.min(
+    config.maxMultiplier,
+    Math.max(config.minMultiplier, impulse / config.referenceImpulse),
+  );
+  const tier =
+    impulse >= config.heavyImpulse ? ImpactTier.HEAVY : ImpactTier.LIGHT;
+
+  return { tier, impulse, multiplier };
+}
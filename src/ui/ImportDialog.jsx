@@ -0,0 +1,230 @@
+// ImportDialog.jsx
+// Dialogue d'import d'un GLB / glTF déposé sur le canvas (ou choisi dans le sélecteur)
+// - Analyse du modèle (triangles, squelette, dimensions) et validation
+// - Import comme item (éditeur de stats) ou comme personnage
+import { useEffect, useState } from "react";
+import { getRarityTiers, getReactionAnimations } from "./ItemCatalog";
+import {
+  ImportKind,
+  importCharacter,
+  importItem,
+  inspectModelFile,
+  validateModel,
+} from "./ModelImport";
+
+const INPUT_CLASS =
+  "w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:border-blue-500";
+
+export default function ImportDialog({
+  file,
+  initialKind = null,
+  onClose,
+  onCharacterImported,
+}) {
+  const [inspection, setInspection] = useState(null);
+  const [error, setError] = useState(null);
+  const [kind, setKind] = useState(initialKind);
+  const [isImporting, setIsImporting] = useState(false);
+  const reactions = getReactionAnimations();
+  const [form, setForm] = useState(() => ({
+    name: file.name.replace(/\.(glb|gltf)$/i, ""),
+    health: 0,
+    weight: 1,
+    speed: 3,
+    rarity: Number(Object.keys(getRarityTiers())[0]),
+    animation: reactions[0] || "",
+  }));
+
+  // Lecture + parse locale du fichier à l'ouverture
+  useEffect(() => {
+    let cancelled = false;
+    inspectModelFile(file)
+      .then((result) => {
+        if (cancelled) return;
+        setInspection(result);
+        // Par défaut : personnage si le modèle a un squelette
+        setKind(
+          (current) =>
+            current ||
+            (result.analysis.hasSkeleton
+              ? ImportKind.CHARACTER
+              : ImportKind.ITEM),
+        );
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  const validationErrors =
+    inspection && kind
+      ? validateModel(inspection.analysis, kind, file.size)
+      : [];
+
+  const updateForm = (key, value) =>
+    setForm((current) => ({ ...current, [key]: value }));
+
+  const handleImport = async () => {
+    try {
+      setError(null);
+      setIsImporting(true);
+      if (kind === ImportKind.ITEM) {
+        await importItem(file, inspection.data, {
+          ...form,
+          name: form.name.trim() || file.name,
+        });
+      } else {
+        const { character } = await importCharacter(
+          file,
+          inspection.data,
+          form.name.trim() || file.name,
+        );
+        await onCharacterImported(character);
+      }
+      onClose();
+    } catch (err) {
+      setError(`Erreur: ${err.message}`);
+      setIsImporting(false);
+    }
+  };
+
+  const analysis = inspection && inspection.analysis;
+  const numberField = (key, label, step = 1) => (
+    <label className="flex flex-col text-xs text-gray-600">
+      {label}
+      <input
+        type="number"
+        step={step}
+        value={form[key]}
+        onChange={(e) => updateForm(key, Number(e.target.value))}
+        className={INPUT_CLASS}
+      />
+    </label>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-20">
+      <div className="bg-white rounded shadow-lg p-4 w-80 flex flex-col gap-3">
+        <h2 className="font-medium">📦 Importer {file.name}</h2>
+
+        {!inspection && !error && (
+          <div className="text-xs text-gray-500">⏳ Analyse du modèle…</div>
+        )}
+
+        {analysis && (
+          <div className="text-xs text-gray-500">
+            {analysis.triangles} triangles ·{" "}
+            {analysis.hasSkeleton ? "squelette ✅" : "sans squelette"} ·{" "}
+            {analysis.size.x.toFixed(2)} × {analysis.size.y.toFixed(2)} ×{" "}
+            {analysis.size.z.toFixed(2)} m
+          </div>
+        )}
+
+        {inspection && (
+          <div className="flex gap-2">
+            {[
+              [ImportKind.ITEM, "🧪 Item"],
+              [ImportKind.CHARACTER, "🧍 Personnage"],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setKind(value)}
+                className={`flex-1 px-3 py-1 text-sm rounded border transition-colors ${
+                  kind === value
+                    ? "bg-gray-700 text-white border-gray-700"
+                    : "bg-white text-gray-700 border-gray-200 hover:bg-gray-100"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {inspection && (
+          <label className="flex flex-col text-xs text-gray-600">
+            Nom
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => updateForm("name", e.target.value)}
+              className={INPUT_CLASS}
+            />
+          </label>
+        )}
+
+        {inspection && kind === ImportKind.ITEM && (
+          <div className="grid grid-cols-3 gap-2">
+            {numberField("health", "Santé")}
+            {numberField("weight", "Poids", 0.1)}
+            {numberField("speed", "Vitesse", 0.1)}
+            <label className="flex flex-col text-xs text-gray-600 col-span-3">
+              Rareté
+              <select
+                value={form.rarity}
+                onChange={(e) => updateForm("rarity", Number(e.target.value))}
+                className={INPUT_CLASS}
+              >
+                {Object.entries(getRarityTiers()).map(([tier, { name }]) => (
+                  <option key={tier} value={tier}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col text-xs text-gray-600 col-span-3">
+              Réaction
+              <select
+                value={form.animation}
+                onChange={(e) => updateForm("animation", e.target.value)}
+                className={INPUT_CLASS}
+              >
+                {reactions.map((file) => (
+                  <option key={file} value={file}>
+                    {file}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+        )}
+
+        {validationErrors.length > 0 && (
+          <ul className="text-xs text-red-600 bg-red-50 px-3 py-1 rounded border border-red-200 list-disc list-inside">
+            {validationErrors.map((message) => (
+              <li key={message}>{message}</li>
+            ))}
+          </ul>
+        )}
+
+        {error && (
+          <div className="text-xs text-red-600 bg-red-50 px-3 py-1 rounded border border-red-200">
+            {error}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onClose}
+            disabled={isImporting}
+            className="px-3 py-1 text-sm rounded border border-gray-200 hover:bg-gray-100 transition-colors disabled:opacity-50"
+          >
+            Annuler
+          </button>
+          <button
+            onClick={handleImport}
+            disabled={
+              !inspection || !kind || validationErrors.length > 0 || isImporting
+            }
+            className="px-3 py-1 bg-blue-500 text-white text-sm rounded hover:bg-blue-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isImporting ? "⏳ Import…" : "Importer"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
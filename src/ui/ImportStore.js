@@ -0,0 +1,59 @@
+// ImportStore.js
+// Persistance des GLB importés par l'utilisateur dans IndexedDB
+// Un enregistrement = { id, kind: "item" | "character", name, fileName,
+//   data (ArrayBuffer du fichier), entry (définition catalogue pour un item), createdAt }
+const DB_NAME = "humanexe";
+const DB_VERSION = 1;
+const STORE_NAME = "imports";
+
+let dbPromise = null;
+
+// Transforme une IDBRequest en Promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    if (typeof indexedDB === "undefined") {
+      return Promise.reject(new Error("IndexedDB indisponible"));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: "id" });
+      }
+    };
+    dbPromise = promisify(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORE_NAME, mode);
+  return promisify(callback(transaction.objectStore(STORE_NAME)));
+}
+
+export function saveImport(record) {
+  return withStore("readwrite", (store) =>
+    store.put({ createdAt: Date.now(), ...record }),
+  );
+}
+
+// Tous les imports, du plus ancien au plus récent
+export async function loadImports() {
+  const records = await withStore("readonly", (store) => store.getAll());
+  return records.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export function deleteImport(id) {
+  return withStore("readwrite", (store) => store.delete(id));
+}
@@ -0,0 +1,319 @@
+// InputManager.js
+// Couche d'entrée commune basée sur les Pointer Events (souris, tactile, stylet)
+// - Cibles avec priorité : un appui revient à la cible la plus prioritaire
+//   touchée (voir InputPriority) ; l'UI HTML, au-dessus du canvas, passe avant
+// - Multi-touch : chaque pointeur a sa propre cible (deux doigts, deux drags)
+// - Gestes : tap, double tap, glisser et pinch hors cible, molette
+import * as THREE from "three";
+
+// Ordre de résolution d'un appui sur le canvas (plus grand = prioritaire)
+export const InputPriority = {
+  ITEM: 30,
+  HEAD: 20,
+  TRASH: 10,
+};
+
+export const InputGesture = {
+  // { clientX, clientY, target, hit } : appui bref sans déplacement
+  TAP: "tap",
+  // Idem, deuxième tap rapproché
+  DOUBLE_TAP: "doubleTap",
+  // { clientX, clientY, deltaX, deltaY } : un pointeur glissé hors cible (px)
+  DRAG: "drag",
+  // { clientX, clientY, scale } : écart entre deux doigts (scale relatif)
+  PINCH: "pinch",
+  // { clientX, clientY, deltaY } : molette au-dessus du canvas
+  WHEEL: "wheel",
+};
+
+// Tap : déplacement max (px) et durée max (ms)
+const TAP_MAX_DISTANCE = 10;
+const TAP_MAX_DURATION = 300;
+// Double tap : délai et distance max entre les deux taps
+const DOUBLE_TAP_DELAY = 300;
+const DOUBLE_TAP_DISTANCE = 30;
+
+export class InputManager {
+  constructor(element, camera) {
+    this.element = element;
+    this.camera = camera;
+    // Cibles : { priority, hitTest(pointer), onDragStart, onDragMove,
+    // onDragEnd, onTap, onHoverChange } (callbacks optionnels)
+    this.targets = [];
+    this.pointers = new Map();
+    this.gestureCallbacks = [];
+    this.hoveredTarget = null;
+    this.lastTap = null;
+    this.pinchDistance = null;
+    this.raycaster = new THREE.Raycaster();
+    this.ndc = new THREE.Vector2();
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onPointerCancel = this.onPointerCancel.bind(this);
+    this.onWheel = this.onWheel.bind(this);
+
+    // Pas de scroll / zoom du navigateur sur le canvas
+    element.style.touchAction = "none";
+    element.addEventListener("pointerdown", this.onPointerDown);
+    element.addEventListener("pointermove", this.onPointerMove);
+    element.addEventListener("pointerup", this.onPointerUp);
+    element.addEventListener("pointercancel", this.onPointerCancel);
+    element.addEventListener("wheel", this.onWheel, { passive: false });
+  }
+
+  addTarget(target) {
+    this.targets = [...this.targets, target].sort(
+      (a, b) => b.priority - a.priority,
+    );
+  }
+
+  // Les pointeurs de la cible sont libérés sans onDragEnd
+  removeTarget(target) {
+    this.targets = this.targets.filter((t) => t !== target);
+    this.pointers.forEach((pointer) => {
+      if (pointer.target === target) pointer.target = null;
+    });
+    if (this.hoveredTarget === target) this.hoveredTarget = null;
+  }
+
+  // callback({ type, ... }) : voir InputGesture
+  onGesture(callback) {
+    this.gestureCallbacks.push(callback);
+  }
+
+  offGesture(callback) {
+    this.gestureCallbacks = this.gestureCallbacks.filter(
+      (cb) => cb !== callback,
+    );
+  }
+
+  emitGesture(gesture) {
+    this.gestureCallbacks.forEach((callback) => callback(gesture));
+  }
+
+  setCamera(camera) {
+    this.camera = camera;
+  }
+
+  // === Helpers de picking (pointeur ou événement avec clientX / clientY) ===
+
+  getRaycaster({ clientX, clientY }) {
+    const rect = this.element.getBoundingClientRect();
+    this.ndc.set(
+      ((clientX - rect.left) / rect.width) * 2 - 1,
+      -((clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    this.raycaster.setFromCamera(this.ndc, this.camera);
+    return this.raycaster;
+  }
+
+  intersect(pointer, objects) {
+    return this.getRaycaster(pointer).intersectObjects(objects, true);
+  }
+
+  // Point sous le pointeur sur le plan passant par planePoint
+  // normal : face à la caméra par défaut (ex. (0, 1, 0) : plan du sol)
+  getPointOnPlane(pointer, planePoint, normal = null) {
+    const planeNormal = normal
+      ? normal.clone()
+      : this.camera.getWorldDirection(new THREE.Vector3());
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+      planeNormal,
+      planePoint,
+    );
+    const target = new THREE.Vector3();
+    this.getRaycaster(pointer).ray.intersectPlane(plane, target);
+    return target;
+  }
+
+  // === Pointeurs ===
+
+  // Cible la plus prioritaire sous le pointeur
+  resolveTarget(pointer) {
+    for (const target of this.targets) {
+      const hit = target.hitTest(pointer);
+      if (hit) return { target, hit };
+    }
+    return { target: null, hit: null };
+  }
+
+  getBackgroundPointers() {
+    return [...this.pointers.values()].filter((pointer) => !pointer.target);
+  }
+
+  onPointerDown(e) {
+    // Souris : bouton principal seulement
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+
+    const pointer = {
+      id: e.pointerId,
+      type: e.pointerType,
+      clientX: e.clientX,
+      clientY: e.clientY,
+      startX: e.clientX,
+      startY: e.clientY,
+      startTime: performance.now(),
+      moved: false,
+      target: null,
+      hit: null,
+    };
+    Object.assign(pointer, this.resolveTarget(pointer));
+    this.pointers.set(pointer.id, pointer);
+    // Les mouvements hors du canvas restent attribués à ce pointeur
+    this.element.setPointerCapture(pointer.id);
+
+    if (pointer.target && pointer.target.onDragStart) {
+      pointer.target.onDragStart(pointer, pointer.hit);
+    }
+
+    const background = this.getBackgroundPointers();
+    if (background.length === 2) {
+      this.pinchDistance = getDistance(background[0], background[1]);
+    }
+  }
+
+  onPointerMove(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) {
+      if (e.pointerType === "mouse") this.updateHover(e);
+      return;
+    }
+
+    const deltaX = e.clientX - pointer.clientX;
+    const deltaY = e.clientY - pointer.clientY;
+    pointer.clientX = e.clientX;
+    pointer.clientY = e.clientY;
+    if (
+      Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY) >
+      TAP_MAX_DISTANCE
+    ) {
+      pointer.moved = true;
+    }
+
+    if (pointer.target) {
+      if (pointer.target.onDragMove) pointer.target.onDragMove(pointer);
+      return;
+    }
+    if (this.getBackgroundPointers().length === 1) {
+      this.emitGesture({
+        type: InputGesture.DRAG,
+        clientX: e.clientX,
+        clientY: e.clientY,
+        deltaX,
+        deltaY,
+      });
+      return;
+    }
+    this.updatePinch();
+  }
+
+  onPointerUp(e) {
+    const pointer = this.releasePointer(e);
+    if (!pointer || pointer.moved) return;
+    if (performance.now() - pointer.startTime > TAP_MAX_DURATION) return;
+
+    if (pointer.target && pointer.target.onTap) {
+      pointer.target.onTap(pointer, pointer.hit);
+    }
+    this.emitTap(pointer);
+  }
+
+  onPointerCancel(e) {
+    this.releasePointer(e);
+  }
+
+  releasePointer(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return null;
+
+    this.pointers.delete(pointer.id);
+    if (this.element.hasPointerCapture(pointer.id)) {
+      this.element.releasePointerCapture(pointer.id);
+    }
+    if (pointer.target && pointer.target.onDragEnd) {
+      pointer.target.onDragEnd(pointer);
+    }
+    if (this.getBackgroundPointers().length < 2) this.pinchDistance = null;
+    return pointer;
+  }
+
+  updatePinch() {
+    const background = this.getBackgroundPointers();
+    if (background.length !== 2 || !this.pinchDistance) return;
+
+    const [a, b] = background;
+    const distance = getDistance(a, b);
+    this.emitGesture({
+      type: InputGesture.PINCH,
+      clientX: (a.clientX + b.clientX) / 2,
+      clientY: (a.clientY + b.clientY) / 2,
+      scale: distance / this.pinchDistance,
+    });
+    this.pinchDistance = distance;
+  }
+
+  emitTap(pointer) {
+    const gesture = {
+      clientX: pointer.clientX,
+      clientY: pointer.clientY,
+      target: pointer.target,
+      hit: pointer.hit,
+    };
+    this.emitGesture({ type: InputGesture.TAP, ...gesture });
+
+    const now = performance.now();
+    const isDoubleTap =
+      this.lastTap &&
+      now - this.lastTap.time < DOUBLE_TAP_DELAY &&
+      getDistance(this.lastTap, pointer) < DOUBLE_TAP_DISTANCE;
+    if (isDoubleTap) {
+      this.lastTap = null;
+      this.emitGesture({ type: InputGesture.DOUBLE_TAP, ...gesture });
+    } else {
+      this.lastTap = {
+        time: now,
+        clientX: pointer.clientX,
+        clientY: pointer.clientY,
+      };
+    }
+  }
+
+  // Pas de scroll de la page sous le canvas
+  onWheel(e) {
+    e.preventDefault();
+    this.emitGesture({
+      type: InputGesture.WHEEL,
+      clientX: e.clientX,
+      clientY: e.clientY,
+      deltaY: e.deltaY,
+    });
+  }
+
+  // Survol à la souris (sans bouton enfoncé)
+  updateHover(e) {
+    const { target } = this.resolveTarget(e);
+    if (target === this.hoveredTarget) return;
+
+    const previous = this.hoveredTarget;
+    this.hoveredTarget = target;
+    if (previous && previous.onHoverChange) previous.onHoverChange(false);
+    if (target && target.onHoverChange) target.onHoverChange(true);
+  }
+
+  dispose() {
+    this.element.removeEventListener("pointerdown", this.onPointerDown);
+    this.element.removeEventListener("pointermove", this.onPointerMove);
+    this.element.removeEventListener("pointerup", this.onPointerUp);
+    this.element.removeEventListener("pointercancel", this.onPointerCancel);
+    this.element.removeEventListener("wheel", this.onWheel);
+    this.targets = [];
+    this.pointers.clear();
+    this.gestureCallbacks = [];
+  }
+}
+
+function getDistance(a, b) {
+  return Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+}
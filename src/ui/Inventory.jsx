@@ -0,0 +1,81 @@
+// Inventory.jsx
+// Hotbar listant tous les items du catalogue (y compris les items importés)
+// - Nom, effet sur la santé et nombre d'exemplaires présents dans la scène
+// - Drag d'un slot vers le canvas pour spawner cet item au point de drop
+import { useEffect, useState } from "react";
+import {
+  getCatalogItems,
+  offCatalogChange,
+  onCatalogChange,
+} from "./ItemCatalog";
+import { GameEvent } from "./EventBus";
+
+// Type MIME utilisé pour transporter l'id de l'item pendant le drag HTML5
+export const INVENTORY_DRAG_TYPE = "application/x-humanexe-item";
+
+// Compte les items présents dans la scène, par id de catalogue
+function countItemsById(spawnedItems) {
+  const counts = {};
+  spawnedItems.forEach((item) => {
+    counts[item.itemId] = (counts[item.itemId] || 0) + 1;
+  });
+  return counts;
+}
+
+export default function Inventory({ spawnedItems, eventBus }) {
+  const [counts, setCounts] = useState(() =>
+    countItemsById(spawnedItems.current),
+  );
+  const [items, setItems] = useState(getCatalogItems);
+
+  // Les items importés apparaissent dans la hotbar
+  useEffect(() => {
+    onCatalogChange(setItems);
+    return () => offCatalogChange(setItems);
+  }, []);
+
+  // Les items apparaissent / disparaissent (tête, poubelle) hors de React :
+  // les compteurs sont recalculés sur les événements du bus
+  useEffect(() => {
+    const updateCounts = () => setCounts(countItemsById(spawnedItems.current));
+    eventBus.on(GameEvent.ITEM_SPAWNED, updateCounts);
+    eventBus.on(GameEvent.ITEM_REMOVED, updateCounts);
+    return () => {
+      eventBus.off(GameEvent.ITEM_SPAWNED, updateCounts);
+      eventBus.off(GameEvent.ITEM_REMOVED, updateCounts);
+    };
+  }, [spawnedItems, eventBus]);
+
+  const handleDragStart = (e, item) => {
+    e.dataTransfer.setData(INVENTORY_DRAG_TYPE, item.id);
+    e.dataTransfer.effectAllowed = "copy";
+  };
+
+  return (
+    <div className="absolute bottom-5 left-1/2 -translate-x-1/2 flex gap-2 z-10">
+      {items.map((item) => {
+        const { health } = item.stats;
+        return (
+          <div
+            key={item.id}
+            draggable
+            onDragStart={(e) => handleDragStart(e, item)}
+            title="Glisser dans la scène pour spawner"
+            className="w-28 px-2 py-1 bg-white/90 rounded shadow-lg border border-gray-200 cursor-grab active:cursor-grabbing select-none"
+          >
+            <div className="text-xs font-medium truncate">
+              {item.stats.name}
+            </div>
+            <div className="flex justify-between text-xs">
+              <span className={health < 0 ? "text-red-600" : "text-green-600"}>
+                {health > 0 ? "+" : ""}
+                {health} ❤️
+              </span>
+              <span className="text-gray-500">×{counts[item.id] || 0}</span>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,219 @@
+// ItemCatalog.js
+// Catalogue unique des items : source de vérité pour le spawn ET les animations
+// Les entrées sont définies dans data/items.json puis validées au chargement
+import catalogData from "../data/items.json";
+import { resolveItemPhysics } from "./ItemPhysics";
+import { COLLIDER_MODES } from "./Colliders";
+import { ASSET_URLS } from "./Assets";
+import { validateEffect } from "./StatusEffects";
+import { validateNeedModifiers } from "./Needs";
+
+const REQUIRED_STATS = ["health", "weight", "speed"];
+const REACTION_TIERS = ["light", "heavy"];
+
+// Paliers de rareté : poids relatif de chaque palier dans la table de spawn
+const RARITY_TIERS = catalogData.rarityTiers || {
+  1: { name: "Commun", weight: 1 },
+};
+
+// Valide une entrée brute du JSON et retourne la liste des erreurs trouvées
+// urls : fichiers disponibles (assets + éventuel modèle importé)
+function validateEntry(entry, index, seenIds, urls = ASSET_URLS) {
+  const errors = [];
+  const label = entry && entry.id ? `"${entry.id}"` : `#${index}`;
+
+  if (!entry || typeof entry !== "object") {
+    return [`Item ${label}: entrée invalide`];
+  }
+
+  if (typeof entry.id !== "string" || !entry.id) {
+    errors.push(`Item ${label}: "id" manquant`);
+  } else if (seenIds.has(entry.id)) {
+    errors.push(`Item ${label}: "id" en double`);
+  }
+
+  if (!entry.model) {
+    errors.push(`Item ${label}: "model" manquant`);
+  } else if (!urls[entry.model]) {
+    errors.push(`Item ${label}: modèle introuvable (${entry.model})`);
+  }
+
+  if (!entry.animation) {
+    errors.push(`Item ${label}: "animation" manquante`);
+  } else if (!urls[entry.animation]) {
+    errors.push(`Item ${label}: animation introuvable (${entry.animation})`);
+  }
+
+  // Réactions optionnelles par palier d'impact (sinon "animation" est utilisée)
+  Object.entries(entry.reactions || {}).forEach(([tier, file]) => {
+    if (!REACTION_TIERS.includes(tier)) {
+      errors.push(`Item ${label}: palier de réaction inconnu (${tier})`);
+    } else if (!urls[file]) {
+      errors.push(`Item ${label}: animation introuvable (${file})`);
+    }
+  });
+
+  if (!entry.stats || typeof entry.stats.name !== "string") {
+    errors.push(`Item ${label}: "stats.name" manquant`);
+  }
+  REQUIRED_STATS.forEach((key) => {
+    if (!entry.stats || typeof entry.stats[key] !== "number") {
+      errors.push(`Item ${label}: "stats.${key}" doit être un nombre`);
+    }
+  });
+
+  // Effets de statut optionnels appliqués au contact (poison, bouclier...)
+  if (entry.stats && entry.stats.effects !== undefined) {
+    if (!Array.isArray(entry.stats.effects)) {
+      errors.push(`Item ${label}: "stats.effects" doit être une liste`);
+    } else {
+      entry.stats.effects.forEach((effect) => {
+        validateEffect(effect).forEach((message) =>
+          errors.push(`Item ${label}: ${message}`),
+        );
+      });
+    }
+  }
+
+  // Modificateurs de besoins optionnels ({ hunger: 20, happiness: -10 })
+  if (entry.stats && entry.stats.needs !== undefined) {
+    validateNeedModifiers(entry.stats.needs).forEach((message) =>
+      errors.push(`Item ${label}: ${message}`),
+    );
+  }
+
+  if (typeof entry.rarity !== "number" || entry.rarity < 1) {
+    errors.push(`Item ${label}: "rarity" doit être un nombre ≥ 1`);
+  } else if (!RARITY_TIERS[entry.rarity]) {
+    errors.push(`Item ${label}: palier de rareté inconnu (${entry.rarity})`);
+  }
+
+  if (entry.physics) {
+    Object.entries(entry.physics).forEach(([key, value]) => {
+      if (key === "shape") {
+        if (!COLLIDER_MODES.includes(value)) {
+          errors.push(`Item ${label}: forme de collider inconnue (${value})`);
+        }
+      } else if (typeof value !== "number") {
+        errors.push(`Item ${label}: "physics.${key}" doit être un nombre`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Transforme une entrée validée en item prêt à l'emploi (URLs résolues)
+function buildItem(entry, urls = ASSET_URLS) {
+  return {
+    id: entry.id,
+    path: urls[entry.model],
+    animationPath: urls[entry.animation],
+    // Animation de réaction par palier d'impact (light / heavy)
+    reactionPaths: Object.fromEntries(
+      REACTION_TIERS.map((tier) => [
+        tier,
+        urls[(entry.reactions || {})[tier] || entry.animation],
+      ]),
+    ),
+    rarity: entry.rarity,
+    // rarity reste aussi dans les stats pour les consommateurs existants
+    stats: { ...entry.stats, rarity: entry.rarity },
+    // weight / speed → masse, damping, rebond... surchargés par "physics"
+    physics: resolveItemPhysics(entry.stats, entry.physics),
+    isImported: urls !== ASSET_URLS,
+  };
+}
+
+function loadCatalog(data) {
+  const items = [];
+  const errors = [];
+  const seenIds = new Set();
+
+  (data.items || []).forEach((entry, index) => {
+    const entryErrors = validateEntry(entry, index, seenIds);
+    if (entry && entry.id) seenIds.add(entry.id);
+
+    if (entryErrors.length > 0) {
+      errors.push(...entryErrors);
+      return;
+    }
+    items.push(buildItem(entry));
+  });
+
+  if (errors.length > 0) {
+    console.warn("⚠️ Catalogue d'items invalide:", errors);
+  }
+
+  return { items, errors };
+}
+
+const catalog = loadCatalog(catalogData);
+const catalogChangeCallbacks = [];
+
+export function onCatalogChange(callback) {
+  catalogChangeCallbacks.push(callback);
+}
+
+export function offCatalogChange(callback) {
+  const index = catalogChangeCallbacks.indexOf(callback);
+  if (index > -1) catalogChangeCallbacks.splice(index, 1);
+}
+
+function notifyCatalogChange() {
+  catalogChangeCallbacks.forEach((callback) => callback(catalog.items));
+}
+
+// Ajoute un item importé (GLB déposé par l'utilisateur) au catalogue
+// modelUrl : URL blob du modèle, référencé par entry.model
+// Retourne la liste des erreurs (vide si l'item a été ajouté)
+export function registerImportedItem(entry, modelUrl) {
+  const urls = { ...ASSET_URLS, [entry.model]: modelUrl };
+  const seenIds = new Set(catalog.items.map((item) => item.id));
+  const errors = validateEntry(entry, catalog.items.length, seenIds, urls);
+  if (errors.length > 0) return errors;
+
+  catalog.items = [...catalog.items, buildItem(entry, urls)];
+  notifyCatalogChange();
+  return [];
+}
+
+// Fichiers d'animation utilisables comme réaction pour un item importé
+export function getReactionAnimations() {
+  return [
+    ...new Set(
+      (catalogData.items || []).flatMap((entry) => [
+        entry.animation,
+        ...Object.values(entry.reactions || {}),
+      ]),
+    ),
+  ].filter((file) => ASSET_URLS[file]);
+}
+
+// Items valides uniquement (les entrées en erreur sont exclues du spawn)
+export function getCatalogItems() {
+  return catalog.items;
+}
+
+// Erreurs de validation à afficher dans l'UI
+export function getCatalogErrors() {
+  return catalog.errors;
+}
+
+export function getRarityTiers() {
+  return RARITY_TIERS;
+}
+
+// Règles de spawn (pity / garanties), voir SpawnTable
+export function getSpawnRules() {
+  return catalogData.spawnRules || {};
+}
+
+export function getCatalogItemById(id) {
+  return catalog.items.find((item) => item.id === id) || null;
+}
+
+export function getCatalogItemByModelPath(modelPath) {
+  if (!modelPath) return null;
+  return catalog.items.find((item) => item.path === modelPath) || null;
+}
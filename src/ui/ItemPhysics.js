@@ -0,0 +1,46 @@
+// ItemPhysics.js
+// Traduit les stats d'un item (weight, speed) en paramètres physiques Cannon-es
+// Les valeurs "physics" du catalogue surchargent le résultat du mapping
+import { Material } from "cannon-es";
+
+// Matériau des surfaces statiques (sol, murs)
+// friction = restitution = 1 : Cannon multiplie les valeurs des deux matériaux,
+// donc un item garde exactement sa propre friction / son propre rebond au sol
+export const SURFACE_MATERIAL = new Material({
+  friction: 1,
+  restitution: 1,
+});
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Mapping stats → physique
+// - weight : masse, rebond (un objet lourd rebondit moins), rotation freinée
+// - speed  : amortissement linéaire (un objet rapide glisse plus loin) et force du lancer
+export function mapStatsToPhysics(stats) {
+  const weight = stats.weight ?? 1;
+  const speed = stats.speed ?? 1;
+
+  return {
+    mass: clamp(weight, 0.2, 10),
+    linearDamping: clamp(0.5 - speed * 0.07, 0.05, 0.9),
+    angularDamping: clamp(0.6 + weight * 0.1, 0.1, 0.99),
+    restitution: clamp(0.45 - weight * 0.1, 0.02, 0.9),
+    friction: clamp(0.4 + weight * 0.1, 0.05, 1),
+    throwStrength: clamp(0.55 + speed * 0.15, 0.3, 2),
+    // Mode de collider, voir Colliders.js
+    shape: "box",
+  };
+}
+
+// Paramètres finaux d'un item : mapping des stats puis surcharges du catalogue
+export function resolveItemPhysics(stats, overrides = {}) {
+  return { ...mapStatsToPhysics(stats), ...overrides };
+}
+
+// Matériau propre à un item (friction / rebond individuels)
+export function createItemMaterial(physics) {
+  return new Material({
+    friction: physics.friction,
+    restitution: physics.restitution,
+  });
+}
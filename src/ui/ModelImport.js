@@ -0,0 +1,210 @@
+// ModelImport.js
+// Import de GLB / glTF fournis par l'utilisateur (drop sur le canvas ou sélecteur)
+// - Lecture locale du fichier puis GLTFLoader.parse (aucun upload)
+// - Validation : taille du fichier, dimensions, nombre de triangles, squelette
+// - L'item / le personnage est ajouté au catalogue et persisté dans IndexedDB
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { registerImportedItem } from "./ItemCatalog";
+import { registerImportedCharacter } from "./CharacterCatalog";
+import { isColliderMesh } from "./Colliders";
+import { saveImport, loadImports } from "./ImportStore";
+
+export const ImportKind = {
+  ITEM: "item",
+  CHARACTER: "character",
+};
+
+export const IMPORT_LIMITS = {
+  maxFileSize: 15 * 1024 * 1024,
+  [ImportKind.ITEM]: { maxTriangles: 20000, minSize: 0.05, maxSize: 5 },
+  [ImportKind.CHARACTER]: { maxTriangles: 150000, minSize: 0.3, maxSize: 10 },
+};
+
+export function isModelFile(file) {
+  return Boolean(file) && /\.(glb|gltf)$/i.test(file.name);
+}
+
+// GLTFLoader.parse accepte un ArrayBuffer pour .glb comme pour .gltf (JSON)
+export function parseModel(data) {
+  return new Promise((resolve, reject) => {
+    new GLTFLoader().parse(data, "", resolve, (error) =>
+      reject(
+        new Error(
+          `Modèle illisible (${error.message || error}). ` +
+            "Les .gltf doivent embarquer leurs buffers et textures.",
+        ),
+      ),
+    );
+  });
+}
+
+// Statistiques utilisées par la validation et affichées dans le dialogue
+export function analyzeModel(gltf) {
+  let triangles = 0;
+  let hasSkeleton = false;
+
+  gltf.scene.traverse((node) => {
+    if (!node.isMesh || isColliderMesh(node)) return;
+    if (node.isSkinnedMesh && node.skeleton) hasSkeleton = true;
+    const { index, attributes } = node.geometry;
+    const count = index ? index.count : attributes.position.count;
+    triangles += Math.floor(count / 3);
+  });
+
+  const size = new THREE.Box3()
+    .setFromObject(gltf.scene)
+    .getSize(new THREE.Vector3());
+
+  return {
+    triangles,
+    hasSkeleton,
+    animations: gltf.animations.length,
+    size: { x: size.x, y: size.y, z: size.z },
+  };
+}
+
+const fileSizeError = (fileSize) =>
+  `Fichier trop lourd (${(fileSize / 1024 / 1024).toFixed(1)} Mo, max ${
+    IMPORT_LIMITS.maxFileSize / 1024 / 1024
+  } Mo)`;
+
+// Retourne la liste des erreurs bloquantes pour ce type d'import
+export function validateModel(analysis, kind, fileSize = 0) {
+  const errors = [];
+  const limits = IMPORT_LIMITS[kind];
+
+  if (fileSize > IMPORT_LIMITS.maxFileSize) {
+    errors.push(fileSizeError(fileSize));
+  }
+
+  if (analysis.triangles === 0) {
+    errors.push("Aucune géométrie trouvée");
+  } else if (analysis.triangles > limits.maxTriangles) {
+    errors.push(
+      `Trop de triangles (${analysis.triangles}, max ${limits.maxTriangles})`,
+    );
+  }
+
+  const largest = Math.max(analysis.size.x, analysis.size.y, analysis.size.z);
+  if (!Number.isFinite(largest) || largest < limits.minSize) {
+    errors.push(`Modèle trop petit (min ${limits.minSize} m)`);
+  } else if (largest > limits.maxSize) {
+    errors.push(
+      `Modèle trop grand (${largest.toFixed(2)} m, max ${limits.maxSize} m)`,
+    );
+  }
+
+  if (kind === ImportKind.CHARACTER && !analysis.hasSkeleton) {
+    errors.push("Un personnage doit avoir un squelette (SkinnedMesh)");
+  }
+
+  return errors;
+}
+
+// Lit et analyse un fichier (la validation dépend du type choisi ensuite)
+export async function inspectModelFile(file) {
+  if (file.size > IMPORT_LIMITS.maxFileSize) {
+    throw new Error(fileSizeError(file.size));
+  }
+  const data = await file.arrayBuffer();
+  const gltf = await parseModel(data);
+  return { data, analysis: analyzeModel(gltf) };
+}
+
+const createImportId = (kind) =>
+  `import-${kind}-${Date.now().toString(36)}${Math.floor(
+    Math.random() * 1296,
+  ).toString(36)}`;
+
+const toBlobUrl = (data) =>
+  URL.createObjectURL(new Blob([data], { type: "model/gltf-binary" }));
+
+// La persistance est optionnelle : l'import reste utilisable pour la session
+async function persist(record) {
+  try {
+    await saveImport(record);
+    return true;
+  } catch (err) {
+    console.warn("⚠️ Import non persisté:", err);
+    return false;
+  }
+}
+
+// form : { name, health, weight, speed, rarity, animation }
+export async function importItem(file, data, form) {
+  const id = createImportId(ImportKind.ITEM);
+  const entry = {
+    id,
+    model: `${id}.glb`,
+    animation: form.animation,
+    rarity: form.rarity,
+    stats: {
+      name: form.name,
+      health: form.health,
+      weight: form.weight,
+      speed: form.speed,
+    },
+  };
+
+  const url = toBlobUrl(data);
+  const errors = registerImportedItem(entry, url);
+  if (errors.length > 0) {
+    URL.revokeObjectURL(url);
+    throw new Error(errors.join(", "));
+  }
+
+  const persisted = await persist({
+    id,
+    kind: ImportKind.ITEM,
+    name: form.name,
+    fileName: file.name,
+    data,
+    entry,
+  });
+  return { id, persisted };
+}
+
+export async function importCharacter(file, data, name) {
+  const id = createImportId(ImportKind.CHARACTER);
+  const character = registerImportedCharacter({
+    id,
+    name,
+    path: toBlobUrl(data),
+  });
+  const persisted = await persist({
+    id,
+    kind: ImportKind.CHARACTER,
+    name,
+    fileName: file.name,
+    data,
+  });
+  return { character, persisted };
+}
+
+// Réenregistre les imports des sessions précédentes (une seule fois par page)
+let restorePromise = null;
+export function restoreImports() {
+  if (!restorePromise) {
+    restorePromise = loadImports().then((records) => {
+      records.forEach((record) => {
+        if (record.kind === ImportKind.ITEM) {
+          const url = toBlobUrl(record.data);
+          const errors = registerImportedItem(record.entry, url);
+          if (errors.length > 0) {
+            URL.revokeObjectURL(url);
+            console.warn(`⚠️ Import "${record.name}" ignoré:`, errors);
+          }
+        } else if (record.kind === ImportKind.CHARACTER) {
+          registerImportedCharacter({
+            id: record.id,
+            name: record.name,
+            path: toBlobUrl(record.data),
+          });
+        }
+      });
+      return records.length;
+    });
+  }
+  return restorePromise;
+}
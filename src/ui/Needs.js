@@ -0,0 +1,164 @@
+// Needs.js
+// Besoins du personnage en plus de la santé : satiété, énergie, bonheur
+// - Baisse continue (decayPerMinute), modifiés par les items ("needs" dans les stats)
+// - Un besoin vide fait perdre de la santé (emptyHealthPerMinute)
+// - Un besoin bas change l'idle joué (lowMood, voir AnimationManager.setIdleMood)
+// La santé reste gérée par le HealthManager ; définitions dans data/needs.json
+import needsData from "../data/needs.json";
+import { HealthChangeSource } from "./EventBus";
+
+const NEED_DEFINITIONS = needsData.needs;
+const EMPTY_HEALTH_PER_MINUTE = needsData.emptyHealthPerMinute || {};
+
+// Erreurs d'un bloc "needs" de stats d'item (sans le préfixe de l'item)
+export function validateNeedModifiers(needs) {
+  if (!needs || typeof needs !== "object" || Array.isArray(needs)) {
+    return ['"needs" doit être un objet { besoin: valeur }'];
+  }
+  const errors = [];
+  Object.entries(needs).forEach(([id, value]) => {
+    if (!NEED_DEFINITIONS[id]) {
+      errors.push(`besoin inconnu (${id})`);
+    } else if (typeof value !== "number") {
+      errors.push(`"needs.${id}" doit être un nombre`);
+    }
+  });
+  return errors;
+}
+
+const initialValues = () =>
+  Object.fromEntries(
+    Object.entries(NEED_DEFINITIONS).map(([id, need]) => [id, need.initial]),
+  );
+
+export class NeedsManager {
+  constructor(healthManager) {
+    this.healthManager = healthManager;
+    this.values = initialValues();
+    this.needsChangeCallbacks = [];
+    this.displayKey = "";
+    // Dégâts fractionnaires accumulés par les besoins vides
+    this.pendingHealth = 0;
+
+    this.onHealthChange = this.onHealthChange.bind(this);
+    healthManager.onHealthChange(this.onHealthChange);
+  }
+
+  // callback(needs) : voir getNeeds
+  onNeedsChange(callback) {
+    this.needsChangeCallbacks.push(callback);
+  }
+
+  offNeedsChange(callback) {
+    this.needsChangeCallbacks = this.needsChangeCallbacks.filter(
+      (cb) => cb !== callback,
+    );
+  }
+
+  // Notifie seulement quand une valeur arrondie change (la baisse est continue)
+  notifyNeedsChange() {
+    const needs = this.getNeeds();
+    const displayKey = needs.map((need) => Math.ceil(need.value)).join("|");
+    if (displayKey === this.displayKey) return;
+    this.displayKey = displayKey;
+    this.needsChangeCallbacks.forEach((callback) => callback(needs));
+  }
+
+  getNeeds() {
+    return Object.entries(NEED_DEFINITIONS).map(([id, need]) => ({
+      id,
+      name: need.name,
+      icon: need.icon,
+      color: need.color,
+      value: this.values[id],
+      max: need.max,
+      isLow: this.values[id] <= need.max * need.lowRatio,
+    }));
+  }
+
+  getValues() {
+    return { ...this.values };
+  }
+
+  // Restauration d'une sauvegarde (besoins inconnus ignorés)
+  setValues(values) {
+    Object.keys(NEED_DEFINITIONS).forEach((id) => {
+      if (typeof values[id] === "number") this.set(id, values[id]);
+    });
+    this.notifyNeedsChange();
+  }
+
+  set(id, value) {
+    const need = NEED_DEFINITIONS[id];
+    if (!need) return;
+    this.values[id] = Math.max(0, Math.min(need.max, value));
+  }
+
+  modify(id, delta) {
+    this.set(id, this.values[id] + delta);
+  }
+
+  reset() {
+    this.values = initialValues();
+    this.pendingHealth = 0;
+    this.notifyNeedsChange();
+  }
+
+  // Humeur de l'idle : le besoin bas le plus critique, sinon null
+  getMood() {
+    let mood = null;
+    let lowestRatio = Infinity;
+    Object.entries(NEED_DEFINITIONS).forEach(([id, need]) => {
+      const ratio = this.values[id] / need.max;
+      if (ratio <= need.lowRatio && ratio < lowestRatio && need.lowMood) {
+        lowestRatio = ratio;
+        mood = need.lowMood;
+      }
+    });
+    return mood;
+  }
+
+  // Les modificateurs d'un item arrivent avec son effet de santé
+  onHealthChange({ itemStats, source }) {
+    // Réanimation : nouvelle vie, besoins au max
+    if (source === HealthChangeSource.REVIVE) {
+      this.reset();
+      return;
+    }
+    if (!itemStats) return;
+    if (!itemStats.needs) return;
+    Object.entries(itemStats.needs).forEach(([id, delta]) =>
+      this.modify(id, delta),
+    );
+    this.notifyNeedsChange();
+  }
+
+  // Appelé à chaque frame : baisse des besoins, santé perdue si un besoin est vide
+  update(dt) {
+    if (this.healthManager.isDead()) return;
+
+    Object.entries(NEED_DEFINITIONS).forEach(([id, need]) => {
+      this.modify(id, -(need.decayPerMinute * dt) / 60);
+    });
+
+    Object.entries(EMPTY_HEALTH_PER_MINUTE).forEach(([id, perMinute]) => {
+      if (this.values[id] <= 0) this.pendingHealth += (perMinute * dt) / 60;
+    });
+    const health = Math.trunc(this.pendingHealth);
+    if (health !== 0) {
+      this.pendingHealth -= health;
+      this.healthManager.applyItemEffect({
+        name: "Besoins",
+        health,
+        need: true,
+      });
+    }
+
+    this.notifyNeedsChange();
+  }
+
+  dispose() {
+    this.healthManager.offHealthChange(this.onHealthChange);
+    this.needsChangeCallbacks = [];
+  }
+}
@@ -0,0 +1,35 @@
+// NeedsBars.jsx
+// Barres des besoins (satiété, énergie, bonheur) sous la barre de vie
+// Même rendu que la barre de vie (StatBar), couleur propre à chaque besoin
+import { useEffect, useState } from "react";
+import { StatBar } from "./Healthbar";
+
+export default function NeedsBars({ needsManager }) {
+  const [needs, setNeeds] = useState(() => needsManager.getNeeds());
+
+  useEffect(() => {
+    needsManager.onNeedsChange(setNeeds);
+    return () => needsManager.offNeedsChange(setNeeds);
+  }, [needsManager]);
+
+  return needs.map((need) => {
+    const [from, to] = need.color;
+    return (
+      <StatBar
+        key={need.id}
+        compact
+        percentage={(need.value / need.max) * 100}
+        label={`${need.icon} ${need.name} ${Math.ceil(need.value)}`}
+        fillClassName={need.isLow ? "critical" : ""}
+        fillStyle={
+          need.isLow
+            ? undefined
+            : {
+                background: `linear-gradient(90deg, ${from}, ${to})`,
+                boxShadow: `0 0 10px ${from}99`,
+              }
+        }
+      />
+    );
+  });
+}
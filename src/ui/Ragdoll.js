@@ -0,0 +1,235 @@
+// Ragdoll.js
+// Ragdoll du personnage : un body Cannon-es par os du squelette
+// - Bodies (sphères) générés à la position monde de chaque os
+// - Contraintes ConeTwist entre chaque os et son parent (angles limités)
+// - Pendant le ragdoll, la pose des bodies est recopiée sur les os
+// - À la sortie, la pose ragdoll est fondue vers la pose animée (RECOVER)
+import * as THREE from "three";
+import { Body, ConeTwistConstraint, Sphere, Vec3 } from "cannon-es";
+import { CollisionGroups } from "./CollisionGroups";
+
+const DEFAULT_OPTIONS = {
+  minRadius: 0.04,
+  maxRadius: 0.15,
+  boneMass: 0.15,
+  linearDamping: 0.1,
+  angularDamping: 0.6,
+  coneAngle: Math.PI / 4,
+  twistAngle: Math.PI / 8,
+};
+
+const tmpPos = new THREE.Vector3();
+const tmpQuat = new THREE.Quaternion();
+const tmpScale = new THREE.Vector3();
+const parentQuat = new THREE.Quaternion();
+
+// Profondeur d'un os dans la hiérarchie (pour traiter les parents en premier)
+function boneDepth(bone) {
+  let depth = 0;
+  let node = bone.parent;
+  while (node && node.isBone) {
+    depth++;
+    node = node.parent;
+  }
+  return depth;
+}
+
+export class Ragdoll {
+  constructor(world, skeleton, options = {}) {
+    this.world = world;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    // Os triés parent → enfant
+    this.bones = [...skeleton.bones].sort(
+      (a, b) => boneDepth(a) - boneDepth(b),
+    );
+    this.rootBone = this.bones[0];
+    this.parts = [];
+    this.constraints = [];
+    this.restPose = new Map();
+    this.ragdollPose = new Map();
+    this.isActive = false;
+    this.blendTime = 0;
+    this.blendDuration = 0;
+  }
+
+  // Rayon d'un os : moitié de la distance à son premier enfant
+  getBoneRadius(bone) {
+    const { minRadius, maxRadius } = this.options;
+    const child = bone.children.find((node) => node.isBone);
+    if (!child) return minRadius * 1.5;
+    const length = child.position.length() * bone.getWorldScale(tmpScale).y;
+    return THREE.MathUtils.clamp(length / 2, minRadius, maxRadius);
+  }
+
+  // Passe en ragdoll depuis la pose actuelle du squelette
+  activate(initialVelocity = null) {
+    if (this.isActive) return;
+
+    this.restPose.clear();
+    this.bones.forEach((bone) => {
+      this.restPose.set(bone, {
+        position: bone.position.clone(),
+        quaternion: bone.quaternion.clone(),
+      });
+    });
+
+    const partByBone = new Map();
+    this.bones.forEach((bone) => {
+      bone.updateWorldMatrix(true, false);
+      bone.matrixWorld.decompose(tmpPos, tmpQuat, tmpScale);
+
+      const body = new Body({
+        mass: this.options.boneMass,
+        linearDamping: this.options.linearDamping,
+        angularDamping: this.options.angularDamping,
+        collisionFilterGroup: CollisionGroups.RAGDOLL,
+        collisionFilterMask: CollisionGroups.SCENE | CollisionGroups.ITEM,
+      });
+      body.addShape(new Sphere(this.getBoneRadius(bone)));
+      body.position.set(tmpPos.x, tmpPos.y, tmpPos.z);
+      body.quaternion.set(tmpQuat.x, tmpQuat.y, tmpQuat.z, tmpQuat.w);
+      if (initialVelocity) body.velocity.copy(initialVelocity);
+
+      const part = { bone, body };
+      this.parts.push(part);
+      partByBone.set(bone, part);
+      this.world.addBody(body);
+    });
+
+    // Articulation rotule limitée entre chaque os et son parent
+    this.parts.forEach(({ bone, body }) => {
+      const parentPart = partByBone.get(bone.parent);
+      if (!parentPart) return;
+
+      const parentBody = parentPart.body;
+      const jointWorld = new Vec3().copy(body.position);
+      const axisWorld = jointWorld.vsub(parentBody.position);
+      if (axisWorld.length() < 1e-4) axisWorld.set(0, 1, 0);
+      axisWorld.normalize();
+
+      const pivotA = parentBody.pointToLocalFrame(jointWorld);
+      const axisA = parentBody.vectorToLocalFrame(axisWorld);
+      const axisB = body.vectorToLocalFrame(axisWorld);
+
+      const constraint = new ConeTwistConstraint(parentBody, body, {
+        pivotA,
+        pivotB: new Vec3(0, 0, 0),
+        axisA,
+        axisB,
+        angle: this.options.coneAngle,
+        twistAngle: this.options.twistAngle,
+        collideConnected: false,
+      });
+      this.constraints.push(constraint);
+      this.world.addConstraint(constraint);
+    });
+
+    this.isActive = true;
+    this.blendDuration = 0;
+  }
+
+  // Quitte le ragdoll et démarre le fondu vers la pose animée
+  deactivate(blendDuration = 0.5) {
+    if (!this.isActive) return;
+
+    this.ragdollPose.clear();
+    this.bones.forEach((bone) => {
+      this.ragdollPose.set(bone, {
+        position: bone.position.clone(),
+        quaternion: bone.quaternion.clone(),
+      });
+    });
+
+    this.constraints.forEach((c) => this.world.removeConstraint(c));
+    this.parts.forEach(({ body }) => this.world.removeBody(body));
+    this.constraints = [];
+    this.parts = [];
+    this.isActive = false;
+
+    this.blendTime = 0;
+    this.blendDuration = blendDuration;
+    this.restoreRestPose();
+  }
+
+  get isBlending() {
+    return !this.isActive && this.blendTime < this.blendDuration;
+  }
+
+  // Position monde de l'os racine (pour que le body du personnage suive)
+  // En ragdoll, celle de son body : valable entre deux rendus (pas fixes)
+  getRootPosition(target = new THREE.Vector3()) {
+    if (this.parts.length > 0) {
+      const { position } = this.parts[0].body;
+      return target.set(position.x, position.y, position.z);
+    }
+    return this.rootBone.getWorldPosition(target);
+  }
+
+  getRootVelocity() {
+    return this.parts.length > 0 ? this.parts[0].body.velocity : null;
+  }
+
+  // Remet la pose d'avant ragdoll (base pour les ressorts et le mixer)
+  restoreRestPose() {
+    this.restPose.forEach((pose, bone) => {
+      bone.position.copy(pose.position);
+      bone.quaternion.copy(pose.quaternion);
+    });
+  }
+
+  // À appeler en début de frame pendant le fondu, avant les ressorts / le mixer
+  beginFrame() {
+    if (this.isBlending) this.restoreRestPose();
+  }
+
+  // À appeler en fin de frame, après le mixer
+  update(dt) {
+    if (this.isActive) {
+      this.applyBodiesToBones();
+    } else if (this.isBlending) {
+      this.blendTime += dt;
+      const t = THREE.MathUtils.smoothstep(
+        this.blendTime / this.blendDuration,
+        0,
+        1,
+      );
+      this.ragdollPose.forEach((pose, bone) => {
+        // bone.quaternion contient la pose animée de cette frame
+        tmpQuat.copy(bone.quaternion);
+        tmpPos.copy(bone.position);
+        bone.quaternion.copy(pose.quaternion).slerp(tmpQuat, t);
+        bone.position.copy(pose.position).lerp(tmpPos, t);
+      });
+    }
+  }
+
+  // Recopie l'orientation des bodies sur les os (parents d'abord)
+  applyBodiesToBones() {
+    this.parts.forEach(({ bone, body }) => {
+      const parent = bone.parent;
+      parent.updateWorldMatrix(true, false);
+      parent.getWorldQuaternion(parentQuat).invert();
+
+      tmpQuat.set(
+        body.quaternion.x,
+        body.quaternion.y,
+        body.quaternion.z,
+        body.quaternion.w,
+      );
+      bone.quaternion.copy(parentQuat.multiply(tmpQuat));
+
+      // Seule la racine est déplacée, les autres os gardent leur longueur
+      if (!parent.isBone) {
+        tmpPos.set(body.position.x, body.position.y, body.position.z);
+        bone.position.copy(parent.worldToLocal(tmpPos));
+      }
+      bone.updateMatrixWorld(false);
+    });
+  }
+
+  dispose() {
+    if (this.isActive) this.deactivate(0);
+    this.restPose.clear();
+    this.ragdollPose.clear();
+  }
+}
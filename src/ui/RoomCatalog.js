@@ -0,0 +1,191 @@
+// RoomCatalog.js
+// Pièces définies dans data/rooms.json (construites par Environment)
+// Coordonnées en mètres depuis le centre du sol (y = 0 au niveau du sol)
+// - floor : surface du sol (clé de "surfaces" : couleur, friction, rebond)
+// - size : murs du mode 3D { halfWidth, halfDepth, height }
+// - playMode : aire de jeu imposée par la pièce (voir PlayMode), optionnel
+// - floorPatches : zones de sol { surface, position: [x, z], size: [w, d] }
+// - props : meubles statiques (box) { id, surface, color?, position: [x, y, z]
+//   (dessous du meuble), size: [w, h, d] }
+// - spawnPoints : points de spawn du bouton [x, y, z], sinon bord de la vue
+// - trash : { position: [x, z] }, sinon la poubelle suit le bord de la vue
+import { Material } from "cannon-es";
+import roomData from "../data/rooms.json";
+import { PlayMode } from "./Simulation";
+
+const PLAY_MODES = Object.values(PlayMode);
+const SIZE_KEYS = ["halfWidth", "halfDepth", "height"];
+
+const isNumberArray = (value, length) =>
+  Array.isArray(value) &&
+  value.length === length &&
+  value.every((n) => typeof n === "number");
+
+const isSizeArray = (value, length) =>
+  isNumberArray(value, length) && value.every((n) => n > 0);
+
+function validateSurface(entry, id) {
+  const errors = [];
+  if (!entry || typeof entry !== "object") {
+    return [`Surface "${id}": entrée invalide`];
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(entry.color)) {
+    errors.push(`Surface "${id}": "color" doit être "#rrggbb"`);
+  }
+  ["friction", "restitution"].forEach((key) => {
+    if (typeof entry[key] !== "number" || entry[key] < 0) {
+      errors.push(`Surface "${id}": "${key}" doit être un nombre positif`);
+    }
+  });
+  return errors;
+}
+
+function buildSurface(entry, id) {
+  return {
+    id,
+    name: entry.name || id,
+    color: entry.color,
+    // Cannon multiplie friction / rebond avec ceux de l'item (voir ItemPhysics)
+    material: new Material({
+      friction: entry.friction,
+      restitution: entry.restitution,
+    }),
+  };
+}
+
+const catalogErrors = [];
+const SURFACES = {};
+Object.entries(roomData.surfaces || {}).forEach(([id, entry]) => {
+  const errors = validateSurface(entry, id);
+  if (errors.length > 0) {
+    catalogErrors.push(...errors);
+    return;
+  }
+  SURFACES[id] = buildSurface(entry, id);
+});
+
+function validateRoom(entry, index, seenIds) {
+  const errors = [];
+  const label = entry && entry.id ? `"${entry.id}"` : `#${index}`;
+
+  if (!entry || typeof entry !== "object") {
+    return [`Pièce ${label}: entrée invalide`];
+  }
+
+  if (typeof entry.id !== "string" || !entry.id) {
+    errors.push(`Pièce ${label}: "id" manquant`);
+  } else if (seenIds.has(entry.id)) {
+    errors.push(`Pièce ${label}: "id" en double`);
+  }
+
+  if (!SURFACES[entry.floor]) {
+    errors.push(`Pièce ${label}: surface du sol inconnue (${entry.floor})`);
+  }
+
+  const size = entry.size || {};
+  if (
+    SIZE_KEYS.some((key) => typeof size[key] !== "number" || size[key] <= 0)
+  ) {
+    errors.push(
+      `Pièce ${label}: "size" doit contenir halfWidth, halfDepth, height positifs`,
+    );
+  }
+
+  if (entry.playMode !== undefined && !PLAY_MODES.includes(entry.playMode)) {
+    errors.push(`Pièce ${label}: playMode inconnu (${entry.playMode})`);
+  }
+
+  (entry.floorPatches || []).forEach((patch, i) => {
+    if (!SURFACES[patch.surface]) {
+      errors.push(`Pièce ${label}: zone #${i}, surface inconnue`);
+    }
+    if (!isNumberArray(patch.position, 2) || !isSizeArray(patch.size, 2)) {
+      errors.push(
+        `Pièce ${label}: zone #${i}, "position" [x, z] et "size" [w, d] requis`,
+      );
+    }
+  });
+
+  (entry.props || []).forEach((prop, i) => {
+    const propLabel = prop.id || `#${i}`;
+    if (!SURFACES[prop.surface]) {
+      errors.push(`Pièce ${label}: meuble ${propLabel}, surface inconnue`);
+    }
+    if (prop.color !== undefined && !/^#[0-9a-f]{6}$/i.test(prop.color)) {
+      errors.push(
+        `Pièce ${label}: meuble ${propLabel}, "color" doit être "#rrggbb"`,
+      );
+    }
+    if (!isNumberArray(prop.position, 3) || !isSizeArray(prop.size, 3)) {
+      errors.push(
+        `Pièce ${label}: meuble ${propLabel}, "position" [x, y, z] et "size" [w, h, d] requis`,
+      );
+    }
+  });
+
+  (entry.spawnPoints || []).forEach((point, i) => {
+    if (!isNumberArray(point, 3)) {
+      errors.push(`Pièce ${label}: point de spawn #${i} invalide [x, y, z]`);
+    }
+  });
+
+  if (entry.trash !== undefined && !isNumberArray(entry.trash.position, 2)) {
+    errors.push(`Pièce ${label}: "trash.position" doit être [x, z]`);
+  }
+
+  return errors;
+}
+
+function buildRoom(entry) {
+  return {
+    id: entry.id,
+    name: entry.name || entry.id,
+    floor: SURFACES[entry.floor],
+    size: { ...entry.size },
+    playMode: entry.playMode || null,
+    floorPatches: (entry.floorPatches || []).map((patch) => ({
+      ...patch,
+      surface: SURFACES[patch.surface],
+    })),
+    props: (entry.props || []).map((prop, i) => ({
+      ...prop,
+      id: prop.id || `prop-${i}`,
+      surface: SURFACES[prop.surface],
+      color: prop.color || SURFACES[prop.surface].color,
+    })),
+    spawnPoints: entry.spawnPoints || [],
+    trashPosition: entry.trash ? entry.trash.position : null,
+  };
+}
+
+const ROOMS = [];
+const seenIds = new Set();
+(roomData.rooms || []).forEach((entry, index) => {
+  const errors = validateRoom(entry, index, seenIds);
+  if (errors.length > 0) {
+    catalogErrors.push(...errors);
+    return;
+  }
+  seenIds.add(entry.id);
+  ROOMS.push(buildRoom(entry));
+});
+
+if (catalogErrors.length > 0) {
+  console.warn("⚠️ Pièces invalides:", catalogErrors);
+}
+
+export function getRooms() {
+  return ROOMS;
+}
+
+export function getRoomErrors() {
+  return catalogErrors;
+}
+
+export function getRoomById(id) {
+  return ROOMS.find((room) => room.id === id) || null;
+}
+
+export function getDefaultRoom() {
+  return getRoomById(roomData.defaultRoom) || ROOMS[0];
+}
@@ -0,0 +1,42 @@
+// RoomPicker.jsx
+// Sélecteur de pièce : pièces de data/rooms.json (voir RoomCatalog)
+// La construction de la pièce (sol, meubles, murs) est faite par App via onSelect
+import { getRoomErrors, getRooms } from "./RoomCatalog";
+
+export default function RoomPicker({ currentId, onSelect, disabled }) {
+  const rooms = getRooms();
+  const catalogErrors = getRoomErrors();
+
+  return (
+    <div className="absolute bottom-24 left-5 flex flex-col gap-2 items-start z-10">
+      <div className="flex flex-wrap gap-2 max-w-xs">
+        {rooms.map((room) => (
+          <button
+            key={room.id}
+            onClick={() => room.id !== currentId && onSelect(room)}
+            disabled={disabled}
+            className={`flex items-center gap-2 px-3 py-1 text-sm rounded shadow-lg border transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+              room.id === currentId
+                ? "bg-gray-700 text-white border-gray-700"
+                : "bg-white/90 text-gray-700 border-gray-200 hover:bg-gray-100"
+            }`}
+          >
+            <span
+              className="w-3 h-3 rounded-full border border-gray-300"
+              style={{ background: room.floor.color }}
+            />
+            {room.name}
+          </button>
+        ))}
+      </div>
+
+      {catalogErrors.length > 0 && (
+        <ul className="text-xs text-red-600 bg-red-50 px-3 py-1 rounded shadow border border-red-200 max-w-xs list-disc list-inside">
+          {catalogErrors.map((message) => (
+            <li key={message}>{message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+// SaveControls.jsx
+// Boutons d'export / import de la scène au format JSON
+// La logique de snapshot est fournie par App via onExport / onImport
+import { useRef, useState } from "react";
+import { readSnapshotFile } from "./SaveManager";
+
+export default function SaveControls({ onExport, onImport, disabled }) {
+  const fileInputRef = useRef(null);
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = () => {
+    try {
+      setError(null);
+      onExport();
+      setStatus("💾 Scène exportée");
+    } catch (err) {
+      setError(`Erreur: ${err.message}`);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    // Permet de réimporter le même fichier deux fois de suite
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      setError(null);
+      const snapshot = await readSnapshotFile(file);
+      await onImport(snapshot);
+      setStatus(`📂 ${file.name} importé`);
+    } catch (err) {
+      setStatus(null);
+      setError(`Erreur: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="absolute bottom-5 left-5 flex flex-col gap-2 items-start z-10">
+      <div className="flex gap-2">
+        <button
+          onClick={handleExport}
+          disabled={disabled}
+          className="px-3 py-1 bg-gray-700 text-white text-sm rounded hover:bg-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed shadow-lg"
+        >
+          💾 Exporter
+        </button>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={disabled}
+          className="px-3 py-1 bg-gray-700 text-white text-sm rounded hover:bg-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed shadow-lg"
+        >
+          📂 Importer
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={handleFileChange}
+        />
+      </div>
+
+      {status && !error && (
+        <div className="text-xs text-gray-500">{status}</div>
+      )}
+
+      {error && (
+        <div className="text-xs text-red-600 bg-red-50 px-3 py-1 rounded shadow border border-red-200 max-w-xs">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
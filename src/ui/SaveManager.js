@@ -0,0 +1,267 @@
+// SaveManager.js
+// Sauvegarde / restauration de l'état complet de la simulation
+// - Snapshot sérialisable (personnage, items spawnés, santé, besoins)
+// - Persistance automatique dans le localStorage
+// - Export / import vers un fichier JSON pour partager une scène
+import * as THREE from "three";
+import { getCatalogItemById, getCatalogItemByModelPath } from "./ItemCatalog";
+import { createSpawnedItem, removeSpawnedItem } from "./SpawnedItem";
+import { GameEvent, ItemRemoveReason } from "./EventBus";
+
+export const SNAPSHOT_VERSION = 1;
+const STORAGE_KEY = "humanexe:snapshot";
+const AUTOSAVE_INTERVAL_MS = 5000;
+
+// Convertit un body Cannon en transform sérialisable
+function serializeBody(body) {
+  return {
+    position: body.position.toArray(),
+    quaternion: body.quaternion.toArray(),
+    velocity: body.velocity.toArray(),
+    angularVelocity: body.angularVelocity.toArray(),
+  };
+}
+
+// Applique un transform sérialisé sur un body Cannon
+function applyBodyTransform(body, transform) {
+  if (!transform) return;
+  if (transform.position) body.position.set(...transform.position);
+  if (transform.quaternion) body.quaternion.set(...transform.quaternion);
+  if (transform.velocity) body.velocity.set(...transform.velocity);
+  if (transform.angularVelocity) {
+    body.angularVelocity.set(...transform.angularVelocity);
+  }
+}
+
+// Capture l'état courant de la simulation
+export function createSnapshot({
+  characterBody,
+  spawnedItems,
+  healthManager,
+  needsManager,
+}) {
+  return {
+    version: SNAPSHOT_VERSION,
+    savedAt: new Date().toISOString(),
+    character: characterBody ? serializeBody(characterBody) : null,
+    items: spawnedItems.map((item) => ({
+      itemId: item.itemId,
+      modelPath: item.modelPath,
+      stats: item.stats,
+      body: serializeBody(item.body),
+    })),
+    health: {
+      currentHealth: healthManager.currentHealth,
+      maxHealth: healthManager.maxHealth,
+    },
+    // Optionnel : absent des snapshots d'avant les besoins
+    needs: needsManager ? needsManager.getValues() : undefined,
+  };
+}
+
+const isVector = (value, length) =>
+  Array.isArray(value) &&
+  value.length === length &&
+  value.every((n) => Number.isFinite(n));
+
+// Erreur du transform d'un body sérialisé, null s'il est exploitable
+// (position, quaternion et vitesse requis, vitesse angulaire optionnelle)
+function getBodyError(body) {
+  if (!body || typeof body !== "object") return "transform manquant";
+  if (!isVector(body.position, 3)) return "position invalide";
+  if (!isVector(body.quaternion, 4)) return "quaternion invalide";
+  if (!isVector(body.velocity, 3)) return "vitesse invalide";
+  if (
+    body.angularVelocity !== undefined &&
+    !isVector(body.angularVelocity, 3)
+  ) {
+    return "vitesse angulaire invalide";
+  }
+  return null;
+}
+
+// Vérifie qu'un objet ressemble à un snapshot exploitable
+// Chaque item est vérifié avant toute restauration : une entrée invalide
+// rejette tout le snapshot (la scène en cours n'est pas touchée)
+export function validateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== "object") {
+    throw new Error("Snapshot invalide");
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    throw new Error(
+      `Version de snapshot non supportée (${snapshot.version}, attendu ${SNAPSHOT_VERSION})`,
+    );
+  }
+  if (!Array.isArray(snapshot.items) || !snapshot.health) {
+    throw new Error("Snapshot incomplet (items ou santé manquants)");
+  }
+  if (snapshot.character) {
+    const error = getBodyError(snapshot.character);
+    if (error) throw new Error(`Personnage: ${error}`);
+  }
+  snapshot.items.forEach((savedItem, index) => {
+    if (!savedItem || typeof savedItem !== "object") {
+      throw new Error(`Item #${index}: entrée invalide`);
+    }
+    const label = savedItem.itemId || `#${index}`;
+    if (!resolveItemConfig(savedItem)) {
+      throw new Error(`Item ${label}: inconnu du catalogue`);
+    }
+    const error = getBodyError(savedItem.body);
+    if (error) throw new Error(`Item ${label}: ${error}`);
+  });
+  return snapshot;
+}
+
+// Retrouve la config de spawn d'un item sauvegardé
+// Priorité à l'id du catalogue (les URLs peuvent changer entre deux builds)
+// Les stats viennent toujours du catalogue : celles du fichier sont ignorées
+function resolveItemConfig(savedItem) {
+  return (
+    getCatalogItemById(savedItem.itemId) ||
+    getCatalogItemByModelPath(savedItem.modelPath)
+  );
+}
+
+// Charge tous les items du snapshot ; si un modèle échoue, ceux déjà
+// chargés sont retirés et l'erreur remonte (scène en cours intacte)
+async function loadSavedItems(savedItems, scene, world) {
+  const results = await Promise.allSettled(
+    savedItems.map((savedItem) => {
+      const [x, y, z] = savedItem.body.position;
+      return createSpawnedItem(
+        scene,
+        world,
+        new THREE.Vector3(x, y, z),
+        resolveItemConfig(savedItem),
+      );
+    }),
+  );
+
+  const failure = results.find(({ status }) => status === "rejected");
+  if (failure) {
+    results
+      .filter(({ status }) => status === "fulfilled")
+      .forEach(({ value }) => removeSpawnedItem(value, world));
+    throw failure.reason;
+  }
+  return results.map(({ value }) => value);
+}
+
+// Restaure un snapshot : remplace les items, replace le personnage et la santé
+// eventBus (optionnel) : reçoit les retraits / ajouts d'items
+export async function restoreSnapshot(
+  snapshot,
+  {
+    scene,
+    world,
+    characterBody,
+    spawnedItems,
+    healthManager,
+    needsManager,
+    eventBus,
+  },
+) {
+  validateSnapshot(snapshot);
+  const items = await loadSavedItems(snapshot.items, scene, world);
+
+  // Supprime les items actuels
+  const previousItems = spawnedItems.current;
+  previousItems.forEach((item) => removeSpawnedItem(item, world));
+  spawnedItems.current = [];
+  if (eventBus) {
+    previousItems.forEach((item) =>
+      eventBus.emit(GameEvent.ITEM_REMOVED, {
+        item,
+        reason: ItemRemoveReason.RESTORE,
+      }),
+    );
+  }
+
+  if (characterBody && snapshot.character) {
+    applyBodyTransform(characterBody, snapshot.character);
+  }
+
+  items.forEach((item, index) => {
+    applyBodyTransform(item.body, snapshot.items[index].body);
+    item.desiredX = item.body.position.x;
+    item.desiredY = item.body.position.y;
+    item.mesh.position.copy(item.body.position);
+    item.mesh.quaternion.copy(item.body.quaternion);
+    spawnedItems.current.push(item);
+    if (eventBus) eventBus.emit(GameEvent.ITEM_SPAWNED, { item });
+  });
+
+  healthManager.setHealth(
+    snapshot.health.currentHealth,
+    snapshot.health.maxHealth,
+  );
+  if (needsManager && snapshot.needs) needsManager.setValues(snapshot.needs);
+
+  console.log(`✅ Snapshot restauré (${spawnedItems.current.length} items)`);
+}
+
+// === Persistance localStorage ===
+
+export function saveToLocalStorage(snapshot) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+  } catch (error) {
+    console.warn("⚠️ Sauvegarde locale impossible:", error);
+  }
+}
+
+export function loadFromLocalStorage() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? validateSnapshot(JSON.parse(raw)) : null;
+  } catch (error) {
+    console.warn("⚠️ Sauvegarde locale ignorée:", error);
+    return null;
+  }
+}
+
+export function clearLocalStorage() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+// Sauvegarde périodique + à la fermeture de la page
+// Retourne une fonction pour arrêter l'auto-save
+export function startAutoSave(getSnapshot, intervalMs = AUTOSAVE_INTERVAL_MS) {
+  const save = () => saveToLocalStorage(getSnapshot());
+  const intervalId = setInterval(save, intervalMs);
+  window.addEventListener("beforeunload", save);
+
+  return () => {
+    clearInterval(intervalId);
+    window.removeEventListener("beforeunload", save);
+  };
+}
+
+// === Export / import fichier ===
+
+// Télécharge le snapshot sous forme de fichier JSON
+export function exportSnapshotToFile(snapshot) {
+  const blob = new Blob([JSON.stringify(snapshot, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  const stamp = snapshot.savedAt.replace(/[:.]/g, "-");
+  link.href = url;
+  link.download = `humanexe-scene-${stamp}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Lit et valide un fichier JSON choisi par l'utilisateur
+export async function readSnapshotFile(file) {
+  const text = await file.text();
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch {
+    throw new Error("Fichier JSON illisible");
+  }
+  return validateSnapshot(snapshot);
+}
@@ -0,0 +1,914 @@
+// Simulation.js
+// Cœur de la simulation, indépendant de React et du rendu
+// - Boucle à pas fixe (FIXED_DT) : physique, ressorts (drag, bras, items),
+//   hits sur la tête, ragdoll, limites de la vue
+// - Interpolation entre les deux derniers pas pour le rendu
+// - Pause, pas à pas et ralenti
+// - Fonctionne sous Node (aucun accès au DOM / WebGL) : App ne fait que
+//   l'affichage (modèle, os, animations) et les entrées
+import * as THREE from "three";
+import { World, Vec3, Body, Plane, Box } from "cannon-es";
+import { HeadSensor } from "./HeadSensor";
+import { classifyImpact, ImpactTier } from "./ImpactModel";
+import { SURFACE_MATERIAL } from "./ItemPhysics";
+import { removeSpawnedItem } from "./SpawnedItem";
+import { EventBus, GameEvent, ItemRemoveReason } from "./EventBus";
+
+// Pas de simulation (s) et nombre max de pas rattrapés par appel à advance
+export const FIXED_DT = 1 / 60;
+const MAX_STEPS_PER_ADVANCE = 5;
+// Au-delà (onglet en arrière-plan...), le temps réel écoulé est tronqué
+const MAX_FRAME_DT = 0.1;
+
+// Position Y du sol
+export const GROUND_Y = -1;
+// Décalage vertical de la tête par rapport au centre du corps
+export const HEAD_OFFSET_Y = 0.6;
+// Hauteur de départ du corps du personnage (chargement et réanimation)
+export const CHARACTER_START_Y = GROUND_Y + 2;
+// Box par défaut du personnage (et repli si aucun collider n'est généré)
+export const CHARACTER_HALF_EXTENTS = new Vec3(0.4, 0.5, 0.3);
+// Recul du personnage sur un impact violent (fraction de l'impulsion reçue)
+const KNOCKBACK_FACTOR = 0.15;
+const MAX_KNOCKBACK = 3;
+// Impulsion d'une poussée du personnage (clavier / manette)
+const NUDGE_IMPULSE = 2.5;
+// Durée du ragdoll après un impact violent (s) et du fondu de sortie
+const RAGDOLL_DURATION = 2.5;
+const RAGDOLL_BLEND_TIME = 0.5;
+// Limites de la vue hors navigateur (App les met à jour depuis la caméra)
+// centerX / centerY : centre de la vue sur le plan de jeu (caméra mobile)
+const DEFAULT_VIEW_BOUNDS = { halfW: 5, halfH: 5, centerX: 0, centerY: 0 };
+const MAX_ARM_ANGLE = 1.2;
+
+// Énumération des états possibles du corps/os
+export const BoneState = {
+  PHYSICS: "physics",
+  DRAG: "drag",
+  RECOVER: "recover",
+  RAGDOLL: "ragdoll",
+};
+
+// Mort : "ragdoll" (effondrement physique) ou "clip" (le personnage reste debout)
+export const DeathCollapse = {
+  RAGDOLL: "ragdoll",
+  CLIP: "clip",
+};
+
+// Aire de jeu : "plane" (2.5D, plan Z = 0 borné par la vue de la caméra)
+// ou "room" (3D, pièce fermée par des murs, voir DEFAULT_ROOM)
+export const PlayMode = {
+  PLANE: "plane",
+  ROOM: "room",
+};
+
+// Pièce du mode 3D (m) : demi-largeur en X, demi-profondeur en Z, hauteur
+// au-dessus du sol
+export const DEFAULT_ROOM = { halfWidth: 3, halfDepth: 2, height: 4 };
+
+function createPhysicsWorld() {
+  const world = new World({
+    gravity: new Vec3(0, -9.82, 0),
+  });
+  world.solver.iterations = 10;
+  return world;
+}
+
+function createGroundBody() {
+  const shape = new Plane();
+  const body = new Body({ mass: 0, material: SURFACE_MATERIAL });
+  body.addShape(shape);
+  body.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+  body.position.set(0, GROUND_Y, 0);
+  return body;
+}
+
+// Murs de la pièce : plans Cannon tournés vers l'intérieur
+function createRoomWalls({ halfWidth, halfDepth }) {
+  const walls = [
+    { position: [-halfWidth, 0, 0], rotationY: Math.PI / 2 },
+    { position: [halfWidth, 0, 0], rotationY: -Math.PI / 2 },
+    { position: [0, 0, -halfDepth], rotationY: 0 },
+    { position: [0, 0, halfDepth], rotationY: Math.PI },
+  ];
+  return walls.map(({ position, rotationY }) => {
+    const body = new Body({ mass: 0, material: SURFACE_MATERIAL });
+    body.addShape(new Plane());
+    body.quaternion.setFromEuler(0, rotationY, 0);
+    body.position.set(...position);
+    return body;
+  });
+}
+
+function createCharacterBody(startY) {
+  const shape = new Box(CHARACTER_HALF_EXTENTS);
+  const body = new Body({
+    mass: 1,
+    linearDamping: 0.15,
+    angularDamping: 0.4,
+    restitution: 0,
+  });
+  body.addShape(shape);
+  body.position.set(0, startY, 0);
+  return body;
+}
+
+const tmpQuat = new THREE.Quaternion();
+const uprightQuat = new THREE.Quaternion();
+const currentQuat = new THREE.Quaternion();
+function recoverUpright(body) {
+  currentQuat.set(
+    body.quaternion.x,
+    body.quaternion.y,
+    body.quaternion.z,
+    body.quaternion.w,
+  );
+  currentQuat.slerp(uprightQuat, 0.1);
+  body.quaternion.set(
+    currentQuat.x,
+    currentQuat.y,
+    currentQuat.z,
+    currentQuat.w,
+  );
+  body.velocity.scale(0.96, body.velocity);
+  body.angularVelocity.scale(0.92, body.angularVelocity);
+}
+
+// Ressort amorti d'un angle (bras), borné à ±MAX_ARM_ANGLE
+function stepSpring(spring, key, velKey, target, stiffness, damping, dt) {
+  const force = (target - spring[key]) * stiffness - spring[velKey] * damping;
+  spring[velKey] += force * dt;
+  spring[key] = THREE.MathUtils.clamp(
+    spring[key] + spring[velKey] * dt,
+    -MAX_ARM_ANGLE,
+    MAX_ARM_ANGLE,
+  );
+}
+
+const createArmSpring = () => ({ angleZ: 0, velZ: 0, angleX: 0, velX: 0 });
+
+export class Simulation {
+  // options :
+  // - healthManager : santé (hits, mort) ; statusEffects : étourdissement
+  // - systems : objets avec update(dt) avancés à chaque pas (effets, besoins...)
+  // - spawnedItems : { current: [] } partagé avec les composants (ref React)
+  // - eventBus : bus d'App (un bus interne est créé sinon)
+  // - deathCollapse : voir DeathCollapse
+  // - playMode, room : aire de jeu 2.5D ou pièce 3D (voir PlayMode)
+  constructor({
+    healthManager = null,
+    statusEffects = null,
+    systems = [],
+    spawnedItems = { current: [] },
+    eventBus = new EventBus(),
+    deathCollapse = DeathCollapse.RAGDOLL,
+    playMode = PlayMode.PLANE,
+    room = DEFAULT_ROOM,
+  } = {}) {
+    this.healthManager = healthManager;
+    this.statusEffects = statusEffects;
+    this.systems = systems;
+    this.spawnedItems = spawnedItems;
+    this.eventBus = eventBus;
+    this.deathCollapse = deathCollapse;
+
+    this.world = createPhysicsWorld();
+    this.groundBody = createGroundBody();
+    this.world.addBody(this.groundBody);
+    this.characterBody = createCharacterBody(CHARACTER_START_Y);
+    this.world.addBody(this.characterBody);
+
+    // === Aire de jeu : murs présents dans le monde en mode pièce seulement ===
+    this.room = { ...room };
+    this.wallBodies = createRoomWalls(this.room);
+    this.playMode = PlayMode.PLANE;
+    this.playModeCallbacks = [];
+    this.setPlayMode(playMode);
+
+    // === Capteur de tête : hits détectés par les contacts Cannon-es ===
+    this.headSensor = new HeadSensor(
+      this.world,
+      (body) =>
+        this.spawnedItems.current.find((item) => item.body === body) || null,
+    );
+    this.headPosition = new THREE.Vector3();
+    // Position de la tête fournie par le rendu (os), sinon déduite du corps
+    this.getHeadPosition = null;
+
+    this.boneState = BoneState.PHYSICS;
+    this.desiredHeadPos = new THREE.Vector3(0, 1, 0);
+    this.dragOffset = new THREE.Vector3();
+    this.viewBounds = { ...DEFAULT_VIEW_BOUNDS };
+    this.characterSize = new THREE.Vector3(1, 1, 1);
+
+    // Pose procédurale calculée ici, appliquée aux os par App
+    this.pose = {
+      spineTilt: { x: 0, z: 0 },
+      armBottom: createArmSpring(),
+      armTop: createArmSpring(),
+    };
+
+    // === Ragdoll : un body par os, activé sur impact violent ou santé à 0 ===
+    this.ragdoll = null;
+    this.ragdollTimer = 0;
+    this.ragdollRootOffset = new THREE.Vector3();
+    this.ragdollRootPos = new THREE.Vector3();
+
+    // === Temps ===
+    this.time = 0;
+    this.accumulator = 0;
+    this.alpha = 0;
+    this.isPaused = false;
+    this.timeScale = 1;
+    this.pendingSteps = 0;
+    this.timeControlCallbacks = [];
+    // Transform de chaque body au pas précédent (interpolation)
+    this.previousTransforms = new WeakMap();
+
+    this.onHealthChange = this.onHealthChange.bind(this);
+    if (healthManager) healthManager.onHealthChange(this.onHealthChange);
+  }
+
+  // === Contrôle du temps ===
+
+  // callback({ isPaused, timeScale })
+  onTimeControlChange(callback) {
+    this.timeControlCallbacks.push(callback);
+  }
+
+  offTimeControlChange(callback) {
+    this.timeControlCallbacks = this.timeControlCallbacks.filter(
+      (cb) => cb !== callback,
+    );
+  }
+
+  notifyTimeControlChange() {
+    const state = { isPaused: this.isPaused, timeScale: this.timeScale };
+    this.timeControlCallbacks.forEach((callback) => callback(state));
+  }
+
+  setPaused(isPaused) {
+    this.isPaused = isPaused;
+    this.notifyTimeControlChange();
+  }
+
+  // Ralenti (< 1) ou accéléré (> 1)
+  setTimeScale(timeScale) {
+    this.timeScale = Math.max(0, timeScale);
+    this.notifyTimeControlChange();
+  }
+
+  // En pause : un pas fixe est joué au prochain advance
+  stepOnce() {
+    if (this.isPaused) this.pendingSteps += 1;
+  }
+
+  // Avance la simulation du temps réel écoulé (rendu) : autant de pas fixes
+  // que nécessaire, le reste sert à l'interpolation (alpha)
+  // Retourne le temps simulé (0 en pause) pour les animations
+  advance(realDt) {
+    let simulated = 0;
+
+    if (this.isPaused) {
+      while (this.pendingSteps > 0) {
+        this.pendingSteps -= 1;
+        this.step(FIXED_DT);
+        simulated += FIXED_DT;
+      }
+      this.alpha = 1;
+      return simulated;
+    }
+
+    this.accumulator += Math.min(realDt, MAX_FRAME_DT) * this.timeScale;
+    let steps = 0;
+    while (this.accumulator >= FIXED_DT && steps < MAX_STEPS_PER_ADVANCE) {
+      this.step(FIXED_DT);
+      this.accumulator -= FIXED_DT;
+      simulated += FIXED_DT;
+      steps += 1;
+    }
+    // Trop de retard : on abandonne le temps non rattrapé
+    if (steps === MAX_STEPS_PER_ADVANCE) {
+      this.accumulator = Math.min(this.accumulator, FIXED_DT);
+    }
+    this.alpha = this.accumulator / FIXED_DT;
+    return simulated;
+  }
+
+  // Avance de `seconds` de temps simulé (tests, mode headless)
+  runFor(seconds) {
+    const steps = Math.round(seconds / FIXED_DT);
+    for (let i = 0; i < steps; i++) this.step(FIXED_DT);
+    this.alpha = 1;
+  }
+
+  // === Aire de jeu ===
+
+  // callback({ playMode, room })
+  onPlayModeChange(callback) {
+    this.playModeCallbacks.push(callback);
+  }
+
+  offPlayModeChange(callback) {
+    this.playModeCallbacks = this.playModeCallbacks.filter(
+      (cb) => cb !== callback,
+    );
+  }
+
+  // Retour au mode 2.5D : les bodies rejoignent le plan Z = 0 au pas suivant
+  setPlayMode(playMode) {
+    if (playMode === this.playMode) return;
+
+    this.playMode = playMode;
+    this.wallBodies.forEach((wall) =>
+      playMode === PlayMode.ROOM
+        ? this.world.addBody(wall)
+        : this.world.removeBody(wall),
+    );
+    this.notifyPlayModeChange();
+  }
+
+  // Nouvelles dimensions de la pièce (voir DEFAULT_ROOM), murs recréés
+  setRoom(room) {
+    if (this.isRoom) {
+      this.wallBodies.forEach((wall) => this.world.removeBody(wall));
+    }
+    this.room = { ...room };
+    this.wallBodies = createRoomWalls(this.room);
+    if (this.isRoom) {
+      this.wallBodies.forEach((wall) => this.world.addBody(wall));
+    }
+    this.notifyPlayModeChange();
+  }
+
+  notifyPlayModeChange() {
+    const state = { playMode: this.playMode, room: this.room };
+    this.playModeCallbacks.forEach((callback) => callback(state));
+  }
+
+  get isRoom() {
+    return this.playMode === PlayMode.ROOM;
+  }
+
+  // Volume jouable : vue de la caméra (plan Z = 0) ou pièce
+  // { minX, maxX, minY, maxY, minZ, maxZ }
+  getPlayBounds() {
+    if (this.isRoom) {
+      const { halfWidth, halfDepth, height } = this.room;
+      return {
+        minX: -halfWidth,
+        maxX: halfWidth,
+        minY: GROUND_Y,
+        maxY: GROUND_Y + height,
+        minZ: -halfDepth,
+        maxZ: halfDepth,
+      };
+    }
+    const { halfW, halfH, centerX, centerY } = this.viewBounds;
+    return {
+      minX: centerX - halfW,
+      maxX: centerX + halfW,
+      minY: centerY - halfH,
+      maxY: centerY + halfH,
+      minZ: 0,
+      maxZ: 0,
+    };
+  }
+
+  // === Interpolation ===
+
+  savePreviousTransforms() {
+    const bodies = [
+      this.characterBody,
+      ...this.spawnedItems.current.map((item) => item.body),
+    ];
+    bodies.forEach((body) => {
+      let previous = this.previousTransforms.get(body);
+      if (!previous) {
+        previous = {
+          position: new THREE.Vector3(),
+          quaternion: new THREE.Quaternion(),
+        };
+        this.previousTransforms.set(body, previous);
+      }
+      previous.position.copy(body.position);
+      previous.quaternion.copy(body.quaternion);
+    });
+  }
+
+  // Position du body entre le pas précédent et le dernier (selon alpha)
+  getInterpolatedPosition(body, target = new THREE.Vector3()) {
+    target.copy(body.position);
+    const previous = this.previousTransforms.get(body);
+    if (!previous) return target;
+    return target.lerpVectors(previous.position, target, this.alpha);
+  }
+
+  getInterpolatedQuaternion(body, target = new THREE.Quaternion()) {
+    const previous = this.previousTransforms.get(body);
+    if (!previous) return target.copy(body.quaternion);
+    tmpQuat.copy(body.quaternion);
+    return target.copy(previous.quaternion).slerp(tmpQuat, this.alpha);
+  }
+
+  // Oublie les transforms précédents (téléportation : pas de traînée)
+  resetInterpolation() {
+    this.previousTransforms = new WeakMap();
+  }
+
+  // === Personnage ===
+
+  // bounds : { halfW, halfH, centerX?, centerY? } (centre à 0 par défaut)
+  setViewBounds(bounds) {
+    this.viewBounds = { centerX: 0, centerY: 0, ...bounds };
+  }
+
+  setCharacterSize(size) {
+    this.characterSize.copy(size);
+  }
+
+  // Nouveau squelette : l'ancien ragdoll est libéré, la pose remise à zéro
+  setRagdoll(ragdoll) {
+    if (this.boneState === BoneState.RAGDOLL) this.exitRagdoll();
+    if (this.ragdoll) this.ragdoll.dispose();
+    this.ragdoll = ragdoll;
+    if (this.boneState === BoneState.DRAG) this.boneState = BoneState.RECOVER;
+
+    Object.assign(this.pose.armBottom, createArmSpring());
+    Object.assign(this.pose.armTop, createArmSpring());
+    Object.assign(this.pose.spineTilt, { x: 0, z: 0 });
+  }
+
+  get isDragging() {
+    return this.boneState === BoneState.DRAG;
+  }
+
+  // Personnage mort ou étourdi : il ne peut pas être attrapé
+  canGrab() {
+    if (this.healthManager && this.healthManager.isDead()) return false;
+    return !(this.statusEffects && this.statusEffects.isStunned());
+  }
+
+  // Attrape la tête au point `grabPoint` (monde) ; false si impossible
+  startDrag(grabPoint) {
+    if (!this.canGrab()) return false;
+    // Attraper la tête relève le personnage
+    if (this.boneState === BoneState.RAGDOLL) this.exitRagdoll();
+
+    const body = this.characterBody;
+    this.boneState = BoneState.DRAG;
+    this.dragOffset.set(
+      body.position.x - grabPoint.x,
+      body.position.y + HEAD_OFFSET_Y - grabPoint.y,
+      0,
+    );
+    this.desiredHeadPos.set(
+      body.position.x,
+      body.position.y + HEAD_OFFSET_Y,
+      body.position.z,
+    );
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+    return true;
+  }
+
+  // Cible du drag (point monde sous le pointeur), bornée à la vue
+  moveDrag(point) {
+    if (!this.isDragging) return;
+
+    const { minX, maxX, minY, maxY } = this.getPlayBounds();
+    const halfModelW = this.characterSize.x / 2;
+    const modelHeight = this.characterSize.y;
+
+    this.desiredHeadPos.set(
+      THREE.MathUtils.clamp(
+        point.x + this.dragOffset.x,
+        minX + halfModelW * 0.5,
+        maxX - halfModelW * 0.5,
+      ),
+      THREE.MathUtils.clamp(
+        point.y + this.dragOffset.y,
+        minY + modelHeight / 2,
+        maxY - modelHeight / 4,
+      ),
+      this.characterBody.position.z,
+    );
+  }
+
+  endDrag() {
+    if (!this.isDragging) return;
+    this.boneState = BoneState.RECOVER;
+  }
+
+  // Poussée du personnage (clavier / manette), impossible s'il est tenu,
+  // étourdi, mort ou en ragdoll
+  nudgeCharacter(x, y) {
+    if (!this.canGrab()) return false;
+    if (this.boneState === BoneState.DRAG) return false;
+    if (this.boneState === BoneState.RAGDOLL) return false;
+
+    this.characterBody.applyImpulse(
+      new Vec3(x * NUDGE_IMPULSE, y * NUDGE_IMPULSE, 0),
+    );
+    this.boneState = BoneState.RECOVER;
+    return true;
+  }
+
+  // Recul du personnage dans la direction de l'impact (plan XY en 2.5D)
+  applyKnockback(direction, impulse) {
+    const directionZ = this.isRoom ? direction.z : 0;
+    const length = Math.hypot(direction.x, direction.y, directionZ);
+    if (length < 1e-3) return;
+
+    const strength = Math.min(impulse * KNOCKBACK_FACTOR, MAX_KNOCKBACK);
+    this.characterBody.applyImpulse(
+      new Vec3(
+        (direction.x / length) * strength,
+        (direction.y / length) * strength,
+        (directionZ / length) * strength,
+      ),
+    );
+    if (this.boneState !== BoneState.DRAG) this.boneState = BoneState.RECOVER;
+  }
+
+  // Passe le personnage en ragdoll : le body principal devient cinématique
+  // et suit l'os racine, les os sont pilotés par leurs propres bodies
+  enterRagdoll() {
+    const body = this.characterBody;
+    if (!this.ragdoll || this.boneState === BoneState.RAGDOLL) return;
+
+    this.ragdoll.activate(body.velocity);
+    this.ragdoll.getRootPosition(this.ragdollRootPos);
+    this.ragdollRootOffset.set(
+      this.ragdollRootPos.x - body.position.x,
+      this.ragdollRootPos.y - body.position.y,
+      this.ragdollRootPos.z - body.position.z,
+    );
+
+    body.type = Body.KINEMATIC;
+    body.collisionResponse = false;
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+    body.updateMassProperties();
+
+    this.ragdollTimer = RAGDOLL_DURATION;
+    this.boneState = BoneState.RAGDOLL;
+  }
+
+  // Retour à la physique du body principal, les os se fondent vers leur pose
+  exitRagdoll() {
+    const body = this.characterBody;
+    if (!this.ragdoll || this.boneState !== BoneState.RAGDOLL) return;
+
+    this.ragdoll.deactivate(RAGDOLL_BLEND_TIME);
+    body.type = Body.DYNAMIC;
+    body.collisionResponse = true;
+    body.updateMassProperties();
+    body.wakeUp();
+
+    this.boneState = BoneState.RECOVER;
+  }
+
+  // Santé à 0 : le personnage s'effondre
+  onHealthChange({ currentHealth }) {
+    if (currentHealth <= 0 && this.deathCollapse === DeathCollapse.RAGDOLL) {
+      this.enterRagdoll();
+    }
+  }
+
+  // === Items ===
+
+  addItem(item) {
+    this.spawnedItems.current.push(item);
+    this.eventBus.emit(GameEvent.ITEM_SPAWNED, { item });
+  }
+
+  removeItem(item, reason) {
+    const index = this.spawnedItems.current.indexOf(item);
+    if (index === -1) return;
+    this.spawnedItems.current.splice(index, 1);
+    removeSpawnedItem(item, this.world);
+    this.eventBus.emit(GameEvent.ITEM_REMOVED, { item, reason });
+  }
+
+  // === Items tenus sans pointeur (clavier / manette) ===
+  // L'item tenu est cinématique, comme pendant un drag au pointeur
+
+  holdItem(item) {
+    item.isBeingDragged = true;
+    item.body.type = Body.KINEMATIC;
+    item.body.velocity.set(0, 0, 0);
+    item.body.angularVelocity.set(0, 0, 0);
+    item.body.updateMassProperties();
+  }
+
+  moveHeldItem(item, dx, dy, dz = 0) {
+    item.body.position.x += dx;
+    item.body.position.y += dy;
+    item.body.position.z += dz;
+    this.clampItemWithinBounds(item);
+  }
+
+  // Relâche l'item, lancé à `velocity` (m/s, { x, y, z? }) modulée par sa
+  // stat speed
+  releaseItem(item, velocity = null) {
+    item.isBeingDragged = false;
+    item.body.type = Body.DYNAMIC;
+    item.body.updateMassProperties();
+    if (velocity) {
+      const strength = item.physics ? item.physics.throwStrength : 1;
+      item.body.velocity.set(
+        velocity.x * strength,
+        velocity.y * strength,
+        (velocity.z || 0) * strength,
+      );
+    }
+    item.body.wakeUp();
+    item.desiredX = item.body.position.x;
+    item.desiredY = item.body.position.y;
+  }
+
+  // Réanimation : items supprimés, personnage replacé au point de départ
+  reset() {
+    const removedItems = this.spawnedItems.current;
+    removedItems.forEach((item) => removeSpawnedItem(item, this.world));
+    this.spawnedItems.current = [];
+    removedItems.forEach((item) =>
+      this.eventBus.emit(GameEvent.ITEM_REMOVED, {
+        item,
+        reason: ItemRemoveReason.RESET,
+      }),
+    );
+
+    this.exitRagdoll();
+    const body = this.characterBody;
+    body.position.set(0, CHARACTER_START_Y, 0);
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+    body.quaternion.set(0, 0, 0, 1);
+    this.boneState = BoneState.PHYSICS;
+    this.resetInterpolation();
+  }
+
+  // Empêche un item de sortir des limites de la vue (ou de la pièce)
+  // Applique un léger rebond ; en 2.5D, verrouille la position Z
+  clampItemWithinBounds(item) {
+    const bounds = this.getPlayBounds();
+    const halfItemW = item.size.x / 2;
+    const bodyHalfHeight = item.size.y / 2;
+    const { position, velocity } = item.body;
+
+    const minX = bounds.minX + halfItemW * 0.5;
+    const maxX = bounds.maxX - halfItemW * 0.5;
+    const minY = GROUND_Y + bodyHalfHeight;
+    const maxY = bounds.maxY - item.size.y / 4;
+
+    if (position.x < minX) {
+      position.x = minX;
+      velocity.x *= -0.4;
+    } else if (position.x > maxX) {
+      position.x = maxX;
+      velocity.x *= -0.4;
+    }
+
+    if (position.y < minY) {
+      position.y = minY;
+      velocity.y *= -0.4;
+    } else if (position.y > maxY) {
+      position.y = maxY;
+      velocity.y *= -0.4;
+    }
+
+    if (!this.isRoom) {
+      position.z = 0;
+      velocity.z = 0;
+      return;
+    }
+
+    // Filet de sécurité derrière les murs (tunneling, item tenu)
+    const halfItemD = item.size.z / 2;
+    const minZ = bounds.minZ + halfItemD * 0.5;
+    const maxZ = bounds.maxZ - halfItemD * 0.5;
+    if (position.z < minZ) {
+      position.z = minZ;
+      velocity.z *= -0.4;
+    } else if (position.z > maxZ) {
+      position.z = maxZ;
+      velocity.z *= -0.4;
+    }
+  }
+
+  clampCharacterWithinBounds() {
+    const body = this.characterBody;
+    const bounds = this.getPlayBounds();
+    const halfModelW = this.characterSize.x / 2;
+    const halfModelD = this.characterSize.z / 2;
+    const modelHeight = this.characterSize.y;
+    const bodyHalfHeight = 0.5;
+
+    const clampedX = THREE.MathUtils.clamp(
+      body.position.x,
+      bounds.minX + halfModelW * 0.5,
+      bounds.maxX - halfModelW * 0.5,
+    );
+    const clampedY = THREE.MathUtils.clamp(
+      body.position.y,
+      GROUND_Y + bodyHalfHeight,
+      bounds.maxY - modelHeight / 4,
+    );
+    // Plan Z = 0 en 2.5D (minZ = maxZ = 0)
+    const clampedZ = this.isRoom
+      ? THREE.MathUtils.clamp(
+          body.position.z,
+          bounds.minZ + halfModelD * 0.5,
+          bounds.maxZ - halfModelD * 0.5,
+        )
+      : 0;
+
+    if (clampedX !== body.position.x) {
+      body.position.x = clampedX;
+      body.velocity.x = 0;
+    }
+    if (clampedY !== body.position.y) {
+      body.position.y = clampedY;
+      body.velocity.y = 0;
+    }
+    if (clampedZ !== body.position.z) {
+      body.position.z = clampedZ;
+      body.velocity.z = 0;
+    }
+  }
+
+  // === Pas fixe ===
+
+  step(dt) {
+    const body = this.characterBody;
+    this.savePreviousTransforms();
+    this.time += dt;
+
+    // Effets de statut, besoins...
+    this.systems.forEach((system) => system.update(dt));
+    // Étourdi pendant un drag : le personnage est lâché
+    if (this.isDragging && !this.canGrab()) this.endDrag();
+
+    if (this.boneState === BoneState.DRAG) this.stepDrag(dt);
+
+    if (this.boneState === BoneState.RECOVER) {
+      recoverUpright(body);
+      if (
+        body.velocity.length() < 0.05 &&
+        body.angularVelocity.length() < 0.05
+      ) {
+        this.boneState = BoneState.PHYSICS;
+      }
+    }
+
+    // Le capteur suit l'os de la tête (ou le haut du corps à défaut)
+    if (!this.getHeadPosition || !this.getHeadPosition(this.headPosition)) {
+      this.headPosition.set(
+        body.position.x,
+        body.position.y + HEAD_OFFSET_Y,
+        body.position.z,
+      );
+    }
+    this.headSensor.update(this.headPosition, body.velocity);
+
+    this.world.step(dt);
+
+    this.processHits();
+
+    if (this.boneState === BoneState.RAGDOLL) {
+      // Le body principal suit l'os racine du ragdoll
+      this.ragdoll.getRootPosition(this.ragdollRootPos);
+      body.position.set(
+        this.ragdollRootPos.x - this.ragdollRootOffset.x,
+        this.ragdollRootPos.y - this.ragdollRootOffset.y,
+        this.ragdollRootPos.z - this.ragdollRootOffset.z,
+      );
+
+      this.ragdollTimer -= dt;
+      const isDead = this.healthManager && this.healthManager.isDead();
+      if (this.ragdollTimer <= 0 && !isDead) this.exitRagdoll();
+    } else {
+      this.clampCharacterWithinBounds();
+      this.stepPose(dt);
+    }
+
+    this.stepItems(dt);
+    this.eventBus.emit(GameEvent.STEP, { dt });
+  }
+
+  // Ressort entre la tête et la cible du drag
+  stepDrag(dt) {
+    const body = this.characterBody;
+    const minY = GROUND_Y + 0.5;
+    const stiffness = 600;
+    const damping = 50;
+
+    const diffX = this.desiredHeadPos.x - body.position.x;
+    const diffY = this.desiredHeadPos.y - (body.position.y + HEAD_OFFSET_Y);
+    const forceX = diffX * stiffness - body.velocity.x * damping;
+    body.velocity.x += (forceX / body.mass) * dt;
+
+    if (body.position.y <= minY) {
+      body.position.y = minY;
+      body.velocity.y = 0;
+    } else {
+      const forceY = diffY * stiffness - body.velocity.y * damping;
+      body.velocity.y += (forceY / body.mass) * dt;
+    }
+  }
+
+  // Hits sur la tête (événements de contact du pas physique)
+  // Traités hors du step : on ne retire pas de body pendant la simulation
+  processHits() {
+    this.headSensor.consumeHits().forEach((hit) => {
+      const impact = classifyImpact(hit.impactVelocity, hit.item.body.mass);
+      // Simple contact (ou personnage mort, même par un hit précédent du
+      // même pas) : aucun effet, l'item reste
+      const isDead = this.healthManager && this.healthManager.isDead();
+      if (impact.tier === ImpactTier.TOUCH || isDead) return;
+
+      if (impact.tier === ImpactTier.HEAVY) {
+        this.applyKnockback(hit.relativeVelocity, impact.impulse);
+        this.enterRagdoll();
+      }
+
+      // Réaction (AnimationManager) avant l'effet de santé : les dégâts
+      // ne déclenchent pas en plus l'état "hurt"
+      this.eventBus.emit(GameEvent.ITEM_HIT_CHARACTER, {
+        item: hit.item,
+        hit,
+        impact,
+      });
+      if (this.healthManager && hit.item.stats) {
+        this.healthManager.applyItemEffect(hit.item.stats, impact.multiplier);
+      }
+      this.removeItem(hit.item, ItemRemoveReason.HEAD);
+    });
+  }
+
+  // Inclinaison du buste et ressorts des bras selon la vitesse du corps
+  stepPose(dt) {
+    const { velocity } = this.characterBody;
+    const { spineTilt, armBottom, armTop } = this.pose;
+
+    const tiltX = THREE.MathUtils.clamp(-velocity.y * 0.15, -0.6, 0.6);
+    const tiltZ = THREE.MathUtils.clamp(velocity.x * 0.15, -0.6, 0.6);
+    spineTilt.x += (tiltX - spineTilt.x) * 0.15;
+    spineTilt.z += (tiltZ - spineTilt.z) * 0.15;
+
+    const targetZ = THREE.MathUtils.clamp(
+      -velocity.x * 0.5,
+      -MAX_ARM_ANGLE,
+      MAX_ARM_ANGLE,
+    );
+    const targetX = THREE.MathUtils.clamp(
+      velocity.y * 0.3,
+      -MAX_ARM_ANGLE,
+      MAX_ARM_ANGLE,
+    );
+
+    stepSpring(armBottom, "angleZ", "velZ", targetZ, 45, 6, dt);
+    stepSpring(armBottom, "angleX", "velX", targetX, 45, 6, dt);
+    stepSpring(armTop, "angleZ", "velZ", targetZ, 30, 4, dt);
+    stepSpring(armTop, "angleX", "velX", targetX, 30, 4, dt);
+  }
+
+  // Ressorts des items relâchés, plan Z verrouillé en 2.5D, limites de la vue
+  stepItems(dt) {
+    this.spawnedItems.current.forEach((item) => {
+      if (item.useSpring && !item.isBeingDragged) {
+        const diffX = item.desiredX - item.body.position.x;
+        const diffY = item.desiredY - item.body.position.y;
+
+        const forceX =
+          diffX * item.springStiffness -
+          item.body.velocity.x * item.springDamping;
+        const forceY =
+          diffY * item.springStiffness -
+          item.body.velocity.y * item.springDamping;
+
+        item.body.velocity.x += (forceX / item.body.mass) * dt;
+        item.body.velocity.y += (forceY / item.body.mass) * dt;
+
+        item.desiredX = item.body.position.x;
+        item.desiredY = item.body.position.y;
+      }
+
+      if (!this.isRoom) item.body.angularVelocity.z = 0;
+      this.clampItemWithinBounds(item);
+    });
+  }
+
+  dispose() {
+    if (this.healthManager) {
+      this.healthManager.offHealthChange(this.onHealthChange);
+    }
+    if (this.ragdoll) this.ragdoll.dispose();
+    this.ragdoll = null;
+    this.headSensor.dispose();
+    this.timeControlCallbacks = [];
+    this.playModeCallbacks = [];
+  }
+}
@@ -0,0 +1,76 @@
+// SimulationControls.jsx
+// Pause, pas à pas et ralenti de la simulation (debug, réglage des impacts)
+// et aire de jeu (2.5D ou pièce 3D)
+// L'état vient de la Simulation via onTimeControlChange / onPlayModeChange
+import { useEffect, useState } from "react";
+import { PlayMode } from "./Simulation";
+
+const TIME_SCALES = [0.1, 0.25, 0.5, 1];
+
+export default function SimulationControls({ simulation }) {
+  const [timeControl, setTimeControl] = useState(() => ({
+    isPaused: simulation.isPaused,
+    timeScale: simulation.timeScale,
+  }));
+
+  const [playMode, setPlayMode] = useState(simulation.playMode);
+
+  useEffect(() => {
+    const onPlayModeChange = (state) => setPlayMode(state.playMode);
+    simulation.onTimeControlChange(setTimeControl);
+    simulation.onPlayModeChange(onPlayModeChange);
+    return () => {
+      simulation.offTimeControlChange(setTimeControl);
+      simulation.offPlayModeChange(onPlayModeChange);
+    };
+  }, [simulation]);
+
+  const { isPaused, timeScale } = timeControl;
+  const buttonClassName =
+    "px-3 py-1 text-sm rounded transition-colors shadow-lg disabled:opacity-50 disabled:cursor-not-allowed";
+
+  return (
+    <div className="absolute top-5 left-1/2 -translate-x-1/2 flex gap-2 items-center z-10">
+      <button
+        onClick={() => simulation.setPaused(!isPaused)}
+        className={`${buttonClassName} bg-gray-700 text-white hover:bg-gray-800`}
+      >
+        {isPaused ? "▶️ Reprendre" : "⏸️ Pause"}
+      </button>
+      <button
+        onClick={() => simulation.stepOnce()}
+        disabled={!isPaused}
+        className={`${buttonClassName} bg-gray-700 text-white hover:bg-gray-800`}
+      >
+        ⏭️ Pas
+      </button>
+      {TIME_SCALES.map((scale) => (
+        <button
+          key={scale}
+          onClick={() => simulation.setTimeScale(scale)}
+          className={`${buttonClassName} ${
+            scale === timeScale
+              ? "bg-blue-500 text-white"
+              : "bg-white/80 text-gray-700 hover:bg-white"
+          }`}
+        >
+          ×{scale}
+        </button>
+      ))}
+      <button
+        onClick={() =>
+          simulation.setPlayMode(
+            playMode === PlayMode.ROOM ? PlayMode.PLANE : PlayMode.ROOM,
+          )
+        }
+        className={`${buttonClassName} ${
+          playMode === PlayMode.ROOM
+            ? "bg-blue-500 text-white"
+            : "bg-white/80 text-gray-700 hover:bg-white"
+        }`}
+      >
+        🧊 Pièce 3D
+      </button>
+    </div>
+  );
+}
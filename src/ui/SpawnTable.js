@@ -0,0 +1,119 @@
+// SpawnTable.js
+// Table de spawn pondérée par rareté
+// - Chaque palier de rareté a un poids, réparti entre ses items
+// - RNG seedable pour que la QA puisse reproduire une séquence
+// - Règle de "pity" : un soin garanti après N items nocifs d'affilée
+import { getStatusEffectDefinition, StatusEffectType } from "./StatusEffects";
+
+// Générateur pseudo-aléatoire déterministe (mulberry32)
+// Retourne une fonction qui produit un nombre dans [0, 1)
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seed lue dans l'URL (?seed=1234) pour reproduire une session, sinon aléatoire
+export function getSeedFromUrl() {
+  const param = new URLSearchParams(window.location.search).get("seed");
+  const seed = Number.parseInt(param, 10);
+  return Number.isFinite(seed) ? seed : Math.floor(Math.random() * 1e9);
+}
+
+// Effet nocif : dégâts par tick (poison) ou étourdissement
+const hasHarmfulEffect = (item) =>
+  (item.stats.effects || []).some((effect) => {
+    const definition = getStatusEffectDefinition(effect.type);
+    return (
+      effect.type === StatusEffectType.STUN ||
+      (definition && definition.tick === "damage")
+    );
+  });
+
+// Un item qui soigne mais empoisonne compte comme nocif (pas de "soin" pity)
+export const isDamaging = (item) =>
+  item.stats.health < 0 || hasHarmfulEffect(item);
+export const isHealing = (item) =>
+  item.stats.health > 0 && !hasHarmfulEffect(item);
+
+export class SpawnTable {
+  constructor(items, rarityTiers, rules = {}, seed = Date.now()) {
+    this.items = items;
+    this.rarityTiers = rarityTiers;
+    this.rules = rules;
+    this.seed = seed;
+    this.rng = createRng(seed);
+    this.damagingStreak = 0;
+    this.entries = this.buildEntries(items);
+  }
+
+  // Le catalogue a changé (import d'un item) : nouvelle répartition des poids
+  setItems(items) {
+    this.items = items;
+    this.entries = this.buildEntries(items);
+  }
+
+  // Calcule le poids de chaque item : poids du palier / nombre d'items du palier
+  // Ainsi la probabilité d'un palier ne dépend pas du nombre d'items qu'il contient
+  buildEntries(items) {
+    const countByTier = {};
+    items.forEach((item) => {
+      countByTier[item.rarity] = (countByTier[item.rarity] || 0) + 1;
+    });
+
+    return items.map((item) => {
+      const tier = this.rarityTiers[item.rarity];
+      return {
+        item,
+        tierName: tier.name,
+        weight: tier.weight / countByTier[item.rarity],
+      };
+    });
+  }
+
+  // Tirage pondéré parmi une liste d'entrées
+  pick(entries) {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = this.rng() * total;
+    for (const entry of entries) {
+      roll -= entry.weight;
+      if (roll < 0) return entry.item;
+    }
+    return entries[entries.length - 1].item;
+  }
+
+  // Tire le prochain item à spawner en appliquant les règles de pity
+  next() {
+    if (this.entries.length === 0) return null;
+
+    const { healAfterDamaging } = this.rules;
+    const healingEntries = this.entries.filter((entry) =>
+      isHealing(entry.item),
+    );
+    const pityTriggered =
+      healAfterDamaging > 0 &&
+      this.damagingStreak >= healAfterDamaging &&
+      healingEntries.length > 0;
+
+    const item = this.pick(pityTriggered ? healingEntries : this.entries);
+    this.damagingStreak = isDamaging(item) ? this.damagingStreak + 1 : 0;
+
+    return item;
+  }
+
+  // Probabilités de base (hors pity) pour l'affichage dans l'UI
+  getDropRates() {
+    const total = this.entries.reduce((sum, entry) => sum + entry.weight, 0);
+    return this.entries.map((entry) => ({
+      id: entry.item.id,
+      name: entry.item.stats.name,
+      tierName: entry.tierName,
+      probability: total > 0 ? entry.weight / total : 0,
+    }));
+  }
+}
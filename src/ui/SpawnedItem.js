@@ -0,0 +1,139 @@
+// SpawnedItem.js
+// Création des items spawnés : mesh Three.js + body Cannon-es
+// Partagé par le bouton d'ajout et la restauration de sauvegarde
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import * as THREE from "three";
+import { Body } from "cannon-es";
+import { createItemMaterial } from "./ItemPhysics";
+import { CollisionGroups } from "./CollisionGroups";
+import {
+  addColliderShapes,
+  buildColliderShapes,
+  hideColliderMeshes,
+} from "./Colliders";
+
+// Charge un modèle 3D, crée le mesh Three.js et le body Cannon associé
+// Retourne un objet regroupant mesh, body et infos de taille
+export async function createSpawnedItem(scene, world, position, modelConfig) {
+  return new Promise((resolve, reject) => {
+    // Charge le modèle 3D de l'item
+    const loader = new GLTFLoader();
+    loader.load(
+      modelConfig.path,
+      (gltf) =>
+        resolve(
+          createSpawnedItemFromModel(
+            scene,
+            world,
+            position,
+            modelConfig,
+            gltf.scene,
+          ),
+        ),
+      undefined,
+      (error) => {
+        console.error("[SPAWN] Erreur:", error);
+        reject(new Error(`Impossible de charger le modèle`));
+      },
+    );
+  });
+}
+
+// Crée l'item depuis un modèle déjà chargé (tests sans navigateur)
+// Les paramètres physiques viennent de l'entrée du catalogue (voir ItemCatalog)
+// Configure collisions, physique et offset par rapport au sol
+export function createSpawnedItemFromModel(
+  scene,
+  world,
+  position,
+  modelConfig,
+  model,
+) {
+  model.position.copy(position);
+  model.castShadow = true;
+  model.receiveShadow = true;
+
+  model.traverse((node) => {
+    if (node.isMesh) {
+      node.castShadow = true;
+      node.receiveShadow = true;
+      if (node.material) {
+        node.material = node.material.clone();
+      }
+    }
+  });
+
+  hideColliderMeshes(model);
+  scene.add(model);
+
+  // Calcule la bounding box du mesh pour créer un collider physique cohérent
+  const box = new THREE.Box3().setFromObject(model);
+  const size = box.getSize(new THREE.Vector3());
+  const boxMin = box.min;
+  const boxMax = box.max;
+
+  // Calcule la distance entre le centre et le sol du modèle
+  const centerY = (boxMin.y + boxMax.y) / 2;
+  const itemGroundOffset = centerY - boxMin.y;
+
+  // Paramètres issus des stats weight / speed (voir ItemPhysics)
+  const { physics } = modelConfig;
+  // Collider : primitive, enveloppe convexe ou meshes COL_* du GLB
+  const shapes = buildColliderShapes(model, physics.shape, {
+    origin: model.position,
+    size,
+  });
+
+  // Création du body physique Cannon associé au mesh Three.js
+  // Friction et rebond portés par un matériau propre à l'item
+  const body = new Body({
+    mass: physics.mass,
+    material: createItemMaterial(physics),
+    linearDamping: physics.linearDamping,
+    angularDamping: physics.angularDamping,
+    collisionResponse: true,
+  });
+  addColliderShapes(body, shapes);
+  body.collisionFilterGroup = CollisionGroups.ITEM;
+  body.collisionFilterMask =
+    CollisionGroups.SCENE |
+    CollisionGroups.ITEM |
+    CollisionGroups.HEAD_SENSOR |
+    CollisionGroups.RAGDOLL;
+
+  // Positionne le body pour que le sol soit au GROUND_Y
+  body.position.set(position.x, position.y - itemGroundOffset, position.z);
+
+  world.addBody(body);
+
+  // Données regroupant le mesh Three + le body Cannon pour la logique d'interaction
+  const itemData = {
+    mesh: model,
+    body,
+    size,
+    groundOffset: itemGroundOffset,
+    springStiffness: 1000,
+    springDamping: 100,
+    isBeingDragged: false,
+    desiredX: body.position.x,
+    desiredY: body.position.y,
+    useSpring: false,
+    items: true,
+    itemId: modelConfig.id,
+    modelPath: modelConfig.path,
+    physics,
+    stats: modelConfig.stats, // ✅ Stats spécifiques à chaque item
+  };
+
+  return itemData;
+}
+
+// Retire un item de la scène et du monde physique
+export function removeSpawnedItem(item, world) {
+  if (item.mesh && item.mesh.parent) {
+    item.mesh.parent.remove(item.mesh);
+  }
+  if (item.body && world) {
+    world.removeBody(item.body);
+  }
+}
@@ -0,0 +1,54 @@
+// StatusEffectBar.jsx
+// Icônes des effets de statut actifs, à droite de la barre de vie
+// - Compte à rebours (secondes), cumul (×N) ou capacité restante du bouclier
+// - Rafraîchi par les notifications du StatusEffectManager (au plus 1×/s par effet)
+import { useEffect, useState } from "react";
+import { StatusEffectType } from "./StatusEffects";
+
+export default function StatusEffectBar({ statusEffects }) {
+  const [effects, setEffects] = useState(() => statusEffects.getEffects());
+
+  useEffect(() => {
+    statusEffects.onEffectsChange(setEffects);
+    return () => statusEffects.offEffectsChange(setEffects);
+  }, [statusEffects]);
+
+  if (effects.length === 0) return null;
+
+  return (
+    <div className="absolute top-[100px] left-[640px] flex gap-2 z-10 pointer-events-none">
+      {effects.map((effect) => {
+        const badge =
+          effect.type === StatusEffectType.SHIELD
+            ? Math.ceil(effect.amount)
+            : effect.stacks > 1
+              ? `×${effect.stacks}`
+              : null;
+        return (
+          <div
+            key={effect.type}
+            title={effect.name}
+            className="relative w-12 h-12 rounded bg-black/50 shadow-lg text-white flex flex-col items-center justify-center overflow-hidden"
+          >
+            <span className="text-lg leading-none">{effect.icon}</span>
+            <span className="text-xs font-bold">
+              {Math.ceil(Math.max(0, effect.remaining))}s
+            </span>
+            {badge !== null && (
+              <span className="absolute top-0 right-0.5 text-[10px] font-bold">
+                {badge}
+              </span>
+            )}
+            {/* Durée restante */}
+            <div
+              className="absolute bottom-0 left-0 h-0.5 bg-white/80 transition-[width] duration-1000 ease-linear"
+              style={{
+                width: `${(Math.max(0, effect.remaining) / effect.duration) * 100}%`,
+              }}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
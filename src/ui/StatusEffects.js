@@ -0,0 +1,248 @@
+// StatusEffects.js
+// Effets de statut temporaires, par-dessus le HealthManager
+// - poison / regen : dégâts ou soins par tick pendant la durée de l'effet
+// - shield : absorbe les dégâts jusqu'à épuisement de sa capacité ("amount")
+// - stun : empêche d'attraper le personnage
+// Les types (icône, tick, règle de cumul) sont définis dans data/statusEffects.json,
+// les effets d'un item dans ses stats : "effects": [{ type, duration, amount }]
+import effectDefinitions from "../data/statusEffects.json";
+
+export const StatusEffectType = {
+  POISON: "poison",
+  REGEN: "regen",
+  SHIELD: "shield",
+  STUN: "stun",
+};
+
+// Règles de cumul quand un effet déjà actif est réappliqué
+// - stack : instances indépendantes (maxStacks, la plus ancienne est remplacée)
+// - refresh : une seule instance, durée et montant remis au maximum
+// - extend : une seule instance, la durée s'ajoute (plafonnée par maxDuration)
+export const Stacking = {
+  STACK: "stack",
+  REFRESH: "refresh",
+  EXTEND: "extend",
+};
+
+const TICK_SIGNS = { damage: -1, heal: 1 };
+// Tolérance sur l'accumulation des dt (dernier tick à la fin de l'effet)
+const TICK_EPSILON = 1e-6;
+
+export function getStatusEffectDefinition(type) {
+  return effectDefinitions[type] || null;
+}
+
+// Erreurs d'une définition d'effet d'item (sans le préfixe de l'item)
+export function validateEffect(effect) {
+  if (!effect || typeof effect !== "object") return ["effet invalide"];
+
+  const errors = [];
+  const definition = getStatusEffectDefinition(effect.type);
+  if (!definition) {
+    errors.push(`effet inconnu (${effect.type})`);
+  }
+  if (typeof effect.duration !== "number" || effect.duration <= 0) {
+    errors.push(`effet "${effect.type}" : "duration" doit être > 0`);
+  }
+  if (
+    definition &&
+    effect.type !== StatusEffectType.STUN &&
+    (typeof effect.amount !== "number" || effect.amount <= 0)
+  ) {
+    errors.push(`effet "${effect.type}" : "amount" doit être > 0`);
+  }
+  if (
+    effect.interval !== undefined &&
+    (typeof effect.interval !== "number" || effect.interval <= 0)
+  ) {
+    errors.push(`effet "${effect.type}" : "interval" doit être > 0`);
+  }
+  return errors;
+}
+
+export class StatusEffectManager {
+  constructor(healthManager) {
+    this.healthManager = healthManager;
+    this.effects = []; // Instances actives
+    this.effectsChangeCallbacks = [];
+    this.displayKey = "";
+
+    this.absorbDamage = this.absorbDamage.bind(this);
+    this.onHealthChange = this.onHealthChange.bind(this);
+    healthManager.addDamageModifier(this.absorbDamage);
+    healthManager.onHealthChange(this.onHealthChange);
+  }
+
+  // callback(effects) : liste regroupée par type (voir getEffects)
+  onEffectsChange(callback) {
+    this.effectsChangeCallbacks.push(callback);
+  }
+
+  offEffectsChange(callback) {
+    this.effectsChangeCallbacks = this.effectsChangeCallbacks.filter(
+      (cb) => cb !== callback,
+    );
+  }
+
+  // Notifie seulement si l'affichage change (secondes restantes, cumul, montant)
+  notifyEffectsChange() {
+    const effects = this.getEffects();
+    const displayKey = effects
+      .map(
+        (effect) =>
+          `${effect.type}:${Math.ceil(effect.remaining)}:${effect.stacks}:${Math.ceil(effect.amount)}`,
+      )
+      .join("|");
+    if (displayKey === this.displayKey) return;
+    this.displayKey = displayKey;
+    this.effectsChangeCallbacks.forEach((callback) => callback(effects));
+  }
+
+  // Effets actifs regroupés par type, pour l'affichage
+  getEffects() {
+    const byType = new Map();
+    this.effects.forEach((instance) => {
+      const group = byType.get(instance.type);
+      if (group) {
+        group.stacks += 1;
+        group.amount += instance.amount;
+        group.remaining = Math.max(group.remaining, instance.remaining);
+        group.duration = Math.max(group.duration, instance.duration);
+        return;
+      }
+      const { name, icon } = getStatusEffectDefinition(instance.type);
+      byType.set(instance.type, {
+        type: instance.type,
+        name,
+        icon,
+        stacks: 1,
+        amount: instance.amount,
+        remaining: instance.remaining,
+        duration: instance.duration,
+      });
+    });
+    return [...byType.values()];
+  }
+
+  has(type) {
+    return this.effects.some((instance) => instance.type === type);
+  }
+
+  isStunned() {
+    return this.has(StatusEffectType.STUN);
+  }
+
+  // effect : { type, duration, amount?, interval? } (voir validateEffect)
+  apply(effect) {
+    const definition = getStatusEffectDefinition(effect.type);
+    if (!definition || this.healthManager.isDead()) return;
+
+    const instance = {
+      type: effect.type,
+      amount: effect.amount || 0,
+      duration: effect.duration,
+      remaining: effect.duration,
+      interval: effect.interval || definition.interval || 1,
+      tickTimer: 0,
+    };
+    const active = this.effects.filter((other) => other.type === effect.type);
+    const current = active[0];
+
+    if (!current || definition.stacking === Stacking.STACK) {
+      if (active.length >= (definition.maxStacks || Infinity)) {
+        this.effects.splice(this.effects.indexOf(current), 1);
+      }
+      this.effects.push(instance);
+    } else if (definition.stacking === Stacking.EXTEND) {
+      current.remaining = Math.min(
+        current.remaining + instance.duration,
+        definition.maxDuration || Infinity,
+      );
+      current.duration = Math.max(current.duration, current.remaining);
+      current.amount = Math.max(current.amount, instance.amount);
+    } else {
+      current.remaining = Math.max(current.remaining, instance.duration);
+      current.duration = Math.max(current.duration, instance.duration);
+      current.amount = Math.max(current.amount, instance.amount);
+    }
+
+    console.log(`✨ Effet ${definition.name} (${effect.duration}s)`);
+    this.notifyEffectsChange();
+  }
+
+  clear() {
+    if (this.effects.length === 0) return;
+    this.effects = [];
+    this.notifyEffectsChange();
+  }
+
+  // Modificateur de dégâts du HealthManager : les boucliers absorbent d'abord
+  absorbDamage(damage) {
+    let remaining = damage;
+    this.effects.forEach((instance) => {
+      if (instance.type !== StatusEffectType.SHIELD || remaining <= 0) return;
+      const absorbed = Math.min(instance.amount, remaining);
+      instance.amount -= absorbed;
+      remaining -= absorbed;
+    });
+    if (remaining !== damage) {
+      console.log(`🛡️ Bouclier: ${damage - remaining} absorbés`);
+      this.effects = this.effects.filter(
+        (instance) =>
+          instance.type !== StatusEffectType.SHIELD || instance.amount > 0,
+      );
+      this.notifyEffectsChange();
+    }
+    return remaining;
+  }
+
+  // Les effets d'un item arrivent avec son effet de santé ; la mort les efface
+  onHealthChange({ currentHealth, itemStats }) {
+    if (currentHealth <= 0) {
+      this.clear();
+      return;
+    }
+    if (itemStats && Array.isArray(itemStats.effects)) {
+      itemStats.effects.forEach((effect) => this.apply(effect));
+    }
+  }
+
+  // Appelé à chaque frame : écoulement des durées et ticks de santé
+  update(dt) {
+    if (this.effects.length === 0) return;
+
+    // Somme des ticks par type, appliquée après la mise à jour des instances
+    const ticks = new Map();
+    this.effects.forEach((instance) => {
+      const elapsed = Math.min(dt, instance.remaining);
+      instance.remaining -= dt;
+
+      const definition = getStatusEffectDefinition(instance.type);
+      const sign = TICK_SIGNS[definition.tick];
+      if (!sign) return;
+      instance.tickTimer += elapsed;
+      while (instance.tickTimer >= instance.interval - TICK_EPSILON) {
+        instance.tickTimer -= instance.interval;
+        ticks.set(
+          instance.type,
+          (ticks.get(instance.type) || 0) + sign * instance.amount,
+        );
+      }
+    });
+    this.effects = this.effects.filter((instance) => instance.remaining > 0);
+
+    ticks.forEach((health, type) => {
+      if (this.healthManager.isDead()) return;
+      const { name } = getStatusEffectDefinition(type);
+      this.healthManager.applyItemEffect({ name, health, statusEffect: type });
+    });
+    this.notifyEffectsChange();
+  }
+
+  dispose() {
+    this.healthManager.removeDamageModifier(this.absorbDamage);
+    this.healthManager.offHealthChange(this.onHealthChange);
+    this.effects = [];
+    this.effectsChangeCallbacks = [];
+  }
+}
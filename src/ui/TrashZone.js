@@ -0,0 +1,60 @@
+// TrashZone.js
+// Zone de la poubelle : coin inférieur droit de la vue (ou position fixée
+// par la pièce), avale les items proches
+// Partagée par le composant Trash et les tests sans rendu (tests/)
+import * as THREE from "three";
+import { GROUND_Y } from "./Simulation";
+import { ItemRemoveReason } from "./EventBus";
+
+export const TRASH_Z_POSITION = 0.14;
+const TRASH_OFFSET_X = 0.35;
+const TRASH_OFFSET_Y = 0.185;
+// Marge autour du rayon de la poubelle
+const TRASH_MARGIN = 0.1;
+
+export class TrashZone {
+  // size : dimensions du modèle (défaut avant chargement)
+  constructor(size = new THREE.Vector3(0.5, 0.5, 0.5)) {
+    this.position = new THREE.Vector3(100, GROUND_Y + 0.2, TRASH_Z_POSITION);
+    this.size = size.clone();
+  }
+
+  setSize(size) {
+    this.size.copy(size);
+  }
+
+  // Suit le bord droit de la vue (voir Simulation.viewBounds)
+  placeInView({ halfW, centerX = 0 }) {
+    this.position.set(
+      centerX + halfW - TRASH_OFFSET_X,
+      GROUND_Y + TRASH_OFFSET_Y,
+      TRASH_Z_POSITION,
+    );
+  }
+
+  // Position fixe imposée par la pièce (voir Environment.trashPosition)
+  placeAt(x, z) {
+    this.position.set(x, GROUND_Y + TRASH_OFFSET_Y, z);
+  }
+
+  get radius() {
+    return Math.max(this.size.x, this.size.y, this.size.z) / 2;
+  }
+
+  contains(item) {
+    const { x, y, z } = item.body.position;
+    const distance = this.position.distanceTo(new THREE.Vector3(x, y, z));
+    return distance < this.radius + TRASH_MARGIN;
+  }
+
+  // Retire de la simulation les items entrés dans la poubelle
+  collect(simulation) {
+    const items = simulation.spawnedItems.current.filter((item) =>
+      this.contains(item),
+    );
+    items.forEach((item) =>
+      simulation.removeItem(item, ItemRemoveReason.TRASH),
+    );
+    return items;
+  }
+}
@@ -1,42 +1,41 @@
 import { useEffect, useRef } from "react";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import * as THREE from "three";
+import { GameEvent, ItemRemoveReason } from "./EventBus";
+import { GROUND_Y } from "./Simulation";
+import { TrashZone, TRASH_Z_POSITION } from "./TrashZone";
+import { InputPriority } from "./InputManager";
 
 // Trashh.jsx
 // Composant gérant la poubelle 3D dans la scène
 // - Chargement du modèle
 // - Positionnement dynamique
-// - Hover et click interactions
-// - Suppression des items déposés
+// - Hover et tap (via InputManager)
+// - Suppression des items déposés (zone partagée avec les tests, voir TrashZone)
+// Position mise à jour à chaque frame (FRAME), collisions à chaque pas (STEP)
 
 const TRASH_PATH = new URL("../assets/3D/trash.glb", import.meta.url).href;
-const TRASH_Z_POSITION = 0.14; // ← Modifiez cette valeur pour ajuster Z
 
 export default function Trash({
   scene,
-  camera,
-  spawnedItems,
-  world,
-  renderer,
+  simulation,
+  input,
+  eventBus,
+  trashPosition,
 }) {
   const trashRef = useRef();
-  const trashBoundsRef = useRef({
-    position: new THREE.Vector3(),
-    size: new THREE.Vector3(0.5, 0.5, 0.5), // Valeurs par défaut, seront mises à jour après chargement du modèle
-  });
-  const raycasterRef = useRef(new THREE.Raycaster());
-  const mouseRef = useRef(new THREE.Vector2());
+  // Taille par défaut, mise à jour après chargement du modèle
+  const trashZoneRef = useRef(new TrashZone());
   const isHoveredRef = useRef(false);
   const BASE_SCALE = 0.84;
   const HOVER_SCALE = 0.88;
-  const GROUND_Y = -1;
 
   // === Chargement du modèle de la poubelle ===
   // Charge le modèle GLB et l'ajoute à la scène
   // Configure les ombres et clone les matériaux pour éviter les conflits
   // Calcule les dimensions pour la détection de collision
   useEffect(() => {
-    if (!scene || !camera) return;
+    if (!scene) return;
 
     const loader = new GLTFLoader();
     loader.load(
@@ -63,10 +62,7 @@ export default function Trash({
         const box = new THREE.Box3().setFromObject(trash);
         const size = box.getSize(new THREE.Vector3());
 
-        trashBoundsRef.current = {
-          position: trash.position.clone(),
-          size: size,
-        };
+        trashZoneRef.current.setSize(size);
 
         scene.add(trash);
         trashRef.current = trash;
@@ -76,34 +72,26 @@ export default function Trash({
       undefined,
       (err) => console.error("Erreur chargement trash.glb :", err),
     );
-  }, [scene, camera]);
+  }, [scene]);
 
   // === Mise à jour de la position de la poubelle ===
-  // Positionne la poubelle à l'écran en fonction de la caméra
+  // Positionne la poubelle au bord de la vue (limites issues de la caméra),
+  // ou à la position fixée par la pièce (trashPosition [x, z])
   // Applique un scale fluide lors du hover
   // Met à jour les bounds pour collision
-  // Remplace temporairement renderer.render pour inclure la mise à jour
+  // Appelée à chaque frame (événement FRAME), avant le rendu
   useEffect(() => {
-    if (!renderer || !camera) return;
-
-    const getViewBounds = () => {
-      const distance = camera.position.z;
-      const vFov = THREE.MathUtils.degToRad(camera.fov);
-      const viewHeight = 2 * Math.tan(vFov / 2) * distance;
-      const viewWidth = viewHeight * camera.aspect;
-      return { halfW: viewWidth / 2, halfH: viewHeight / 2 };
-    };
+    if (!eventBus) return;
 
     const updateTrashPosition = () => {
       if (!trashRef.current) return;
 
-      const { halfW, halfH } = getViewBounds();
-      const TRASH_OFFSET_X = 0.35;
-      const TRASH_OFFSET_Y = 0.185;
-
-      trashRef.current.position.x = halfW - TRASH_OFFSET_X;
-      trashRef.current.position.y = GROUND_Y + TRASH_OFFSET_Y;
-      trashRef.current.position.z = TRASH_Z_POSITION;
+      if (trashPosition) {
+        trashZoneRef.current.placeAt(trashPosition[0], trashPosition[1]);
+      } else {
+        trashZoneRef.current.placeInView(simulation.viewBounds);
+      }
+      trashRef.current.position.copy(trashZoneRef.current.position);
 
       const targetScale = isHoveredRef.current ? HOVER_SCALE : BASE_SCALE;
 
@@ -111,143 +99,62 @@ export default function Trash({
       const currentScale = trashRef.current.scale.x;
       const smoothScale = THREE.MathUtils.lerp(currentScale, targetScale, 0.1);
       trashRef.current.scale.setScalar(smoothScale);
-
-      trashBoundsRef.current.position = trashRef.current.position.clone();
     };
 
-    const originalRender = renderer.render.bind(renderer);
-    renderer.render = function (scene, camera) {
-      updateTrashPosition();
-      return originalRender(scene, camera);
-    };
-
-    return () => {
-      renderer.render = originalRender;
-    };
-  }, [renderer, camera]);
+    eventBus.on(GameEvent.FRAME, updateTrashPosition);
+    return () => eventBus.off(GameEvent.FRAME, updateTrashPosition);
+  }, [simulation, eventBus, trashPosition]);
 
   // === Détection des collisions avec les items ===
   // Vérifie la distance entre chaque item et la poubelle
   // Supprime les items si proche de la poubelle
-  // Expose checkTrashCollisions globalement pour être appelé depuis la boucle principale
+  // Vérifiée à chaque pas de simulation (événement STEP)
   useEffect(() => {
-    window.checkTrashCollisions = () => {
-      if (!trashRef.current || !spawnedItems.current.length) return;
-
-      const trashPos = trashRef.current.position;
-      const trashSize = trashBoundsRef.current.size;
-      const trashRadius = Math.max(trashSize.x, trashSize.y, trashSize.z) / 2;
-
-      for (let i = spawnedItems.current.length - 1; i >= 0; i--) {
-        const item = spawnedItems.current[i];
-        const itemPos = item.body.position;
-
-        const distX = itemPos.x - trashPos.x;
-        const distY = itemPos.y - trashPos.y;
-        const distZ = itemPos.z - trashPos.z;
-        const distance = Math.sqrt(
-          distX * distX + distY * distY + distZ * distZ,
-        );
-
-        if (distance < trashRadius + 0.1) {
-          console.log("🗑️ Item supprimé dans la trash!");
+    if (!eventBus) return;
 
-          if (item.mesh && item.mesh.parent) {
-            item.mesh.parent.remove(item.mesh);
-          }
-
-          if (item.body && world) {
-            world.removeBody(item.body);
-          }
+    const checkTrashCollisions = () => {
+      if (!trashRef.current || !simulation.spawnedItems.current.length) return;
 
-          spawnedItems.current.splice(i, 1);
-        }
-      }
+      const removedItems = trashZoneRef.current.collect(simulation);
+      if (removedItems.length > 0)
+        console.log("🗑️ Item supprimé dans la trash!");
     };
 
-    return () => {
-      delete window.checkTrashCollisions;
-    };
-  }, [spawnedItems, world]);
+    eventBus.on(GameEvent.STEP, checkTrashCollisions);
+    return () => eventBus.off(GameEvent.STEP, checkTrashCollisions);
+  }, [simulation, eventBus]);
 
-  // === Hover detection ===
-  // Utilise raycasting pour détecter si la souris est au-dessus de la poubelle
-  // Met à jour isHoveredRef pour le scale animé
+  // === Interactions (couche d'entrée commune) ===
+  // Survol : isHoveredRef pour le scale animé
+  // Tap : supprime tous les items de la scène et du monde physique
   useEffect(() => {
-    if (!renderer || !camera) return;
+    if (!input || !eventBus) return;
 
-    const onMouseMove = (e) => {
-      if (!trashRef.current) return;
-
-      const rect = renderer.domElement.getBoundingClientRect();
-      mouseRef.current.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-      mouseRef.current.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
-
-      raycasterRef.current.setFromCamera(mouseRef.current, camera);
+    const deleteAllItems = () => {
+      const itemsToDelete = [...simulation.spawnedItems.current];
 
-      const intersects = raycasterRef.current.intersectObject(
-        trashRef.current,
-        true,
+      itemsToDelete.forEach((item) =>
+        simulation.removeItem(item, ItemRemoveReason.TRASH),
       );
-
-      isHoveredRef.current = intersects.length > 0;
-    };
-
-    window.addEventListener("mousemove", onMouseMove);
-
-    return () => {
-      window.removeEventListener("mousemove", onMouseMove);
+      eventBus.emit(GameEvent.TRASH_EMPTIED, { count: itemsToDelete.length });
     };
-  }, [renderer, camera]);
-
-  // === Click detection ===
-  // Détecte le click sur la poubelle et supprime tous les items de la scène et du monde physique
-  // deleteAllItems gère le nettoyage complet
-  useEffect(() => {
-    if (!renderer || !camera) return;
-
-    const onMouseClick = (e) => {
-      if (!trashRef.current) return;
 
-      const rect = renderer.domElement.getBoundingClientRect();
-      mouseRef.current.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-      mouseRef.current.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
-
-      raycasterRef.current.setFromCamera(mouseRef.current, camera);
-
-      const intersects = raycasterRef.current.intersectObject(
-        trashRef.current,
-        true,
-      );
-
-      if (intersects.length > 0) {
+    const trashTarget = {
+      priority: InputPriority.TRASH,
+      hitTest: (pointer) =>
+        trashRef.current &&
+        input.intersect(pointer, [trashRef.current]).length > 0,
+      onHoverChange: (isHovered) => {
+        isHoveredRef.current = isHovered;
+      },
+      onTap: () => {
         console.log("🗑️ Click sur trash - Suppression de tous les items!");
         deleteAllItems();
-      }
-    };
-
-    const deleteAllItems = () => {
-      const itemsToDelete = [...spawnedItems.current];
-
-      itemsToDelete.forEach((item) => {
-        if (item.mesh && item.mesh.parent) {
-          item.mesh.parent.remove(item.mesh);
-        }
-
-        if (item.body && world) {
-          world.removeBody(item.body);
-        }
-      });
-
-      spawnedItems.current = [];
-    };
-
-    window.addEventListener("click", onMouseClick);
-
-    return () => {
-      window.removeEventListener("click", onMouseClick);
+      },
     };
-  }, [renderer, camera, spawnedItems, world]);
+    input.addTarget(trashTarget);
+    return () => input.removeTarget(trashTarget);
+  }, [input, simulation, eventBus]);
 
   return null;
 }
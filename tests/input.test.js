@@ -0,0 +1,221 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import * as THREE from "three";
+import {
+  InputGesture,
+  InputManager,
+  InputPriority,
+} from "../src/ui/InputManager";
+
+// Canvas minimal : événements pointeur, capture et taille (pas de DOM)
+class StubElement extends EventTarget {
+  constructor() {
+    super();
+    this.style = {};
+    this.captured = new Set();
+  }
+
+  setPointerCapture(id) {
+    this.captured.add(id);
+  }
+
+  hasPointerCapture(id) {
+    return this.captured.has(id);
+  }
+
+  releasePointerCapture(id) {
+    this.captured.delete(id);
+  }
+
+  getBoundingClientRect() {
+    return { left: 0, top: 0, width: 800, height: 600 };
+  }
+}
+
+// Cible touchée dans la zone [minX, maxX] de l'écran, appels enregistrés
+function createTarget(priority, minX = 0, maxX = 800) {
+  const calls = [];
+  const record =
+    (name) =>
+    (...args) =>
+      calls.push({ name, args });
+  return {
+    priority,
+    calls,
+    hitTest: ({ clientX }) =>
+      clientX >= minX && clientX <= maxX ? { priority } : null,
+    onDragStart: record("dragStart"),
+    onDragMove: record("dragMove"),
+    onDragEnd: record("dragEnd"),
+    onTap: record("tap"),
+  };
+}
+
+let now;
+let element;
+let input;
+let gestures;
+
+const pointer = (type, pointerId, clientX, clientY = 100) =>
+  element.dispatchEvent(
+    Object.assign(new Event(type), {
+      pointerId,
+      pointerType: "touch",
+      button: 0,
+      clientX,
+      clientY,
+    }),
+  );
+
+const tap = (pointerId, clientX, duration = 50) => {
+  pointer("pointerdown", pointerId, clientX);
+  now += duration;
+  pointer("pointerup", pointerId, clientX);
+};
+
+const gestureTypes = () => gestures.map(({ type }) => type);
+
+beforeEach(() => {
+  now = 1000;
+  vi.spyOn(performance, "now").mockImplementation(() => now);
+  element = new StubElement();
+  input = new InputManager(element, new THREE.PerspectiveCamera());
+  gestures = [];
+  input.onGesture((gesture) => gestures.push(gesture));
+});
+
+afterEach(() => {
+  input.dispose();
+  vi.restoreAllMocks();
+});
+
+describe("cibles", () => {
+  it("donne l'appui à la cible la plus prioritaire", () => {
+    const trash = createTarget(InputPriority.TRASH);
+    const item = createTarget(InputPriority.ITEM);
+    const head = createTarget(InputPriority.HEAD);
+    [trash, item, head].forEach((target) => input.addTarget(target));
+
+    pointer("pointerdown", 1, 100);
+    expect(item.calls.map(({ name }) => name)).toEqual(["dragStart"]);
+    expect(head.calls).toEqual([]);
+    expect(trash.calls).toEqual([]);
+  });
+
+  it("passe à la cible suivante quand la première n'est pas touchée", () => {
+    const item = createTarget(InputPriority.ITEM, 500, 800);
+    const head = createTarget(InputPriority.HEAD);
+    input.addTarget(item);
+    input.addTarget(head);
+
+    pointer("pointerdown", 1, 100);
+    expect(head.calls.map(({ name }) => name)).toEqual(["dragStart"]);
+    expect(item.calls).toEqual([]);
+  });
+
+  it("garde une cible par pointeur en multi-touch", () => {
+    const left = createTarget(InputPriority.ITEM, 0, 300);
+    const right = createTarget(InputPriority.HEAD, 500, 800);
+    input.addTarget(left);
+    input.addTarget(right);
+
+    pointer("pointerdown", 1, 100);
+    pointer("pointerdown", 2, 600);
+    pointer("pointermove", 1, 150);
+    pointer("pointermove", 2, 650);
+    pointer("pointerup", 1, 150);
+
+    expect(left.calls.map(({ name }) => name)).toEqual([
+      "dragStart",
+      "dragMove",
+      "dragEnd",
+    ]);
+    expect(right.calls.map(({ name }) => name)).toEqual([
+      "dragStart",
+      "dragMove",
+    ]);
+    expect(right.calls[1].args[0].clientX).toBe(650);
+  });
+
+  it("libère le pointeur d'une cible retirée pendant l'appui", () => {
+    const item = createTarget(InputPriority.ITEM);
+    input.addTarget(item);
+
+    pointer("pointerdown", 1, 100);
+    input.removeTarget(item);
+    pointer("pointermove", 1, 200);
+    pointer("pointerup", 1, 200);
+
+    // Plus d'appels à la cible, le pointeur glisse sur le fond
+    expect(item.calls.map(({ name }) => name)).toEqual(["dragStart"]);
+    expect(gestureTypes()).toEqual([InputGesture.DRAG]);
+    expect(element.captured.size).toBe(0);
+  });
+});
+
+describe("gestes", () => {
+  it("distingue le tap du glisser et de l'appui long", () => {
+    tap(1, 100);
+    expect(gestureTypes()).toEqual([InputGesture.TAP]);
+
+    gestures = [];
+    pointer("pointerdown", 2, 400);
+    pointer("pointermove", 2, 420);
+    pointer("pointerup", 2, 420);
+    expect(gestureTypes()).toEqual([InputGesture.DRAG]);
+
+    gestures = [];
+    now += 1000;
+    tap(3, 700, 400);
+    expect(gestureTypes()).toEqual([]);
+  });
+
+  it("détecte le double tap rapproché seulement", () => {
+    tap(1, 100);
+    now += 100;
+    tap(2, 110);
+    expect(gestureTypes()).toEqual([
+      InputGesture.TAP,
+      InputGesture.TAP,
+      InputGesture.DOUBLE_TAP,
+    ]);
+
+    // Trop lent, puis trop loin
+    gestures = [];
+    now += 1000;
+    tap(3, 100);
+    now += 400;
+    tap(4, 100);
+    now += 100;
+    tap(5, 300);
+    expect(gestureTypes()).toEqual([
+      InputGesture.TAP,
+      InputGesture.TAP,
+      InputGesture.TAP,
+    ]);
+  });
+
+  it("transmet le tap à la cible touchée", () => {
+    const trash = createTarget(InputPriority.TRASH);
+    input.addTarget(trash);
+
+    tap(1, 100);
+    expect(trash.calls.map(({ name }) => name)).toEqual([
+      "dragStart",
+      "dragEnd",
+      "tap",
+    ]);
+    expect(gestures[0].target).toBe(trash);
+  });
+
+  it("calcule l'échelle du pinch à deux doigts", () => {
+    pointer("pointerdown", 1, 100);
+    pointer("pointerdown", 2, 200);
+    pointer("pointermove", 2, 300);
+    pointer("pointermove", 1, 0);
+
+    const pinches = gestures.filter(({ type }) => type === InputGesture.PINCH);
+    expect(pinches.map(({ scale }) => scale)).toEqual([2, 1.5]);
+    expect(pinches[1].clientX).toBe(150);
+    expect(gestureTypes()).not.toContain(InputGesture.DRAG);
+  });
+});
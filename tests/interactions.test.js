@@ -0,0 +1,548 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import * as THREE from "three";
+import { createScenario, VIEW_BOUNDS } from "./scenario";
+import {
+  getCatalogItemById,
+  getCatalogItems,
+  getRarityTiers,
+  getSpawnRules,
+} from "../src/ui/ItemCatalog";
+import { SpawnTable, isDamaging, isHealing } from "../src/ui/SpawnTable";
+import { ImpactTier } from "../src/ui/ImpactModel";
+import { ItemRemoveReason } from "../src/ui/EventBus";
+import { AnimState } from "../src/ui/AnimationInteraction";
+import { Vec3 } from "cannon-es";
+import {
+  GROUND_Y,
+  PlayMode,
+  DEFAULT_ROOM,
+  FIXED_DT,
+} from "../src/ui/Simulation";
+import {
+  ControlAction,
+  ControlsManager,
+  getBindings,
+  setBinding,
+} from "../src/ui/Controls";
+import { CameraRig } from "../src/ui/CameraRig";
+import { getRoomById } from "../src/ui/RoomCatalog";
+import { createSnapshot, restoreSnapshot } from "../src/ui/SaveManager";
+
+const expectedChange = (itemId, multiplier) =>
+  Math.round(getCatalogItemById(itemId).stats.health * multiplier);
+
+let scenario;
+afterEach(() => {
+  if (scenario) scenario.dispose();
+  scenario = null;
+});
+
+describe("hits sur la tête", () => {
+  it("applique l'effet de santé de l'item et le retire", async () => {
+    scenario = await createScenario({ health: 100 });
+    scenario.run(1);
+    const item = await scenario.dropOnHead("bombe-rouge");
+    scenario.run(1);
+
+    expect(scenario.hits).toHaveLength(1);
+    const [hit] = scenario.hits;
+    expect(hit.item).toBe(item);
+    expect(hit.tier).not.toBe(ImpactTier.TOUCH);
+    expect(scenario.health).toBe(
+      100 + expectedChange("bombe-rouge", hit.multiplier),
+    );
+    expect(scenario.items).not.toContain(item);
+    expect(scenario.removed).toEqual([{ item, reason: ItemRemoveReason.HEAD }]);
+    expect(scenario.gameSession.stats.hits).toBe(1);
+  });
+
+  it("cumule les effets de plusieurs hits", async () => {
+    scenario = await createScenario({ health: 60 });
+    scenario.run(1);
+    for (let i = 0; i < 3; i++) {
+      await scenario.dropOnHead("potion-verte");
+      scenario.run(1);
+    }
+
+    expect(scenario.hits).toHaveLength(3);
+    const healed = scenario.hits.reduce(
+      (total, hit) => total + expectedChange("potion-verte", hit.multiplier),
+      0,
+    );
+    // + régénération de la potion (effet de statut)
+    expect(scenario.health).toBeGreaterThanOrEqual(Math.min(100, 60 + healed));
+  });
+
+  it("un impact violent fait reculer le personnage", async () => {
+    scenario = await createScenario();
+    scenario.run(1);
+    const { x } = scenario.headPosition;
+    const item = await scenario.spawn("bombe-rouge", {
+      x: x - 0.8,
+      y: scenario.headPosition.y,
+    });
+    scenario.throwItem(item, { x: 8 });
+    scenario.run(0.5);
+
+    expect(scenario.hits.map((hit) => hit.tier)).toEqual([ImpactTier.HEAVY]);
+    expect(scenario.simulation.characterBody.position.x).toBeGreaterThan(x);
+  });
+
+  it("plus aucun effet après la mort", async () => {
+    scenario = await createScenario({ health: 10 });
+    scenario.run(1);
+    await scenario.dropOnHead("bombe-rouge");
+    scenario.run(1);
+
+    expect(scenario.health).toBe(0);
+    expect(scenario.gameSession.isGameOver).toBe(true);
+    expect(scenario.animationManager.state).toBe(AnimState.DEAD);
+
+    const item = await scenario.dropOnHead("bombe-rouge");
+    scenario.run(1);
+    expect(scenario.hits).toHaveLength(1);
+    expect(scenario.items).toContain(item);
+  });
+
+  it("ignore les hits suivants du pas qui tue le personnage", async () => {
+    scenario = await createScenario({ health: 10 });
+    const { headSensor } = scenario.simulation;
+    const first = await scenario.spawn("bombe-rouge", { x: -2, y: 0 });
+    const second = await scenario.spawn("bombe-rouge", { x: 2, y: 0 });
+    [first, second].forEach((item) =>
+      headSensor.registerHit(item, 8, new Vec3(0, -8, 0), "contact"),
+    );
+    scenario.run(FIXED_DT);
+
+    expect(scenario.health).toBe(0);
+    expect(scenario.hits.map(({ item }) => item)).toEqual([first]);
+    expect(scenario.items).toEqual([second]);
+  });
+
+  it("un item nommé Revive compte comme des dégâts", async () => {
+    scenario = await createScenario();
+    const { healthManager, gameSession } = scenario;
+    healthManager.applyItemEffect({ name: "Revive", health: -10 });
+    healthManager.setHealth(100);
+
+    expect(gameSession.stats.damageTaken).toBe(10);
+    expect(gameSession.stats.healingReceived).toBe(0);
+  });
+
+  it("remet les besoins à zéro à la réanimation seulement", async () => {
+    scenario = await createScenario();
+    const { healthManager, needsManager } = scenario;
+    const initial = needsManager.getValues();
+    const low = Object.fromEntries(Object.keys(initial).map((id) => [id, 5]));
+    needsManager.setValues(low);
+    healthManager.applyItemEffect({ name: "Revive", health: 0 });
+    expect(needsManager.getValues()).toEqual(low);
+
+    healthManager.revive();
+    expect(needsManager.getValues()).toEqual(initial);
+  });
+
+  it("passe à l'idle santé basse sous 25 % de vie", async () => {
+    scenario = await createScenario({ health: 30 });
+    const { animationManager, healthManager } = scenario;
+    expect(animationManager.getBaseState()).toBe(AnimState.IDLE);
+
+    healthManager.setHealth(25);
+    expect(animationManager.getBaseState()).toBe(AnimState.LOW_HEALTH);
+  });
+});
+
+describe("poubelle", () => {
+  it("supprime un item lâché dessus", async () => {
+    scenario = await createScenario({ trash: true });
+    const { position } = scenario.trashZone;
+    const item = await scenario.spawn("potion-verte", {
+      x: position.x,
+      y: position.y + 1,
+    });
+    scenario.run(1);
+
+    expect(scenario.items).not.toContain(item);
+    expect(scenario.removed).toEqual([
+      { item, reason: ItemRemoveReason.TRASH },
+    ]);
+    expect(scenario.health).toBe(100);
+  });
+
+  it("laisse les items éloignés", async () => {
+    scenario = await createScenario({ trash: true });
+    const item = await scenario.spawn("potion-verte", { x: -2, y: 0 });
+    scenario.run(1);
+    expect(scenario.items).toContain(item);
+  });
+});
+
+describe("sauvegarde", () => {
+  it("rejette un import invalide sans vider la scène", async () => {
+    scenario = await createScenario();
+    const { simulation } = scenario;
+    const item = await scenario.spawn("potion-verte", { x: -1, y: 0 });
+    const context = {
+      scene: scenario.scene,
+      world: simulation.world,
+      characterBody: simulation.characterBody,
+      spawnedItems: simulation.spawnedItems,
+      healthManager: scenario.healthManager,
+    };
+    const snapshot = createSnapshot({
+      ...context,
+      spawnedItems: scenario.items,
+    });
+    snapshot.items.push({ ...snapshot.items[0], itemId: "inconnu" });
+    snapshot.items[0].body.position = [0, "haut", 0];
+
+    await expect(restoreSnapshot(snapshot, context)).rejects.toThrow(
+      "position invalide",
+    );
+    snapshot.items[0].body.position = [0, 0, 0];
+    snapshot.items[1].modelPath = null;
+    await expect(restoreSnapshot(snapshot, context)).rejects.toThrow(
+      "inconnu du catalogue",
+    );
+    expect(scenario.items).toEqual([item]);
+  });
+
+  it("garde la scène si un modèle ne se charge pas", async () => {
+    scenario = await createScenario();
+    const { simulation } = scenario;
+    const item = await scenario.spawn("potion-verte", { x: -1, y: 0 });
+    const context = {
+      scene: scenario.scene,
+      world: simulation.world,
+      characterBody: simulation.characterBody,
+      spawnedItems: simulation.spawnedItems,
+      healthManager: scenario.healthManager,
+      eventBus: scenario.eventBus,
+    };
+    const snapshot = createSnapshot({
+      ...context,
+      spawnedItems: scenario.items,
+    });
+    const bodyCount = simulation.world.bodies.length;
+
+    // Pas de réseau dans les tests : le GLB du catalogue ne se charge pas
+    await expect(restoreSnapshot(snapshot, context)).rejects.toThrow();
+    expect(scenario.items).toEqual([item]);
+    expect(scenario.removed).toEqual([]);
+    expect(simulation.world.bodies).toHaveLength(bodyCount);
+  });
+});
+
+describe("table de spawn", () => {
+  const createTable = (seed) =>
+    new SpawnTable(getCatalogItems(), getRarityTiers(), getSpawnRules(), seed);
+  const draw = (table, count) =>
+    Array.from({ length: count }, () => table.next().id);
+
+  it("reproduit la même séquence avec la même seed", () => {
+    const sequence = draw(createTable(1234), 50);
+    expect(draw(createTable(1234), 50)).toEqual(sequence);
+    expect(draw(createTable(4321), 50)).not.toEqual(sequence);
+  });
+
+  it("garantit un soin après une série d'items nocifs", () => {
+    const { healAfterDamaging } = getSpawnRules();
+    const table = createTable(42);
+    let streak = 0;
+    let pityCount = 0;
+    for (let i = 0; i < 500; i++) {
+      const item = table.next();
+      if (streak >= healAfterDamaging) {
+        expect(isHealing(item)).toBe(true);
+        pityCount += 1;
+      }
+      streak = isDamaging(item) ? streak + 1 : 0;
+      expect(streak).toBeLessThanOrEqual(healAfterDamaging);
+    }
+    expect(pityCount).toBeGreaterThan(0);
+  });
+
+  it("ne compte pas un item empoisonné comme un soin", () => {
+    const poison = getCatalogItemById("poison-bleu");
+    expect(poison.stats.health).toBeGreaterThan(0);
+    expect(isHealing(poison)).toBe(false);
+    expect(isDamaging(poison)).toBe(true);
+  });
+});
+
+describe("limites de la vue", () => {
+  it("garde un item lancé dans la vue", async () => {
+    scenario = await createScenario();
+    const item = await scenario.spawn("elixir-orange", { x: -2, y: 0.5 });
+    scenario.throwItem(item, { x: -30, y: 20 });
+    scenario.run(2);
+
+    const { x, y } = item.body.position;
+    expect(x).toBeGreaterThanOrEqual(-VIEW_BOUNDS.halfW);
+    expect(y).toBeLessThanOrEqual(VIEW_BOUNDS.halfH);
+    expect(y).toBeGreaterThanOrEqual(GROUND_Y);
+    expect(item.body.position.z).toBe(0);
+  });
+
+  it("garde le personnage traîné dans la vue", async () => {
+    scenario = await createScenario();
+    scenario.run(1);
+    const { simulation } = scenario;
+    const { x, y } = scenario.headPosition;
+    expect(simulation.startDrag({ x, y, z: 0 })).toBe(true);
+    simulation.moveDrag({ x: 50, y: 50, z: 0 });
+    scenario.run(1);
+
+    expect(simulation.characterBody.position.x).toBeLessThanOrEqual(
+      VIEW_BOUNDS.halfW,
+    );
+    expect(simulation.characterBody.position.y).toBeLessThanOrEqual(
+      VIEW_BOUNDS.halfH,
+    );
+  });
+
+  it("recalcule les limites depuis la caméra qui bouge", async () => {
+    scenario = await createScenario();
+    const { simulation } = scenario;
+    // Caméra d'App (voir createCamera)
+    const camera = new THREE.PerspectiveCamera(55, 16 / 9);
+    camera.position.set(0, 0.8, 3);
+    camera.rotation.x = -0.1;
+    const cameraRig = new CameraRig(camera);
+    const startBounds = cameraRig.viewBounds;
+    expect(startBounds.halfH).toBeCloseTo(VIEW_BOUNDS.halfH, 0);
+
+    cameraRig.setFollowTarget(simulation.characterBody.position);
+    cameraRig.setFollowEnabled(true);
+    cameraRig.zoom(0.5);
+    simulation.characterBody.position.x = 2;
+    for (let i = 0; i < 120; i++) cameraRig.update(1 / 60);
+    const bounds = cameraRig.viewBounds;
+    expect(bounds.halfW).toBeLessThan(startBounds.halfW);
+    expect(bounds.centerX).toBeGreaterThan(1.5);
+
+    simulation.setViewBounds(bounds);
+    const item = await scenario.spawn("potion-verte", { x: -1, y: 0 });
+    scenario.run(0.5);
+    expect(item.body.position.x).toBeGreaterThanOrEqual(
+      bounds.centerX - bounds.halfW,
+    );
+    cameraRig.dispose();
+  });
+});
+
+describe("pièce 3D", () => {
+  it("lance un item en profondeur, arrêté par les murs", async () => {
+    scenario = await createScenario({ playMode: PlayMode.ROOM });
+    const item = await scenario.spawn("elixir-orange", { x: -1.5, y: 0.5 });
+    scenario.throwItem(item, { z: -12, y: 3 });
+    // Juste après le rebond sur le mur du fond
+    scenario.run(0.2);
+
+    const { z } = item.body.position;
+    expect(z).toBeLessThan(-1);
+    expect(z).toBeGreaterThanOrEqual(-DEFAULT_ROOM.halfDepth);
+    expect(item.body.position.y).toBeGreaterThanOrEqual(GROUND_Y);
+  });
+
+  it("revient au plan Z = 0 en 2.5D", async () => {
+    scenario = await createScenario({ playMode: PlayMode.ROOM });
+    const { simulation } = scenario;
+    const item = await scenario.spawn("potion-verte", { x: -1.5, z: 1 });
+    scenario.run(0.5);
+    expect(item.body.position.z).not.toBe(0);
+
+    simulation.setPlayMode(PlayMode.PLANE);
+    scenario.run(0.5);
+    expect(item.body.position.z).toBe(0);
+    expect(simulation.characterBody.position.z).toBe(0);
+  });
+});
+
+describe("pièces", () => {
+  it("un item lâché sur la table reste dessus", async () => {
+    scenario = await createScenario({ room: "salon" });
+    const table = getRoomById("salon").props.find(({ id }) => id === "table");
+    const tableTop = GROUND_Y + table.position[1] + table.size[1];
+    const item = await scenario.spawn("potion-verte", {
+      x: table.position[0],
+      y: tableTop + 0.8,
+    });
+    scenario.run(2);
+
+    expect(item.body.position.y).toBeGreaterThan(tableTop);
+    expect(item.body.position.x).toBeCloseTo(table.position[0], 0);
+  });
+
+  it("le personnage tient debout sur une plateforme", async () => {
+    scenario = await createScenario({ room: "patinoire" });
+    const { simulation } = scenario;
+    expect(simulation.playMode).toBe(PlayMode.ROOM);
+
+    const platform = getRoomById("patinoire").props.find(
+      ({ id }) => id === "plateforme-haute",
+    );
+    const [x, , z] = platform.position;
+    const platformTop = GROUND_Y + platform.position[1] + platform.size[1];
+    simulation.characterBody.position.set(x, platformTop + 1, z);
+    scenario.run(2);
+
+    expect(simulation.characterBody.position.y).toBeGreaterThan(platformTop);
+  });
+
+  it("la poubelle de la pièce avale les items à sa position", async () => {
+    scenario = await createScenario({ room: "salon", trash: true });
+    const [x, z] = getRoomById("salon").trashPosition;
+    const item = await scenario.spawn("potion-verte", {
+      x,
+      y: GROUND_Y + 0.6,
+      z,
+    });
+    scenario.run(0.5);
+
+    expect(scenario.items).not.toContain(item);
+    expect(scenario.removed.map(({ reason }) => reason)).toContain(
+      ItemRemoveReason.TRASH,
+    );
+  });
+});
+
+describe("contrôle du temps", () => {
+  it("rien ne bouge en pause, sauf pas à pas", async () => {
+    scenario = await createScenario();
+    const { simulation } = scenario;
+    const item = await scenario.spawn("potion-verte", { x: -1, y: 1 });
+    const startY = item.body.position.y;
+
+    simulation.setPaused(true);
+    expect(simulation.advance(0.5)).toBe(0);
+    expect(item.body.position.y).toBe(startY);
+
+    simulation.stepOnce();
+    simulation.advance(0.5);
+    expect(item.body.position.y).toBeLessThan(startY);
+  });
+
+  it("le ralenti simule moins de temps", async () => {
+    scenario = await createScenario();
+    const { simulation } = scenario;
+    simulation.setTimeScale(0.25);
+    let simulated = 0;
+    for (let i = 0; i < 60; i++) simulated += simulation.advance(1 / 60);
+    expect(simulated).toBeCloseTo(0.25, 1);
+  });
+});
+
+describe("contrôles clavier", () => {
+  const press = (target, type, code) =>
+    target.dispatchEvent(Object.assign(new Event(type), { code }));
+
+  // localStorage en mémoire (absent de Node)
+  const stubStorage = (data = {}) => {
+    const store = new Map(Object.entries(data));
+    vi.stubGlobal("localStorage", {
+      getItem: (key) => (store.has(key) ? store.get(key) : null),
+      setItem: (key, value) => store.set(key, String(value)),
+      removeItem: (key) => store.delete(key),
+    });
+  };
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("ignore les bindings sauvegardés invalides", () => {
+    stubStorage({
+      "humanexe:controls": JSON.stringify({
+        selectNext: { keys: "KeyX", buttons: [7] },
+        throw: { keys: [12], buttons: null },
+      }),
+    });
+    const { actions } = getBindings();
+
+    expect(actions.selectNext.keys).toEqual(["KeyE"]);
+    expect(actions.selectNext.buttons).toEqual([7]);
+    expect(Array.isArray(actions.throw.keys)).toBe(true);
+    expect(Array.isArray(actions.throw.buttons)).toBe(true);
+  });
+
+  it("retire une touche réassignée de son ancienne action", () => {
+    stubStorage();
+    setBinding(ControlAction.THROW, { keys: ["KeyE"] });
+    const { actions } = getBindings();
+
+    expect(actions.throw.keys).toEqual(["KeyE"]);
+    expect(actions.selectNext.keys).not.toContain("KeyE");
+    expect(() => setBinding(ControlAction.THROW, { keys: "KeyE" })).toThrow();
+  });
+
+  it("sélectionne, déplace puis lance un item", async () => {
+    scenario = await createScenario();
+    const target = new EventTarget();
+    const controls = new ControlsManager({
+      simulation: scenario.simulation,
+      eventBus: scenario.eventBus,
+      target,
+    });
+    const item = await scenario.spawn("potion-verte", { x: -1, y: 1 });
+
+    const startY = item.body.position.y;
+
+    press(target, "keydown", "KeyE");
+    expect(controls.selectedItem).toBe(item);
+    // Tenu : ne tombe pas
+    scenario.run(0.5);
+    expect(item.body.position.y).toBeCloseTo(startY);
+
+    press(target, "keydown", "ArrowLeft");
+    scenario.run(0.2);
+    press(target, "keyup", "ArrowLeft");
+    expect(item.body.position.x).toBeLessThan(-1);
+
+    press(target, "keydown", "Space");
+    expect(controls.selectedItem).toBe(null);
+    expect(item.body.velocity.x).toBeLessThan(0);
+    controls.dispose();
+  });
+
+  it("pousse le personnage", async () => {
+    scenario = await createScenario();
+    const target = new EventTarget();
+    const controls = new ControlsManager({
+      simulation: scenario.simulation,
+      eventBus: scenario.eventBus,
+      target,
+    });
+    scenario.run(1);
+    const startX = scenario.headPosition.x;
+
+    press(target, "keydown", "KeyD");
+    scenario.run(0.3);
+    expect(scenario.headPosition.x).toBeGreaterThan(startX);
+    controls.dispose();
+  });
+
+  it("aucune action pendant le game over", async () => {
+    scenario = await createScenario();
+    const target = new EventTarget();
+    const controls = new ControlsManager({
+      simulation: scenario.simulation,
+      eventBus: scenario.eventBus,
+      gameSession: scenario.gameSession,
+      target,
+    });
+    const actions = [];
+    controls.onAction((action) => actions.push(action));
+    const item = await scenario.spawn("potion-verte", { x: -1, y: 1 });
+    press(target, "keydown", "KeyE");
+    expect(controls.selectedItem).toBe(item);
+
+    scenario.healthManager.setHealth(0);
+    expect(scenario.gameSession.isGameOver).toBe(true);
+    expect(controls.selectedItem).toBe(null);
+
+    press(target, "keyup", "KeyE");
+    press(target, "keydown", "KeyE");
+    press(target, "keydown", "Digit1");
+    expect(controls.selectedItem).toBe(null);
+    expect(actions).toEqual([ControlAction.SELECT_NEXT]);
+    controls.dispose();
+  });
+});
@@ -0,0 +1,192 @@
+// scenario.js
+// Banc de test sans rendu : Simulation + HealthManager + AnimationManager
+// câblés comme dans App, items chargés depuis les GLB du dépôt (pas de WebGL)
+// Usage : const scenario = await createScenario();
+//         const item = await scenario.spawn("bombe-rouge", { x: 0, y: 1.5 });
+//         scenario.throwItem(item, { x: 0, y: -6 }); scenario.run(1);
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import * as THREE from "three";
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
+import { Simulation, HEAD_OFFSET_Y, PlayMode } from "../src/ui/Simulation";
+import { HealthManager } from "../src/ui/Healthbar";
+import { GameSession } from "../src/ui/GameOver";
+import { StatusEffectManager } from "../src/ui/StatusEffects";
+import { NeedsManager } from "../src/ui/Needs";
+import { AnimationManager } from "../src/ui/AnimationInteraction";
+import { EventBus, GameEvent } from "../src/ui/EventBus";
+import { getCatalogItemById } from "../src/ui/ItemCatalog";
+import { createSpawnedItemFromModel } from "../src/ui/SpawnedItem";
+import { TrashZone } from "../src/ui/TrashZone";
+import { Environment } from "../src/ui/Environment";
+import { getRoomById } from "../src/ui/RoomCatalog";
+
+const ASSETS_DIR = new URL("../src/assets/3D/", import.meta.url);
+// Vue de la caméra d'App (fov 55°, z = 3) sur un écran 16:9
+const VIEW_HALF_H = Math.tan(THREE.MathUtils.degToRad(55 / 2)) * 3;
+export const VIEW_BOUNDS = {
+  halfW: VIEW_HALF_H * (16 / 9),
+  halfH: VIEW_HALF_H,
+};
+// Échelle du modèle de la poubelle (voir Trashh.jsx)
+const TRASH_SCALE = 0.84;
+
+// Charge un GLB du dépôt sans passer par le réseau
+async function loadAsset(fileName) {
+  const buffer = await readFile(fileURLToPath(new URL(fileName, ASSETS_DIR)));
+  const data = buffer.buffer.slice(
+    buffer.byteOffset,
+    buffer.byteOffset + buffer.byteLength,
+  );
+  return new Promise((resolve, reject) =>
+    new GLTFLoader().parse(data, "", resolve, reject),
+  );
+}
+
+// Poubelle au bord de la vue, ou à la position fixée par la pièce
+async function createTrashZone(room) {
+  const { scene: trash } = await loadAsset("trash.glb");
+  trash.scale.setScalar(TRASH_SCALE);
+  trash.rotation.set(0, Math.PI / 2, 0);
+  const size = new THREE.Box3()
+    .setFromObject(trash)
+    .getSize(new THREE.Vector3());
+  const zone = new TrashZone(size);
+  if (room && room.trashPosition) {
+    zone.placeAt(...room.trashPosition);
+  } else {
+    zone.placeInView(VIEW_BOUNDS);
+  }
+  return zone;
+}
+
+class Scenario {
+  constructor({ health, trashZone, playMode, room }) {
+    this.scene = new THREE.Scene();
+    this.eventBus = new EventBus();
+    this.healthManager = new HealthManager(100);
+    this.healthManager.setHealth(health);
+    this.gameSession = new GameSession(this.healthManager);
+    this.statusEffects = new StatusEffectManager(this.healthManager);
+    this.needsManager = new NeedsManager(this.healthManager);
+    this.simulation = new Simulation({
+      healthManager: this.healthManager,
+      statusEffects: this.statusEffects,
+      systems: [this.statusEffects, this.needsManager],
+      eventBus: this.eventBus,
+      playMode,
+    });
+    this.simulation.setViewBounds(VIEW_BOUNDS);
+    // Sol, meubles et murs de la pièce (voir RoomCatalog)
+    this.environment = room
+      ? new Environment(room, {
+          scene: this.scene,
+          simulation: this.simulation,
+        })
+      : null;
+    // Sans squelette : états (hurt, dead...) suivis, aucun clip joué
+    this.animationManager = new AnimationManager(
+      this.scene,
+      null,
+      null,
+      this.healthManager,
+    );
+
+    // Événements enregistrés pour les assertions
+    this.hits = [];
+    this.removed = [];
+
+    // Même câblage que la boucle d'App
+    this.eventBus.on(GameEvent.ITEM_HIT_CHARACTER, ({ item, hit, impact }) => {
+      this.hits.push({ item, ...impact });
+      this.gameSession.recordHit(impact.tier);
+      this.animationManager.playCollisionAnimation(item, { ...hit, ...impact });
+    });
+    this.eventBus.on(GameEvent.ITEM_REMOVED, (event) =>
+      this.removed.push(event),
+    );
+
+    this.trashZone = trashZone;
+    if (trashZone) {
+      this.eventBus.on(GameEvent.STEP, () =>
+        trashZone.collect(this.simulation),
+      );
+    }
+  }
+
+  get health() {
+    return this.healthManager.currentHealth;
+  }
+
+  get items() {
+    return this.simulation.spawnedItems.current;
+  }
+
+  // Position de la tête (haut du corps, pas d'os en mode headless)
+  get headPosition() {
+    const { position } = this.simulation.characterBody;
+    return { x: position.x, y: position.y + HEAD_OFFSET_Y };
+  }
+
+  // Ajoute un item du catalogue à la position donnée (Z = 0 par défaut)
+  async spawn(itemId, { x = 0, y = 0, z = 0 } = {}) {
+    const catalogItem = getCatalogItemById(itemId);
+    if (!catalogItem) throw new Error(`Item inconnu: ${itemId}`);
+
+    const fileName = decodeURIComponent(catalogItem.path.split("/").pop());
+    const { scene: model } = await loadAsset(fileName);
+    const item = createSpawnedItemFromModel(
+      this.scene,
+      this.simulation.world,
+      new THREE.Vector3(x, y, z),
+      catalogItem,
+      model,
+    );
+    this.simulation.addItem(item);
+    return item;
+  }
+
+  // Lance un item avec une vitesse donnée (m/s)
+  throwItem(item, { x = 0, y = 0, z = 0 } = {}) {
+    item.body.velocity.set(x, y, z);
+    item.body.wakeUp();
+  }
+
+  // Fait tomber un item sur la tête depuis `height` au-dessus
+  async dropOnHead(itemId, { height = 0.8, speed = 6 } = {}) {
+    const { x, y } = this.headPosition;
+    const item = await this.spawn(itemId, { x, y: y + height });
+    this.throwItem(item, { y: -speed });
+    return item;
+  }
+
+  run(seconds) {
+    this.simulation.runFor(seconds);
+    return this;
+  }
+
+  dispose() {
+    if (this.environment) this.environment.dispose();
+    this.simulation.dispose();
+    this.animationManager.dispose();
+    this.statusEffects.dispose();
+    this.needsManager.dispose();
+    this.gameSession.dispose();
+    this.eventBus.clear();
+  }
+}
+
+// options.health : santé de départ ; options.trash : poubelle au bord de la vue
+// options.playMode : aire de jeu (voir PlayMode, 2.5D par défaut)
+// options.room : id d'une pièce de data/rooms.json (son playMode l'emporte)
+export async function createScenario({
+  health = 100,
+  trash = false,
+  playMode = PlayMode.PLANE,
+  room: roomId = null,
+} = {}) {
+  const room = roomId ? getRoomById(roomId) : null;
+  if (roomId && !room) throw new Error(`Pièce inconnue: ${roomId}`);
+  const trashZone = trash ? await createTrashZone(room) : null;
+  return new Scenario({ health, trashZone, playMode, room });
+}
@@ -6,4 +6,10 @@ import tailwindcss from "@tailwindcss/vite";
 export default defineConfig({
   base: "/poc/",
   plugins: [tailwindcss(), react()],
+  // Scénarios sans rendu (tests/), logs de la simulation masqués si ça passe
+  test: {
+    include: ["tests/**/*.test.js"],
+    environment: "node",
+    silent: "passed-only",
+  },
 });